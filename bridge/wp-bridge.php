@@ -0,0 +1,358 @@
+<?php
+/**
+ * WordPress Bridge for Sharp Image Processing
+ * 
+ * Long-lived worker started with `wp eval-file`. WordPress is bootstrapped
+ * once, then one JSON request per line is read from STDIN and answered with
+ * one JSON response per line on STDOUT, so the service doesn't spawn a new
+ * wp-cli process for every database operation.
+ * 
+ * Request:  {"id": 1, "method": "get_option", "params": {"name": "siteurl"}}
+ * Response: @@WPSHARP@@ {"id": 1, "result": "https://example.com"}
+ * 
+ * Responses are prefixed with a marker so stray output from plugins or
+ * themes can't be mistaken for a response. On multisite, a `site` param
+ * runs the method on that blog.
+ * 
+ * @package SharpImageProcessing
+ * @since   TBD
+ */
+
+// Only run inside wp-cli.
+if ( ! defined( 'WP_CLI' ) || ! WP_CLI ) {
+	exit;
+}
+
+/**
+ * Sharp Image Processing WordPress Bridge
+ * 
+ * @since TBD
+ */
+class Sharp_Image_Bridge {
+
+	/**
+	 * Response line marker
+	 * 
+	 * @since TBD
+	 * 
+	 * @var string
+	 */
+	const MARKER = '@@WPSHARP@@ ';
+
+	/**
+	 * Read requests until STDIN is closed
+	 * 
+	 * @since TBD
+	 * 
+	 * @return void
+	 */
+	public static function run() {
+		while ( false !== ( $line = fgets( STDIN ) ) ) {
+			$line = trim( $line );
+			if ( '' === $line ) {
+				continue;
+			}
+
+			$request = json_decode( $line, true );
+			if ( ! is_array( $request ) || empty( $request['method'] ) ) {
+				self::respond( $request['id'] ?? null, null, 'Invalid request' );
+				continue;
+			}
+
+			self::handle( $request );
+		}
+	}
+
+	/**
+	 * Handle a single request
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $request Decoded request.
+	 * 
+	 * @return void
+	 */
+	private static function handle( $request ) {
+		$id     = $request['id'] ?? null;
+		$method = 'method_' . preg_replace( '/[^a-z_]/', '', $request['method'] );
+		$params = isset( $request['params'] ) && is_array( $request['params'] ) ? $request['params'] : [];
+
+		if ( ! method_exists( __CLASS__, $method ) ) {
+			self::respond( $id, null, 'Unknown method: ' . $request['method'] );
+			return;
+		}
+
+		self::flush_runtime_cache();
+
+		// Keep output from plugins and themes out of the response stream.
+		ob_start();
+
+		$switched = ! empty( $params['site'] ) && is_multisite() && switch_to_blog( (int) $params['site'] );
+
+		try {
+			$result = call_user_func( [ __CLASS__, $method ], $params );
+			$error  = null;
+		} catch ( \Throwable $exception ) {
+			$result = null;
+			$error  = $exception->getMessage();
+		} finally {
+			if ( $switched ) {
+				restore_current_blog();
+			}
+		}
+
+		$stray = ob_get_clean();
+		if ( '' !== $stray ) {
+			fwrite( STDERR, $stray . "\n" );
+		}
+
+		self::respond( $id, $result, $error );
+	}
+
+	/**
+	 * Write a response line
+	 * 
+	 * @since TBD
+	 * 
+	 * @param mixed       $id     Request ID.
+	 * @param mixed       $result Result data.
+	 * @param string|null $error  Error message, if the request failed.
+	 * 
+	 * @return void
+	 */
+	private static function respond( $id, $result, $error = null ) {
+		$response = null === $error ? [ 'id' => $id, 'result' => $result ] : [ 'id' => $id, 'error' => $error ];
+
+		fwrite( STDOUT, self::MARKER . wp_json_encode( $response ) . "\n" );
+		fflush( STDOUT );
+	}
+
+	/**
+	 * Drop values cached in memory so changes made elsewhere are seen
+	 * 
+	 * Persistent object caches are left alone; they are invalidated by the
+	 * writes themselves.
+	 * 
+	 * @since TBD
+	 * 
+	 * @return void
+	 */
+	private static function flush_runtime_cache() {
+		if ( function_exists( 'wp_cache_flush_runtime' ) ) {
+			wp_cache_flush_runtime();
+		} elseif ( ! wp_using_ext_object_cache() ) {
+			wp_cache_flush();
+		}
+	}
+
+	/**
+	 * Check the bridge is alive
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $params Unused.
+	 * 
+	 * @return array WordPress version.
+	 */
+	private static function method_ping( $params ) {
+		return [ 'version' => get_bloginfo( 'version' ) ];
+	}
+
+	/**
+	 * Get an option
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $params Option name and default.
+	 * 
+	 * @return mixed Option value.
+	 */
+	private static function method_get_option( $params ) {
+		// An explicit null default must come back as null, not false.
+		$default = array_key_exists( 'default', $params ) ? $params['default'] : false;
+
+		return get_option( $params['name'], $default );
+	}
+
+	/**
+	 * Update an option
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $params Option name and value.
+	 * 
+	 * @return bool True when the option has the requested value.
+	 */
+	private static function method_update_option( $params ) {
+		update_option( $params['name'], $params['value'] );
+
+		return get_option( $params['name'] ) == $params['value']; // phpcs:ignore Universal.Operators.StrictComparisons
+	}
+
+	/**
+	 * Get the raw image size settings
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $params Unused.
+	 * 
+	 * @return array Core size options and sizes registered by themes and plugins.
+	 */
+	private static function method_image_sizes( $params ) {
+		$options = [];
+		foreach ( [ 'thumbnail_size_w', 'thumbnail_size_h', 'thumbnail_crop', 'medium_size_w', 'medium_size_h', 'large_size_w', 'large_size_h' ] as $name ) {
+			$options[ $name ] = get_option( $name, false );
+		}
+
+		return [
+			'options'    => $options,
+			'additional' => wp_get_additional_image_sizes(),
+		];
+	}
+
+	/**
+	 * Get the filtered big image size threshold
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $params Unused.
+	 * 
+	 * @return int Threshold in pixels, 0 when scaling is disabled.
+	 */
+	private static function method_big_image_size_threshold( $params ) {
+		return (int) apply_filters( 'big_image_size_threshold', 2560, [ 0, 0 ], '', 0 );
+	}
+
+	/**
+	 * Get a post meta value
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $params Post ID and meta key.
+	 * 
+	 * @return mixed Meta value, null if not set.
+	 */
+	private static function method_get_post_meta( $params ) {
+		if ( ! metadata_exists( 'post', (int) $params['id'], $params['key'] ) ) {
+			return null;
+		}
+
+		return get_post_meta( (int) $params['id'], $params['key'], true );
+	}
+
+	/**
+	 * Update a post meta value
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $params Post ID, meta key and value.
+	 * 
+	 * @return bool True when the meta has the requested value.
+	 */
+	private static function method_update_post_meta( $params ) {
+		$post_id = (int) $params['id'];
+
+		if ( ! get_post( $post_id ) ) {
+			throw new \RuntimeException( "Post {$post_id} not found" );
+		}
+
+		// update_post_meta() returns false when the value is unchanged.
+		update_post_meta( $post_id, $params['key'], wp_slash( $params['value'] ) );
+
+		return get_post_meta( $post_id, $params['key'], true ) == $params['value']; // phpcs:ignore Universal.Operators.StrictComparisons
+	}
+
+	/**
+	 * Find an attachment by its attached file path
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $params Path relative to the uploads directory.
+	 * 
+	 * @return int|null Attachment ID or null if not found.
+	 */
+	private static function method_find_attachment( $params ) {
+		global $wpdb;
+
+		$attachment_id = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT p.ID FROM {$wpdb->posts} p INNER JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id WHERE p.post_type = 'attachment' AND pm.meta_key = '_wp_attached_file' AND pm.meta_value = %s ORDER BY p.ID DESC LIMIT 1",
+				$params['file']
+			)
+		);
+
+		return $attachment_id ? (int) $attachment_id : null;
+	}
+
+	/**
+	 * List image attachments
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $params Mime types to include.
+	 * 
+	 * @return array Attachments with ID, post_date and post_mime_type, ordered by ID.
+	 */
+	private static function method_list_attachments( $params ) {
+		global $wpdb;
+
+		$mime_types = ! empty( $params['mime_types'] ) ? (array) $params['mime_types'] : [ 'image' ];
+		$where      = wp_post_mime_type_where( $mime_types );
+
+		return $wpdb->get_results(
+			"SELECT ID, post_date, post_mime_type FROM {$wpdb->posts} WHERE post_type = 'attachment' AND post_status = 'inherit' {$where} ORDER BY ID ASC", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+			ARRAY_A
+		);
+	}
+
+	/**
+	 * List the active sites of a multisite network
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $params Unused.
+	 * 
+	 * @return array Sites with ID, URL and whether it is the main site; empty on single site installs.
+	 */
+	private static function method_list_sites( $params ) {
+		if ( ! is_multisite() ) {
+			return [];
+		}
+
+		$main_site_id = get_main_site_id();
+		$sites        = get_sites(
+			[
+				'number'   => 0,
+				'archived' => 0,
+				'deleted'  => 0,
+				'spam'     => 0,
+			]
+		);
+
+		return array_map(
+			function ( $site ) use ( $main_site_id ) {
+				return [
+					'id'   => (int) $site->blog_id,
+					'url'  => $site->siteurl,
+					'main' => (int) $site->blog_id === $main_site_id,
+				];
+			},
+			$sites
+		);
+	}
+
+	/**
+	 * Get the uploads directory information
+	 * 
+	 * @since TBD
+	 * 
+	 * @param array $params Unused.
+	 * 
+	 * @return array Result of wp_upload_dir().
+	 */
+	private static function method_upload_dir( $params ) {
+		return wp_upload_dir();
+	}
+}
+
+Sharp_Image_Bridge::run(); 
\ No newline at end of file
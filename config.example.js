@@ -44,7 +44,62 @@ export default {
 			// '--skip-themes',               // Skip theme loading
 			// '--debug',                     // Enable wp-cli debug mode
 			// '--quiet',                     // Suppress informational messages
-		]
+		],
+
+		/**
+		 * Milliseconds before a wp-cli command is killed, 0 for no limit
+		 * 
+		 * Applies to commands spawned in exec mode; bridge calls are limited
+		 * by `bridge.timeout`.
+		 * 
+		 * @since TBD
+		 */
+		execTimeout: 60000,
+
+		/**
+		 * Persistent WordPress bridge
+		 * 
+		 * Keeps one `wp eval-file` worker running instead of spawning wp-cli
+		 * for every call. Falls back to regular wp-cli commands on failure.
+		 * 
+		 * @since TBD
+		 */
+		bridge: {
+			enabled: true,
+			timeout: 30000,    // Milliseconds before a call is abandoned
+			maxFailures: 3     // Consecutive failures before switching to exec mode
+		},
+
+		/**
+		 * Multisite network mode
+		 * 
+		 * Processes uploads of every site in the network. Files under
+		 * `uploads/sites/<id>/` are handled with that site's image sizes and
+		 * metadata; everything else belongs to the main site. Set uploadsPath
+		 * to the network's top-level uploads directory.
+		 * 
+		 * @since TBD
+		 */
+		multisite: {
+			enabled: false,
+			refreshInterval: 60000  // Minimum milliseconds between site list reloads for unknown sites
+		},
+
+		/**
+		 * Waiting for new attachments
+		 * 
+		 * Uploads usually reach the disk before WordPress inserts their
+		 * attachment and its metadata. The lookup is repeated until a
+		 * processed image's attachment has metadata or the window passes. The
+		 * plugin reports new attachments to POST /associate, which ends
+		 * the wait right away.
+		 * 
+		 * @since TBD
+		 */
+		association: {
+			window: 120000,   // Milliseconds to keep looking, 0 to give up after the first lookup
+			interval: 3000    // Milliseconds between lookups
+		}
 	},
 
 	/**
@@ -79,6 +134,52 @@ export default {
 		 */
 		optimize: true,
 
+		/**
+		 * Encoder options per output format and image size
+		 * 
+		 * Options for Sharp's jpeg(), png(), webp() and avif() encoders,
+		 * applied on top of `quality` and `progressive`. `sizes` overrides
+		 * them per image size; 'full' is the -scaled or -rotated copy.
+		 * PNGs are only quantized to a palette (using `quality.png`) when
+		 * `palette` is enabled.
+		 * 
+		 * @since TBD
+		 */
+		encoders: {
+			jpeg: { mozjpeg: false },
+			png: { compressionLevel: 9, palette: false },
+			webp: { effort: 4, nearLossless: false },
+			avif: { effort: 4, chromaSubsampling: '4:2:0' },
+			sizes: {
+				thumbnail: {
+					jpeg: { quality: 70, mozjpeg: true }
+				},
+				large: {
+					jpeg: { quality: 85 }
+				}
+			}
+		},
+
+		/**
+		 * Perceptual auto quality
+		 * 
+		 * When enabled, each JPEG, WebP and AVIF output is encoded at the
+		 * lowest quality between `minQuality` and `maxQuality` whose SSIM
+		 * score against the unencoded image reaches `target`. The search
+		 * for all outputs of an image shares `timeBudget` milliseconds;
+		 * outputs left when it runs out use the configured quality.
+		 * 
+		 * @since TBD
+		 */
+		autoQuality: {
+			enabled: false,
+			target: 0.985,
+			minQuality: 40,
+			maxQuality: 95,
+			formats: ['jpeg', 'webp', 'avif'],
+			timeBudget: 3000
+		},
+
 		/**
 		 * Enable modern format generation (WebP, AVIF)
 		 * 
@@ -96,6 +197,100 @@ export default {
 		 */
 		concurrency: 4,
 
+		/**
+		 * Processing queue
+		 * 
+		 * `workers` is the number of images processed at the same time (each
+		 * one uses up to `concurrency` libvips threads). Once `maxSize` images
+		 * are waiting, new uploads wait for room instead of piling up in memory.
+		 * 
+		 * @since TBD
+		 */
+		queue: {
+			workers: 2,
+			maxSize: 100,
+			historySize: 50
+		},
+
+		/**
+		 * Process images in isolated worker processes
+		 * 
+		 * One worker process per queue worker. A worker that crashes, runs
+		 * longer than `timeout` milliseconds or uses more than `memoryLimit`
+		 * MB is killed and only its image fails; the next image gets a fresh
+		 * worker. Workers are replaced after `maxJobsPerWorker` images to
+		 * return memory held by libvips. Set a limit to 0 to disable it.
+		 * 
+		 * @since TBD
+		 */
+		isolation: {
+			enabled: true,
+			maxJobsPerWorker: 50,
+			memoryLimit: 2048,
+			timeout: 300000
+		},
+
+		/**
+		 * Time limits in milliseconds, 0 for no limit
+		 * 
+		 * `decode` limits reading the original, `encode` each output file
+		 * (including its auto quality search). An output that runs out of
+		 * time is skipped; a decode that does fails the image.
+		 * 
+		 * @since TBD
+		 */
+		timeouts: {
+			decode: 120000,
+			encode: 120000
+		},
+
+		/**
+		 * Save photos with an EXIF orientation upright as a -rotated copy
+		 * 
+		 * Like WordPress, the copy becomes the attachment's full size image.
+		 * Generated sizes are rotated upright either way.
+		 * 
+		 * @since TBD
+		 */
+		saveRotatedOriginal: true,
+
+		/**
+		 * Metadata kept in generated images
+		 * 
+		 * Lists of metadata types to keep: 'exif' (camera settings and
+		 * dates), 'copyright' (EXIF Artist and Copyright) and 'icc' (the
+		 * color profile, instead of converting to sRGB). `keep` applies to
+		 * every output, `sizes` overrides it per image size; 'full' is the
+		 * -scaled or -rotated full size copy. GPS, IPTC, XMP and other EXIF
+		 * data are always removed.
+		 * 
+		 * @since TBD
+		 */
+		metadata: {
+			keep: ['copyright', 'icc'],
+			sizes: {
+				thumbnail: []
+			}
+		},
+
+		/**
+		 * Color profile handling, per output format
+		 * 
+		 * 'srgb' converts to sRGB and embeds a compact sRGB profile,
+		 * 'preserve' keeps the source profile (e.g. Adobe RGB or Display P3)
+		 * and 'strip' converts to sRGB without a profile. A single string
+		 * applies to every format. Formats without a mode follow 'icc' in
+		 * `metadata`.
+		 * 
+		 * @since TBD
+		 */
+		colorProfile: {
+			jpeg: 'srgb',
+			png: 'srgb',
+			webp: 'srgb',
+			avif: 'preserve'
+		},
+
 		/**
 		 * Backup original images before processing
 		 * 
@@ -135,7 +330,138 @@ export default {
 		 * 
 		 * @since TBD
 		 */
-		debounceDelay: 1000
+		debounceDelay: 1000,
+
+		/**
+		 * Startup catch-up scan
+		 * 
+		 * New files are only detected while the service runs. When enabled,
+		 * originals modified in the last `lookbackDays` days (0 for no limit)
+		 * that are missing any of their expected sizes are processed on startup.
+		 * 
+		 * @since TBD
+		 */
+		catchUp: {
+			enabled: false,
+			lookbackDays: 7,
+			concurrency: 4
+		}
+	},
+
+	/**
+	 * Persistent job journal
+	 * 
+	 * Records queued images on disk so anything still pending when the
+	 * service stops is processed again on the next start.
+	 * 
+	 * @since TBD
+	 */
+	journal: {
+		/**
+		 * Enable the job journal
+		 * 
+		 * @since TBD
+		 */
+		enabled: true,
+
+		/**
+		 * Journal file path
+		 * 
+		 * @since TBD
+		 */
+		file: './data/jobs.journal',
+
+		/**
+		 * Compact the journal after this many records
+		 * 
+		 * @since TBD
+		 */
+		compactAfter: 1000
+	},
+
+	/**
+	 * Retries and dead letters
+	 * 
+	 * Images that fail with a transient error (a busy file, a dropped
+	 * database connection, a timeout or a crashed worker) are retried with
+	 * exponential backoff. Permanent errors, and images still failing after
+	 * maxAttempts, are kept in the dead-letter list for `bun run dead-letters`.
+	 * 
+	 * @since TBD
+	 */
+	retry: {
+		/**
+		 * Attempts per image, including the first one
+		 * 
+		 * @since TBD
+		 */
+		maxAttempts: 5,
+
+		/**
+		 * Delay before the first retry in milliseconds, doubled for each
+		 * further retry and randomized by up to half to spread retries out
+		 * 
+		 * @since TBD
+		 */
+		baseDelay: 5000,
+
+		/**
+		 * Longest delay between retries in milliseconds
+		 * 
+		 * @since TBD
+		 */
+		maxDelay: 600000,
+
+		/**
+		 * Dead-letter list file path
+		 * 
+		 * @since TBD
+		 */
+		deadLetterFile: './data/dead-letters.json'
+	},
+
+	/**
+	 * Local control API
+	 * 
+	 * Serves /health, /stats, /queue and POST /process for the WordPress
+	 * plugin and the status script. Keep it bound to localhost or use a
+	 * Unix socket; set a token to require `Authorization: Bearer <token>`.
+	 * 
+	 * @since TBD
+	 */
+	api: {
+		enabled: true,
+		host: '127.0.0.1',
+		port: 9797,
+
+		/**
+		 * Unix socket path, used instead of host/port when set
+		 * 
+		 * @since TBD
+		 */
+		socket: null,
+
+		/**
+		 * Optional bearer token
+		 * 
+		 * @since TBD
+		 */
+		token: null,
+
+		/**
+		 * Extra Host header values to accept, e.g. the service name when
+		 * reached from another container. Other hosts are rejected.
+		 * 
+		 * @since TBD
+		 */
+		allowedHosts: [],
+
+		/**
+		 * Serve Prometheus/OpenMetrics metrics on /metrics
+		 * 
+		 * @since TBD
+		 */
+		metrics: true
 	},
 
 	/**
@@ -16,7 +16,16 @@ import { fileURLToPath } from 'url';
 import { Database } from './src/Database.js';
 import { ImageProcessor } from './src/ImageProcessor.js';
 import { FileWatcher } from './src/FileWatcher.js';
+import { JobJournal } from './src/JobJournal.js';
+import { JobCancelledError } from './src/JobQueue.js';
+import { RetryPolicy } from './src/RetryPolicy.js';
+import { DeadLetterList } from './src/DeadLetterList.js';
+import { PendingAssociations } from './src/PendingAssociations.js';
+import { mergeAttachmentMetadata, diffMetadata } from './src/MetadataMerge.js';
+import { SiteRegistry } from './src/SiteRegistry.js';
+import { ControlServer, HttpError } from './src/ControlServer.js';
 import { logger, configureLogger, logStats } from './src/Logger.js';
+import { metrics } from './src/Metrics.js';
 
 // ES6 __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -46,6 +55,33 @@ class WordPressSharpImageApp {
 	 */
 	database = null;
 
+	/**
+	 * Processed images waiting for WordPress to insert their attachment
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {PendingAssociations}
+	 */
+	pendingAssociations = null;
+
+	/**
+	 * Multisite site registry, null when not in network mode
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {SiteRegistry|null}
+	 */
+	sites = null;
+
+	/**
+	 * Image size loads in progress, by site ID
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	siteImageSizeLoads = new Map();
+
 	/**
 	 * Image processor instance
 	 * 
@@ -64,6 +100,51 @@ class WordPressSharpImageApp {
 	 */
 	fileWatcher = null;
 
+	/**
+	 * Job journal instance
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {JobJournal}
+	 */
+	journal = null;
+
+	/**
+	 * Retry policy for failed images
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {RetryPolicy}
+	 */
+	retryPolicy = null;
+
+	/**
+	 * Images that failed for good
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {DeadLetterList}
+	 */
+	deadLetters = null;
+
+	/**
+	 * Scheduled retries, by file path
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	retryTimers = new Map();
+
+	/**
+	 * Control API server instance
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {ControlServer}
+	 */
+	controlServer = null;
+
 	/**
 	 * Application statistics
 	 * 
@@ -75,7 +156,8 @@ class WordPressSharpImageApp {
 		startTime: Date.now(),
 		lastImageSizeUpdate: null,
 		totalProcessed: 0,
-		errors: 0
+		errors: 0,
+		retries: 0
 	};
 
 	/**
@@ -109,9 +191,21 @@ class WordPressSharpImageApp {
 
 			// Initialize components
 			await this.initializeDatabase();
+			await this.initializeSites();
 			await this.initializeImageProcessor();
+			await this.initializeRetries();
+			await this.initializeJournal();
 			await this.initializeFileWatcher();
 
+			// Re-queue images that were pending when the service last stopped
+			await this.replayJournal();
+
+			// Pick up uploads added while the service was down
+			this.runCatchUp();
+
+			// Expose the local control API
+			await this.initializeControlServer();
+
 			// Setup monitoring
 			this.setupMonitoring();
 
@@ -211,9 +305,91 @@ class WordPressSharpImageApp {
 			throw new Error('Failed to connect to WordPress via wp-cli. Make sure wp-cli is installed and WordPress path is correct.');
 		}
 
+		this.pendingAssociations = new PendingAssociations(this.config.wordpress.association);
+
 		logger.info('WordPress data access established');
 	}
 
+	/**
+	 * Load the multisite network's sites in network mode
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async initializeSites() {
+		if (!this.config.wordpress.multisite?.enabled) {
+			return;
+		}
+
+		logger.info('Initializing multisite network mode...');
+
+		this.sites = new SiteRegistry(this.database, this.config);
+		await this.sites.load();
+	}
+
+	/**
+	 * Find the site a file belongs to and the database access for it
+	 * 
+	 * Outside network mode every file belongs to the configured site.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Absolute path of a file in the uploads directory.
+	 * 
+	 * @return {Promise<Object|null>} Site, site bound database and path relative to the site's uploads directory, null if the site doesn't exist.
+	 */
+	async resolveSite(filePath) {
+		if (!this.sites) {
+			return {
+				site: null,
+				database: this.database,
+				relativePath: path.relative(this.config.wordpress.uploadsPath, filePath)
+			};
+		}
+
+		const resolved = await this.sites.resolve(filePath);
+		if (!resolved) {
+			return null;
+		}
+
+		await this.loadSiteImageSizes(resolved.site);
+
+		return {
+			...resolved,
+			database: this.database.forSite(resolved.site)
+		};
+	}
+
+	/**
+	 * Load a site's image sizes into the image processor if not loaded yet
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} site Site.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async loadSiteImageSizes(site) {
+		if (this.imageProcessor.hasImageSizes(site.id)) {
+			return;
+		}
+
+		if (!this.siteImageSizeLoads.has(site.id)) {
+			const database = this.database.forSite(site);
+			const load = Promise.all([database.getImageSizes(), database.getBigImageSizeThreshold()])
+				.then(([imageSizes, threshold]) => {
+					this.imageProcessor.updateBigImageThreshold(threshold, site.id);
+					this.imageProcessor.updateImageSizes(imageSizes, site.id);
+				})
+				.finally(() => this.siteImageSizeLoads.delete(site.id));
+
+			this.siteImageSizeLoads.set(site.id, load);
+		}
+
+		return this.siteImageSizeLoads.get(site.id);
+	}
+
 	/**
 	 * Initialize image processor
 	 * 
@@ -230,10 +406,129 @@ class WordPressSharpImageApp {
 
 		// Create image processor
 		this.imageProcessor = new ImageProcessor(this.config.images, imageSizes);
+		this.imageProcessor.updateBigImageThreshold(await this.database.getBigImageSizeThreshold());
 
 		logger.info('Image processor initialized');
 	}
 
+	/**
+	 * Initialize the persistent job journal
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async initializeJournal() {
+		if (this.config.journal?.enabled === false) {
+			logger.info('Job journal disabled');
+			return;
+		}
+
+		logger.info('Initializing job journal...');
+
+		this.journal = new JobJournal(this.config.journal);
+		await this.journal.open();
+
+		// Record when queued images actually start processing
+		this.imageProcessor.processingQueue.on('started', (job) => {
+			this.journal.record('started', job.key);
+		});
+
+		logger.info('Job journal initialized');
+	}
+
+	/**
+	 * Initialize the retry policy and dead-letter list
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async initializeRetries() {
+		const retryConfig = this.config.retry || {};
+
+		this.retryPolicy = new RetryPolicy(retryConfig);
+		this.deadLetters = new DeadLetterList(retryConfig.deadLetterFile);
+
+		const entries = await this.deadLetters.open();
+		if (entries.length > 0) {
+			logger.warn(`${entries.length} image(s) in the dead-letter list, see bun run dead-letters`);
+		}
+	}
+
+	/**
+	 * Replay images left pending in the job journal
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async replayJournal() {
+		if (!this.journal) {
+			return;
+		}
+
+		const pending = this.journal.getPending();
+		if (pending.length === 0) {
+			return;
+		}
+
+		logger.info(`Replaying ${pending.length} pending image(s) from job journal`);
+
+		for (const filePath of pending) {
+			if (!await fs.pathExists(filePath)) {
+				logger.debug(`Pending image no longer exists: ${path.basename(filePath)}`);
+				await this.journal.record('completed', filePath, { skipped: 'missing' });
+				continue;
+			}
+
+			// Not awaited: the processing queue applies backpressure
+			this.handleNewImage(filePath);
+		}
+	}
+
+	/**
+	 * Run the startup catch-up scan in the background
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {void}
+	 */
+	runCatchUp() {
+		if (!this.config.watcher.catchUp?.enabled) {
+			return;
+		}
+
+		this.fileWatcher.catchUp(
+			this.config.wordpress.uploadsPath,
+			async (filePath) => {
+				const target = await this.resolveSite(filePath);
+				return !!target && (await this.imageProcessor.getMissingSizes(filePath, target.site?.id)).length > 0;
+			}
+		).catch((error) => {
+			logger.error('Catch-up scan failed:', error.message);
+		});
+	}
+
+	/**
+	 * Initialize the local control API
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async initializeControlServer() {
+		if (this.config.api?.enabled === false) {
+			logger.info('Control API disabled');
+			return;
+		}
+
+		this.registerMetrics();
+
+		this.controlServer = new ControlServer(this.config.api, this);
+		await this.controlServer.start();
+	}
+
 	/**
 	 * Initialize file watcher
 	 * 
@@ -259,42 +554,553 @@ class WordPressSharpImageApp {
 	/**
 	 * Handle new image file detected by watcher
 	 * 
+	 * Transient failures are retried with backoff; images that fail for good
+	 * go to the dead-letter list. Images whose attachment doesn't exist yet
+	 * wait for it in PendingAssociations, like a retry, without holding up
+	 * the caller.
+	 * 
 	 * @since TBD
 	 * 
 	 * @param {string} filePath Path to the new image file.
+	 * @param {number} attempt  Attempt number, starting at 1.
 	 * 
 	 * @return {Promise<void>}
 	 */
-	async handleNewImage(filePath) {
+	async handleNewImage(filePath, attempt = 1) {
+		// A new event for the file replaces a retry or an attachment wait that is still pending
+		if (attempt === 1) {
+			if (this.retryTimers.has(filePath)) {
+				clearTimeout(this.retryTimers.get(filePath));
+				this.retryTimers.delete(filePath);
+			}
+
+			if (this.pendingAssociations) {
+				this.pendingAssociations.cancel(filePath);
+			}
+		}
+
+		if (this.journal) {
+			await this.journal.record('enqueued', filePath);
+		}
+
+		let target = null;
+		let result = null;
+
 		try {
-			// Process the image
-			const metadata = await this.imageProcessor.processImage(filePath);
+			target = await this.resolveSite(filePath);
+			if (!target) {
+				throw new Error(`No site found for ${path.relative(this.config.wordpress.uploadsPath, filePath)}`);
+			}
+
+			// Queue the image and wait for a worker to process it
+			const metadata = await this.imageProcessor.queueImage(filePath, { siteId: target.site?.id });
 			
 
 			logger.info('handleNewImage', metadata);
 			if (metadata) {
-				// Get attachment ID from database
-				const relativePath = path.relative(this.config.wordpress.uploadsPath, filePath);
-				const attachmentId = await this.database.getAttachmentIdByPath(relativePath);
+				// Big images are attached as their -scaled copy, like WordPress does
+				const attachedPath = metadata.original_image
+					? path.posix.join(path.posix.dirname(target.relativePath), metadata.file)
+					: target.relativePath;
+
+				result = { metadata, attachedPath, attachmentId: await this.findAttachment(target, attachedPath) };
+
+				// WordPress often inserts the attachment after the file is on disk. While
+				// waiting the image stays pending in the journal, so a restart retries it.
+				if (!result.attachmentId && this.pendingAssociations) {
+					this.pendingAssociations.wait(filePath, () => this.findAttachment(target, attachedPath))
+						.then((attachmentId) => this.finishImage(filePath, attempt, target, { ...result, attachmentId }));
+					return;
+				}
+			}
+		} catch (error) {
+			await this.handleImageFailure(filePath, attempt, target, error);
+			return;
+		}
+
+		await this.finishImage(filePath, attempt, target, result);
+	}
+
+	/**
+	 * Write the metadata of a processed image and mark it completed
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}      filePath Path to the image file.
+	 * @param {number}      attempt  Attempt number.
+	 * @param {Object}      target   Site, site bound database and path relative to the site's uploads directory.
+	 * @param {Object|null} result   Generated metadata, attached path and attachment ID, null if nothing was generated.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async finishImage(filePath, attempt, target, result) {
+		try {
+			if (result) {
+				const { metadata, attachedPath, attachmentId } = result;
 
 				if (attachmentId) {
-					// Update attachment metadata in database
-					await this.database.updateAttachmentMeta(attachmentId, metadata);
-					logger.info(`Updated attachment metadata for ID: ${attachmentId}`);
+					if (attachedPath !== target.relativePath) {
+						await target.database.updateAttachedFile(attachmentId, attachedPath);
+					}
+
+					// Failures keep their original error for the retry policy
+					await this.writeAttachmentMetadata(target.database, attachmentId, metadata);
 				} else {
-					logger.warn(`No attachment found for file: ${path.basename(filePath)}`);
+					logger.warn(`No attachment found for file: ${path.basename(filePath)}, metadata not written`);
 				}
 
 				this.stats.totalProcessed++;
 			}
 
+			if (this.journal) {
+				await this.journal.record('completed', filePath);
+			}
+
+			if (this.deadLetters?.has(filePath)) {
+				await this.deadLetters.remove(filePath);
+			}
+
 		} catch (error) {
-			this.stats.errors++;
-			logger.error(`Failed to handle new image: ${path.basename(filePath)}`, {
-				error: error.message,
-				path: filePath
+			await this.handleImageFailure(filePath, attempt, target, error);
+		}
+	}
+
+	/**
+	 * Retry a failed image, or record it as failed for good
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}      filePath Path to the image file.
+	 * @param {number}      attempt  Number of the failed attempt.
+	 * @param {Object|null} target   Site of the image, null if it couldn't be resolved.
+	 * @param {Error}       error    Failure of the attempt.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async handleImageFailure(filePath, attempt, target, error) {
+		if (error instanceof JobCancelledError) {
+			if (this.journal) {
+				await this.journal.record('cancelled', filePath);
+			}
+
+			logger.info(`Cancelled image: ${path.basename(filePath)}`);
+			return;
+		}
+
+		if (this.retryPolicy?.shouldRetry(error, attempt)) {
+			await this.scheduleRetry(filePath, attempt, error);
+			return;
+		}
+
+		this.stats.errors++;
+
+		if (this.journal) {
+			await this.journal.record('failed', filePath, { error: error.message });
+		}
+
+		if (this.deadLetters) {
+			await this.deadLetters.add(filePath, {
+				error,
+				attempts: attempt,
+				permanent: !this.retryPolicy.isTransient(error),
+				site: target?.site?.id ?? null
 			});
 		}
+
+		logger.error(`Failed to handle new image: ${path.basename(filePath)}`, {
+			error: error.message,
+			path: filePath
+		});
+	}
+
+	/**
+	 * Find the attachment of a processed image
+	 * 
+	 * The attachment only counts once its `_wp_attachment_metadata` exists,
+	 * the same signal the plugin reports on. WordPress stores it after
+	 * `_wp_attached_file`, in the same request, and would replace metadata
+	 * written in between.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} target       Site, site bound database and path relative to the site's uploads directory.
+	 * @param {string} attachedPath Relative path the attachment should point at, the -scaled copy for big images.
+	 * 
+	 * @return {Promise<number|null>} Attachment ID or null if not found.
+	 */
+	async findAttachment(target, attachedPath) {
+		// Look up the original path first, the attachment may already point at the -scaled copy
+		let attachmentId = await target.database.getAttachmentIdByPath(target.relativePath);
+		if (!attachmentId && attachedPath !== target.relativePath) {
+			attachmentId = await target.database.getAttachmentIdByPath(attachedPath);
+		}
+
+		if (!attachmentId) {
+			return null;
+		}
+
+		if (!await target.database.getAttachmentMeta(attachmentId)) {
+			logger.debug(`Attachment ${attachmentId} has no metadata yet`);
+			return null;
+		}
+
+		return attachmentId;
+	}
+
+	/**
+	 * Write the metadata of a processed image to its attachment
+	 * 
+	 * The generated metadata is merged with the stored metadata, following
+	 * the rules in MetadataMerge.js, and the changes are logged. Nothing is
+	 * written when the stored metadata can't be read, so a failed lookup
+	 * never replaces it wholesale; the error goes to the retry policy.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Database} database     Database bound to the attachment's site.
+	 * @param {number}   attachmentId Attachment ID.
+	 * @param {Object}   metadata     Metadata generated for the image.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async writeAttachmentMetadata(database, attachmentId, metadata) {
+		const existing = await database.getAttachmentMeta(attachmentId);
+		const merged = mergeAttachmentMetadata(existing, metadata);
+
+		await database.updateAttachmentMeta(attachmentId, merged);
+
+		if (existing) {
+			const changes = diffMetadata(existing, merged);
+			logger.info(`Updated attachment metadata for ID: ${attachmentId} (${changes.length} change(s))`, { changes });
+		} else {
+			logger.info(`Updated attachment metadata for ID: ${attachmentId}`);
+		}
+	}
+
+	/**
+	 * Schedule another attempt at a failed image
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Path to the image file.
+	 * @param {number} attempt  Number of the failed attempt.
+	 * @param {Error}  error    Failure of the attempt.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async scheduleRetry(filePath, attempt, error) {
+		const delay = this.retryPolicy.getDelay(attempt);
+
+		this.stats.retries++;
+		logger.warn(`Retrying ${path.basename(filePath)} in ${Math.round(delay / 1000)}s (attempt ${attempt + 1} of ${this.retryPolicy.maxAttempts})`, {
+			error: error.message
+		});
+
+		this.retryTimers.set(filePath, setTimeout(() => {
+			this.retryTimers.delete(filePath);
+			this.handleNewImage(filePath, attempt + 1);
+		}, delay));
+
+		// Keeps the image pending, so a restart before the retry still processes it
+		if (this.journal) {
+			await this.journal.record('retrying', filePath, { attempt, error: error.message });
+		}
+	}
+
+	/**
+	 * Replay images from the dead-letter list
+	 * 
+	 * Replayed images leave the list and start over with a full set of
+	 * attempts; they are listed again if they fail again.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Array<string>} filePaths Paths of the images to replay, absolute or relative to the uploads directory.
+	 * @param {boolean}       all       Replay every listed image.
+	 * 
+	 * @return {Promise<Object>} Replayed paths and requested paths that aren't listed.
+	 */
+	async replayDeadLetters(filePaths = [], all = false) {
+		const { listed, unknown } = this.matchDeadLetters(filePaths, all);
+
+		for (const filePath of listed) {
+			await this.deadLetters.remove(filePath);
+
+			// Not awaited: the processing queue applies backpressure
+			this.handleNewImage(filePath);
+		}
+
+		if (listed.length > 0) {
+			logger.info(`Replaying ${listed.length} image(s) from the dead-letter list`);
+		}
+
+		return { replayed: listed, unknown };
+	}
+
+	/**
+	 * Remove images from the dead-letter list without processing them
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Array<string>} filePaths Paths of the images to remove, absolute or relative to the uploads directory.
+	 * @param {boolean}       all       Remove every listed image.
+	 * 
+	 * @return {Promise<Object>} Removed paths and requested paths that aren't listed.
+	 */
+	async removeDeadLetters(filePaths = [], all = false) {
+		const { listed, unknown } = this.matchDeadLetters(filePaths, all);
+
+		for (const filePath of listed) {
+			await this.deadLetters.remove(filePath);
+		}
+
+		return { removed: listed, unknown };
+	}
+
+	/**
+	 * Match requested paths against the dead-letter list
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Array<string>} filePaths Requested paths, absolute or relative to the uploads directory.
+	 * @param {boolean}       all       Match every listed image.
+	 * 
+	 * @return {Object} Listed absolute paths and requested paths that aren't listed.
+	 */
+	matchDeadLetters(filePaths, all) {
+		if (all) {
+			return { listed: this.deadLetters.list().map((entry) => entry.path), unknown: [] };
+		}
+
+		if (!Array.isArray(filePaths) || filePaths.length === 0) {
+			throw new HttpError(400, 'Either paths or all is required');
+		}
+
+		const uploadsPath = path.resolve(this.config.wordpress.uploadsPath);
+		const listed = [];
+		const unknown = [];
+
+		for (const filePath of filePaths) {
+			const resolved = path.resolve(uploadsPath, String(filePath));
+			(this.deadLetters.has(resolved) ? listed : unknown).push(resolved);
+		}
+
+		return { listed, unknown };
+	}
+
+	/**
+	 * Register application level metrics
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {void}
+	 */
+	registerMetrics() {
+		metrics.counter({
+			name: 'wp_sharp_handled_images_total',
+			help: 'Images handled by the service, including metadata updates, by result.',
+			labelNames: ['result'],
+			collect: () => [
+				[{ result: 'success' }, this.stats.totalProcessed],
+				[{ result: 'error' }, this.stats.errors]
+			]
+		});
+
+		metrics.counter({
+			name: 'wp_sharp_retries_total',
+			help: 'Retries scheduled for images that failed with a transient error.',
+			collect: () => this.stats.retries
+		});
+
+		metrics.gauge({
+			name: 'wp_sharp_dead_letters',
+			help: 'Images in the dead-letter list.',
+			collect: () => this.deadLetters ? this.deadLetters.list().length : 0
+		});
+
+		metrics.gauge({
+			name: 'wp_sharp_pending_associations',
+			help: 'Processed images waiting for WordPress to insert their attachment.',
+			collect: () => this.pendingAssociations ? this.pendingAssociations.entries.size : 0
+		});
+
+		metrics.gauge({
+			name: 'wp_sharp_uptime_seconds',
+			help: 'Service uptime in seconds.',
+			collect: () => (Date.now() - this.stats.startTime) / 1000
+		});
+
+		metrics.gauge({
+			name: 'wp_sharp_memory_bytes',
+			help: 'Process memory usage in bytes, by type.',
+			labelNames: ['type'],
+			collect: () => Object.entries(process.memoryUsage()).map(([type, bytes]) => [{ type }, bytes])
+		});
+
+		metrics.gauge({
+			name: 'wp_sharp_watcher_pending_files',
+			help: 'Files waiting for the debounce delay or being handled by the watcher.',
+			labelNames: ['state'],
+			collect: () => {
+				const watcherStats = this.fileWatcher.getStats();
+				return [
+					[{ state: 'debouncing' }, watcherStats.queuedFiles],
+					[{ state: 'processing' }, watcherStats.processingFiles]
+				];
+			}
+		});
+	}
+
+	/**
+	 * Resolve the image file a control API request refers to
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} request              Request body.
+	 * @param {number} request.attachmentId Attachment ID of the image.
+	 * @param {string} request.path         File path, absolute or relative to the uploads directory.
+	 * @param {number} request.site         Site of the attachment in network mode, defaults to the main site.
+	 * 
+	 * @return {Promise<string>} Absolute file path inside the uploads directory.
+	 */
+	async resolveRequestPath(request) {
+		const uploadsPath = path.resolve(this.config.wordpress.uploadsPath);
+		let filePath = null;
+
+		if (request.attachmentId) {
+			let database = this.database;
+			let siteUploadsPath = uploadsPath;
+
+			// In network mode attachment IDs are per site, defaulting to the main site
+			if (this.sites) {
+				const site = request.site ? await this.sites.get(parseInt(request.site, 10)) : this.sites.mainSite;
+				if (!site) {
+					throw new HttpError(404, `Site not found: ${request.site}`);
+				}
+
+				database = this.database.forSite(site);
+				siteUploadsPath = this.sites.getUploadsPath(site);
+			}
+
+			const attachmentId = parseInt(request.attachmentId, 10);
+			const attachedFile = isNaN(attachmentId) ? null : await database.getOriginalAttachedFile(attachmentId);
+
+			if (!attachedFile) {
+				throw new HttpError(404, `No attached file found for attachment ${request.attachmentId}`);
+			}
+
+			filePath = path.resolve(siteUploadsPath, attachedFile);
+		} else if (request.path) {
+			filePath = path.resolve(uploadsPath, String(request.path));
+		} else {
+			throw new HttpError(400, 'Either attachmentId or path is required');
+		}
+
+		// Only files inside the uploads directory may be processed
+		if (!filePath.startsWith(uploadsPath + path.sep)) {
+			throw new HttpError(400, 'Path must be inside the uploads directory');
+		}
+
+		return filePath;
+	}
+
+	/**
+	 * Queue an image requested through the control API
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} request Request body, see resolveRequestPath().
+	 * 
+	 * @return {Promise<Object>} Queued file details.
+	 */
+	async enqueueRequest(request) {
+		const uploadsPath = path.resolve(this.config.wordpress.uploadsPath);
+		const filePath = await this.resolveRequestPath(request);
+
+		if (!await fs.pathExists(filePath)) {
+			throw new HttpError(404, `File not found: ${path.relative(uploadsPath, filePath)}`);
+		}
+
+		// Not awaited: the response only confirms the image was accepted
+		this.handleNewImage(filePath);
+
+		return {
+			queued: true,
+			path: filePath
+		};
+	}
+
+	/**
+	 * Cancel an image requested through the control API
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} request Request body, see resolveRequestPath().
+	 * 
+	 * @return {Promise<Object>} Cancelled file details.
+	 */
+	async cancelRequest(request) {
+		const filePath = await this.resolveRequestPath(request);
+
+		if (!this.imageProcessor.cancel(filePath)) {
+			throw new HttpError(404, 'Image is not queued or being processed');
+		}
+
+		return {
+			cancelled: true,
+			path: filePath
+		};
+	}
+
+	/**
+	 * Associate an attachment reported by the WordPress plugin
+	 * 
+	 * The plugin reports new attachments as soon as WordPress inserts them,
+	 * so an image waiting for its attachment doesn't have to wait for the
+	 * next lookup.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} request Request body with attachmentId and, in network mode, site.
+	 * 
+	 * @return {Promise<Object>} Attached file details and whether an image was waiting for it.
+	 */
+	async associateRequest(request) {
+		const attachmentId = parseInt(request.attachmentId, 10);
+		if (isNaN(attachmentId)) {
+			throw new HttpError(400, 'attachmentId is required');
+		}
+
+		const filePath = await this.resolveRequestPath({ attachmentId, site: request.site });
+		const associated = this.pendingAssociations.associate(filePath, attachmentId);
+
+		if (associated) {
+			logger.info(`Attachment ${attachmentId} reported for ${path.basename(filePath)}`);
+		}
+
+		return {
+			associated,
+			path: filePath
+		};
+	}
+
+	/**
+	 * Get service health information
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Object} Health status.
+	 */
+	getHealth() {
+		const watcherRunning = !!this.fileWatcher?.watcher;
+
+		return {
+			status: watcherRunning ? 'ok' : 'degraded',
+			pid: process.pid,
+			uptime: this.formatUptime(Date.now() - this.stats.startTime),
+			watcher: watcherRunning,
+			queue: this.imageProcessor.processingQueue.getStats()
+		};
 	}
 
 	/**
@@ -326,6 +1132,17 @@ class WordPressSharpImageApp {
 	 * @return {void}
 	 */
 	reportStatistics() {
+		logStats(this.collectStatistics());
+	}
+
+	/**
+	 * Collect application, processor and watcher statistics
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Object} Statistics.
+	 */
+	collectStatistics() {
 		const appUptime = Date.now() - this.stats.startTime;
 		const processorStats = this.imageProcessor.getStats();
 		const watcherStats = this.fileWatcher.getStats();
@@ -334,6 +1151,11 @@ class WordPressSharpImageApp {
 			uptime: this.formatUptime(appUptime),
 			totalProcessed: this.stats.totalProcessed,
 			errors: this.stats.errors,
+			retries: this.stats.retries,
+			pendingRetries: this.retryTimers.size,
+			deadLetters: this.deadLetters ? this.deadLetters.list().length : 0,
+			associations: this.pendingAssociations ? this.pendingAssociations.getStats() : null,
+			sites: this.sites ? this.sites.getSites().length : null,
 			processor: processorStats,
 			watcher: watcherStats,
 			memory: process.memoryUsage(),
@@ -341,7 +1163,7 @@ class WordPressSharpImageApp {
 				new Date(this.stats.lastImageSizeUpdate).toISOString() : 'Never'
 		};
 
-		logStats(stats);
+		return stats;
 	}
 
 	/**
@@ -383,7 +1205,12 @@ class WordPressSharpImageApp {
 			
 			const imageSizes = await this.database.getImageSizes();
 			this.imageProcessor.updateImageSizes(imageSizes);
+			this.imageProcessor.updateBigImageThreshold(await this.database.getBigImageSizeThreshold());
 			this.stats.lastImageSizeUpdate = Date.now();
+
+			// Site settings are reloaded the next time each site is processed
+			this.imageProcessor.siteImageSizes.clear();
+			this.imageProcessor.siteBigImageThresholds.clear();
 			
 			logger.info('Image sizes refreshed successfully');
 
@@ -437,11 +1264,41 @@ class WordPressSharpImageApp {
 			clearInterval(this.monitoringInterval);
 		}
 
+		// Stop accepting control API requests
+		if (this.controlServer) {
+			await this.controlServer.stop();
+		}
+
 		// Stop file watcher
 		if (this.fileWatcher) {
 			await this.fileWatcher.stopWatching();
 		}
 
+		// Stop isolated processing workers
+		if (this.imageProcessor) {
+			await this.imageProcessor.stop();
+		}
+
+		// Retries still waiting stay pending in the journal
+		for (const timer of this.retryTimers.values()) {
+			clearTimeout(timer);
+		}
+		this.retryTimers.clear();
+
+		// So do images waiting for their attachment
+		if (this.pendingAssociations) {
+			this.pendingAssociations.stop();
+		}
+
+		// Flush pending journal and dead-letter writes
+		if (this.journal) {
+			await this.journal.close();
+		}
+
+		if (this.deadLetters) {
+			await this.deadLetters.close();
+		}
+
 		// Close WordPress data access
 		if (this.database) {
 			await this.database.disconnect();
@@ -214,6 +214,46 @@ class SharpImageProcessing {
 		
 		// Add responsive image support.
 		add_filter( 'wp_calculate_image_srcset', [ __CLASS__, 'calculate_sharp_srcset' ], 10, 5 );
+
+		// Tell the service about new attachments once WordPress has stored their metadata.
+		add_action( 'added_post_meta', [ __CLASS__, 'report_new_attachment' ], 10, 3 );
+	}
+
+	/**
+	 * Report a new attachment to the service
+	 * 
+	 * The service usually processes an upload before WordPress has inserted
+	 * its attachment and waits for it before writing the metadata. Reporting
+	 * the attachment ends that wait without another lookup.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param int    $meta_id   Meta ID.
+	 * @param int    $object_id Post ID.
+	 * @param string $meta_key  Meta key.
+	 * 
+	 * @return void
+	 */
+	public static function report_new_attachment( $meta_id, $object_id, $meta_key ) {
+		if ( '_wp_attachment_metadata' !== $meta_key || ! self::is_image_attachment( $object_id ) ) {
+			return;
+		}
+
+		$body = [ 'attachmentId' => $object_id ];
+		if ( is_multisite() ) {
+			$body['site'] = get_current_blog_id();
+		}
+
+		// Don't hold up the upload waiting for the service.
+		wp_remote_post(
+			self::get_api_url() . '/associate',
+			[
+				'timeout'  => 1,
+				'blocking' => false,
+				'headers'  => array_merge( self::get_api_headers(), [ 'Content-Type' => 'application/json' ] ),
+				'body'     => wp_json_encode( $body ),
+			]
+		);
 	}
 
 	/**
@@ -507,6 +547,7 @@ class SharpImageProcessing {
 			<?php if ( $status['running'] ) : ?>
 				<p><strong>Processed Images:</strong> <?php echo number_format( $status['processed'] ); ?></p>
 				<p><strong>Errors:</strong> <?php echo number_format( $status['errors'] ); ?></p>
+				<p><strong>Queued Images:</strong> <?php echo number_format( $status['queued'] ); ?></p>
 				<p><strong>Uptime:</strong> <?php echo $status['uptime']; ?></p>
 			<?php endif; ?>
 			
@@ -634,26 +675,28 @@ class SharpImageProcessing {
 			'processed' => 0,
 			'errors'    => 0,
 			'uptime'    => 'Unknown',
+			'queued'    => 0,
 		];
 
-		// Check if service is running by looking for process.
-		$process_check = shell_exec( 'pgrep -f "wp-sharp-image\|bun.*index\.js" 2>/dev/null' );
-		if ( ! empty( $process_check ) ) {
-			$status['running'] = true;
-		}
+		// Ask the service's control API for real statistics.
+		$response = wp_remote_get(
+			self::get_api_url() . '/stats',
+			[
+				'timeout' => 2,
+				'headers' => self::get_api_headers(),
+			]
+		);
 
-		// Try to read log file for statistics.
-		$log_file = WP_CONTENT_DIR . '/../dev/wp-sharp-image/logs/wp-sharp-image.log';
-		if ( file_exists( $log_file ) ) {
-			$log_content = file_get_contents( $log_file );
-			
-			// Count processed images.
-			$processed_count = substr_count( $log_content, 'Processing completed' );
-			$status['processed'] = $processed_count;
-			
-			// Count errors.
-			$error_count = substr_count( $log_content, 'ERROR' );
-			$status['errors'] = $error_count;
+		if ( ! is_wp_error( $response ) && 200 === wp_remote_retrieve_response_code( $response ) ) {
+			$stats = json_decode( wp_remote_retrieve_body( $response ), true );
+
+			if ( is_array( $stats ) ) {
+				$status['running']   = true;
+				$status['processed'] = (int) ( $stats['totalProcessed'] ?? 0 );
+				$status['errors']    = (int) ( $stats['errors'] ?? 0 );
+				$status['uptime']    = $stats['uptime'] ?? 'Unknown';
+				$status['queued']    = (int) ( $stats['processor']['queue']['queued'] ?? 0 );
+			}
 		}
 
 		// Cache status for 1 minute.
@@ -663,6 +706,41 @@ class SharpImageProcessing {
 		return $status;
 	}
 
+	/**
+	 * Get the service control API URL
+	 * 
+	 * Defaults to the service's default local address. Define
+	 * SHARP_IMAGE_API_URL in wp-config.php to change it.
+	 * 
+	 * @since TBD
+	 * 
+	 * @return string Control API base URL without trailing slash.
+	 */
+	private static function get_api_url() {
+		$url = defined( 'SHARP_IMAGE_API_URL' ) ? SHARP_IMAGE_API_URL : 'http://127.0.0.1:9797';
+
+		return untrailingslashit( $url );
+	}
+
+	/**
+	 * Get the headers for control API requests
+	 * 
+	 * Adds the bearer token when SHARP_IMAGE_API_TOKEN is defined.
+	 * 
+	 * @since TBD
+	 * 
+	 * @return array Request headers.
+	 */
+	private static function get_api_headers() {
+		$headers = [];
+
+		if ( defined( 'SHARP_IMAGE_API_TOKEN' ) && SHARP_IMAGE_API_TOKEN ) {
+			$headers['Authorization'] = 'Bearer ' . SHARP_IMAGE_API_TOKEN;
+		}
+
+		return $headers;
+	}
+
 	/**
 	 * Check if attachment is an image
 	 * 
@@ -0,0 +1,214 @@
+#!/usr/bin/env bun
+
+/**
+ * Image Size Generation Benchmark for WordPress Sharp Image Processing
+ * 
+ * Times generating the -scaled copy and every image size and modern format
+ * of one image when each output decodes its source file again, compared to
+ * decoding the original once and resizing every output from that copy.
+ * 
+ * Usage: bun run benchmark [options]
+ * 
+ *   --image=<path>      Image to benchmark (default: a generated 24MP JPEG)
+ *   --runs=<count>      Runs per mode (default: 3)
+ *   --no-webp           Skip WebP outputs
+ *   --avif              Include AVIF outputs
+ * 
+ * @since TBD
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import { parseArgs } from 'util';
+import { ImageProcessor } from '../src/ImageProcessor.js';
+import { configureLogger } from '../src/Logger.js';
+
+/**
+ * WordPress core image sizes
+ * 
+ * @since TBD
+ * 
+ * @type {Object}
+ */
+const CORE_IMAGE_SIZES = {
+	thumbnail: { width: 150, height: 150, crop: true },
+	medium: { width: 300, height: 300, crop: false },
+	medium_large: { width: 768, height: 0, crop: false },
+	large: { width: 1024, height: 1024, crop: false },
+	'1536x1536': { width: 1536, height: 1536, crop: false },
+	'2048x2048': { width: 2048, height: 2048, crop: false }
+};
+
+/**
+ * Benchmark class
+ * 
+ * @since TBD
+ */
+class SizeGenerationBenchmark {
+	/**
+	 * Command line options
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	options = {};
+
+	/**
+	 * Temporary working directory
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	workDir = null;
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Array<string>} args Command line arguments.
+	 */
+	constructor(args) {
+		const { values } = parseArgs({
+			args,
+			options: {
+				image: { type: 'string' },
+				runs: { type: 'string', default: '3' },
+				'no-webp': { type: 'boolean', default: false },
+				avif: { type: 'boolean', default: false }
+			}
+		});
+
+		this.options = values;
+	}
+
+	/**
+	 * Run the benchmark
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async run() {
+		console.log('⏱️  WordPress Sharp Image Size Generation Benchmark');
+		console.log('==================================================');
+
+		const runs = parseInt(this.options.runs, 10);
+		if (isNaN(runs) || runs < 1) {
+			throw new Error(`Invalid run count: ${this.options.runs}`);
+		}
+
+		configureLogger({ level: 'error', console: false });
+
+		this.workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wp-sharp-benchmark-'));
+
+		try {
+			const filePath = await this.prepareImage();
+			const processor = new ImageProcessor({
+				optimize: true,
+				progressive: true,
+				quality: { jpeg: 82, png: 90, webp: 80, avif: 60 },
+				modernFormats: { webp: !this.options['no-webp'], avif: this.options.avif },
+				backupOriginals: false
+			}, CORE_IMAGE_SIZES);
+
+			const originalMetadata = await sharp(filePath).metadata();
+			const metadata = processor.getOrientedMetadata(originalMetadata);
+			const scaled = processor.getScaledDimensions(metadata);
+			const scaledPath = processor.getSuffixedPath(filePath, 'scaled');
+			const format = processor.getImageFormat(filePath);
+			const outputs = Object.keys(CORE_IMAGE_SIZES).length * (1 + Number(!this.options['no-webp']) + Number(this.options.avif)) + Number(Boolean(scaled));
+
+			console.log(`🖼️  ${path.basename(filePath)}: ${metadata.width}x${metadata.height}, up to ${outputs} outputs, ${runs} run(s) per mode\n`);
+
+			// Passing file paths makes every output decode its source file again
+			const perOutput = await this.time(runs, async () => {
+				if (scaled) {
+					const resizedImage = await processor.resizeImage(filePath, scaled, metadata);
+					await processor.writeOutput(resizedImage.image, 'full', format, scaledPath);
+				}
+				return processor.generateImageSizes(filePath, metadata, {}, filePath, originalMetadata);
+			});
+
+			const decodedOnce = await this.time(runs, async () => {
+				const decoded = await processor.decodeSource(filePath, originalMetadata);
+				await processor.scaleBigImage(filePath, decoded, metadata);
+				return processor.generateImageSizes(filePath, metadata, {}, decoded, originalMetadata);
+			});
+
+			console.log(`   Decode per output: ${perOutput.toFixed(0)}ms`);
+			console.log(`   Decode once:       ${decodedOnce.toFixed(0)}ms`);
+			console.log(`   Speedup:           ${(perOutput / decodedOnce).toFixed(2)}x`);
+
+		} finally {
+			await fs.remove(this.workDir);
+		}
+	}
+
+	/**
+	 * Copy the image to benchmark into the working directory
+	 * 
+	 * Generates a noisy 24MP JPEG when no image is given.
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<string>} Path of the working copy.
+	 */
+	async prepareImage() {
+		if (this.options.image) {
+			const filePath = path.join(this.workDir, path.basename(this.options.image));
+			await fs.copy(this.options.image, filePath);
+			return filePath;
+		}
+
+		const filePath = path.join(this.workDir, 'benchmark.jpg');
+		await sharp({
+			create: {
+				width: 6000,
+				height: 4000,
+				channels: 3,
+				noise: { type: 'gaussian', mean: 128, sigma: 30 }
+			}
+		}).blur(2).jpeg({ quality: 90 }).toFile(filePath);
+
+		return filePath;
+	}
+
+	/**
+	 * Time a task, averaging several runs after a warm-up run
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {number}   runs Number of timed runs.
+	 * @param {Function} task Async task to time.
+	 * 
+	 * @return {Promise<number>} Average duration in milliseconds.
+	 */
+	async time(runs, task) {
+		await task();
+
+		const start = performance.now();
+		for (let run = 0; run < runs; run++) {
+			await task();
+		}
+
+		return (performance.now() - start) / runs;
+	}
+}
+
+// Run the benchmark if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const benchmark = new SizeGenerationBenchmark(process.argv.slice(2));
+	benchmark.run().then(() => {
+		process.exit(0);
+	}).catch((error) => {
+		console.error('❌ Benchmark failed:', error.message);
+		process.exit(1);
+	});
+}
+
+export default SizeGenerationBenchmark; 
\ No newline at end of file
@@ -0,0 +1,259 @@
+#!/usr/bin/env bun
+
+/**
+ * Dead-letter list tool for WordPress Sharp Image Processing
+ * 
+ * Lists the images that failed for good, and replays or removes them
+ * through the running service's control API.
+ * 
+ * Usage: bun run dead-letters [command] [paths...] [options]
+ * 
+ *   list                List failed images (default)
+ *   replay <paths...>   Process images again
+ *   remove <paths...>   Drop images from the list without processing them
+ * 
+ *   --all               Replay or remove every listed image
+ *   --json              Print the list as JSON
+ * 
+ * Paths are absolute or relative to the uploads directory.
+ * 
+ * @since TBD
+ */
+
+import http from 'http';
+import path from 'path';
+import { parseArgs } from 'util';
+import WordPressSharpImageApp from '../index.js';
+import { DeadLetterList } from '../src/DeadLetterList.js';
+import { configureLogger } from '../src/Logger.js';
+
+/**
+ * Dead-letter tool class
+ * 
+ * @since TBD
+ */
+class DeadLetterTool {
+	/**
+	 * Command line options
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	options = {};
+
+	/**
+	 * Command and paths
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Array<string>}
+	 */
+	positionals = [];
+
+	/**
+	 * Service configuration
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	config = null;
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Array<string>} args Command line arguments.
+	 */
+	constructor(args) {
+		const { values, positionals } = parseArgs({
+			args,
+			allowPositionals: true,
+			options: {
+				all: { type: 'boolean', default: false },
+				json: { type: 'boolean', default: false }
+			}
+		});
+
+		this.options = values;
+		this.positionals = positionals;
+	}
+
+	/**
+	 * Run the command
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<boolean>} True on success.
+	 */
+	async run() {
+		const [command = 'list', ...paths] = this.positionals;
+
+		configureLogger({ console: false });
+
+		const app = new WordPressSharpImageApp();
+		await app.loadConfiguration();
+		this.config = app.config;
+		configureLogger({ ...this.config.logging, console: false });
+
+		switch (command) {
+		case 'list':
+			return this.list();
+
+		case 'replay':
+		case 'remove':
+			return this.update(command, paths);
+
+		default:
+			throw new Error(`Unknown command: ${command}`);
+		}
+	}
+
+	/**
+	 * List the failed images
+	 * 
+	 * Reads the dead-letter file directly, so it works while the service is
+	 * stopped.
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<boolean>} True on success.
+	 */
+	async list() {
+		const deadLetters = new DeadLetterList(this.config.retry?.deadLetterFile);
+		const entries = await deadLetters.open();
+
+		if (this.options.json) {
+			console.log(JSON.stringify(entries, null, 2));
+			return true;
+		}
+
+		if (entries.length === 0) {
+			console.log('✅ The dead-letter list is empty');
+			return true;
+		}
+
+		console.log(`📋 ${entries.length} failed image(s)\n`);
+
+		for (const entry of entries) {
+			const reason = entry.permanent ? 'permanent error' : `gave up after ${entry.attempts} attempt(s)`;
+
+			console.log(`❌ ${path.relative(this.config.wordpress.uploadsPath, entry.path)}${entry.site ? ` (site #${entry.site})` : ''}`);
+			console.log(`   ${new Date(entry.failedAt).toLocaleString()}, ${reason}`);
+			console.log(`   ${entry.error}`);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Replay or remove images through the control API
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}        command 'replay' or 'remove'.
+	 * @param {Array<string>} paths   Image paths.
+	 * 
+	 * @return {Promise<boolean>} True if every requested image was listed.
+	 */
+	async update(command, paths) {
+		if (!this.options.all && paths.length === 0) {
+			throw new Error(`Pass the paths to ${command}, or --all`);
+		}
+
+		if (this.config.api?.enabled === false) {
+			throw new Error(`${command} needs the control API, enable it in config.js`);
+		}
+
+		const result = await this.requestApi(`/dead-letters/${command}`, { paths, all: this.options.all });
+		const done = command === 'replay' ? result.replayed : result.removed;
+
+		for (const filePath of done) {
+			console.log(`${command === 'replay' ? '🔁' : '🗑️ '} ${path.relative(this.config.wordpress.uploadsPath, filePath)}`);
+		}
+
+		for (const filePath of result.unknown) {
+			console.log(`⚠️  Not in the dead-letter list: ${path.relative(this.config.wordpress.uploadsPath, filePath)}`);
+		}
+
+		console.log(`\n${done.length} image(s) ${command === 'replay' ? 'replayed' : 'removed'}`);
+
+		return result.unknown.length === 0;
+	}
+
+	/**
+	 * Send a POST request to the control API
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} endpoint Endpoint path.
+	 * @param {Object} body     Request body.
+	 * 
+	 * @return {Promise<Object>} Parsed JSON response.
+	 */
+	requestApi(endpoint, body) {
+		const apiConfig = {
+			host: '127.0.0.1',
+			port: 9797,
+			...this.config.api
+		};
+		const options = {
+			method: 'POST',
+			path: endpoint,
+			timeout: 10000,
+			headers: {
+				'Content-Type': 'application/json',
+				...(apiConfig.token ? { Authorization: `Bearer ${apiConfig.token}` } : {})
+			}
+		};
+
+		if (apiConfig.socket) {
+			options.socketPath = apiConfig.socket;
+		} else {
+			options.host = apiConfig.host;
+			options.port = apiConfig.port;
+		}
+
+		return new Promise((resolve, reject) => {
+			const req = http.request(options, (res) => {
+				let data = '';
+				res.on('data', (chunk) => data += chunk);
+				res.on('end', () => {
+					let response;
+					try {
+						response = JSON.parse(data);
+					} catch (error) {
+						reject(new Error('Invalid JSON response'));
+						return;
+					}
+
+					if (res.statusCode !== 200) {
+						reject(new Error(response.error || `HTTP ${res.statusCode}`));
+						return;
+					}
+
+					resolve(response);
+				});
+			});
+
+			req.on('timeout', () => req.destroy(new Error('Request timed out')));
+			req.on('error', (error) => reject(new Error(`Control API not reachable, is the service running? (${error.message})`)));
+			req.end(JSON.stringify(body));
+		});
+	}
+}
+
+// Run the tool if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const tool = new DeadLetterTool(process.argv.slice(2));
+	tool.run().then((success) => {
+		process.exit(success ? 0 : 1);
+	}).catch((error) => {
+		console.error('❌', error.message);
+		process.exit(1);
+	});
+}
+
+export default DeadLetterTool; 
\ No newline at end of file
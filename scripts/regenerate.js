@@ -0,0 +1,420 @@
+#!/usr/bin/env bun
+
+/**
+ * Bulk Media Regeneration for WordPress Sharp Image Processing
+ * 
+ * Regenerates image sizes for existing attachments, e.g. after a theme
+ * registers a new image size, and updates their attachment metadata.
+ * 
+ * Usage: bun run regenerate [options]
+ * 
+ *   --from-id=<id>      Lowest attachment ID to regenerate
+ *   --to-id=<id>        Highest attachment ID to regenerate
+ *   --after=<date>      Only attachments uploaded on or after this date
+ *   --before=<date>     Only attachments uploaded before this date
+ *   --mime=<types>      Comma separated mime types (default: all images)
+ *   --site=<id>         Multisite site to regenerate (default: main site)
+ *   --only-missing      Only generate sizes whose files don't exist yet
+ *   --resume            Continue the previous run with the same filters
+ *   --verbose           Show service log output
+ * 
+ * @since TBD
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import WordPressSharpImageApp from '../index.js';
+import { configureLogger } from '../src/Logger.js';
+
+// ES6 __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Media regenerator class
+ * 
+ * @since TBD
+ */
+class MediaRegenerator {
+	/**
+	 * Command line options
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	options = {};
+
+	/**
+	 * Application instance providing configuration, database and processor
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {WordPressSharpImageApp}
+	 */
+	app = null;
+
+	/**
+	 * Resumable run state
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	state = null;
+
+	/**
+	 * Run state file path
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	stateFile = path.join(__dirname, '..', 'data', 'regenerate-state.json');
+
+	/**
+	 * Promise chain serializing state file writes
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Promise<void>}
+	 */
+	saveChain = Promise.resolve();
+
+	/**
+	 * Site being regenerated, with its database and uploads directory
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	target = null;
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Array<string>} args Command line arguments.
+	 */
+	constructor(args) {
+		const { values } = parseArgs({
+			args,
+			options: {
+				'from-id': { type: 'string' },
+				'to-id': { type: 'string' },
+				after: { type: 'string' },
+				before: { type: 'string' },
+				mime: { type: 'string' },
+				site: { type: 'string' },
+				'only-missing': { type: 'boolean', default: false },
+				resume: { type: 'boolean', default: false },
+				verbose: { type: 'boolean', default: false }
+			}
+		});
+
+		this.options = values;
+	}
+
+	/**
+	 * Build attachment filters from the command line options
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Object} Attachment filters.
+	 */
+	getFilters() {
+		const filters = {
+			fromId: this.options['from-id'] ? parseInt(this.options['from-id'], 10) : null,
+			toId: this.options['to-id'] ? parseInt(this.options['to-id'], 10) : null,
+			after: this.options.after ? new Date(this.options.after) : null,
+			before: this.options.before ? new Date(this.options.before) : null,
+			mimeTypes: this.options.mime ? this.options.mime.split(',').map((type) => type.trim()).filter(Boolean) : []
+		};
+
+		for (const key of ['fromId', 'toId']) {
+			if (filters[key] !== null && isNaN(filters[key])) {
+				throw new Error(`Invalid attachment ID: ${key === 'fromId' ? this.options['from-id'] : this.options['to-id']}`);
+			}
+		}
+
+		for (const key of ['after', 'before']) {
+			if (filters[key] && isNaN(filters[key].getTime())) {
+				throw new Error(`Invalid date: ${this.options[key]}`);
+			}
+		}
+
+		return filters;
+	}
+
+	/**
+	 * Get the site to regenerate
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<Object>} Site (null outside network mode), site bound database and uploads directory.
+	 */
+	async getTarget() {
+		const sites = this.app.sites;
+
+		if (!sites) {
+			if (this.options.site) {
+				throw new Error('--site requires wordpress.multisite.enabled in the configuration');
+			}
+
+			return {
+				site: null,
+				database: this.app.database,
+				uploadsPath: this.app.config.wordpress.uploadsPath
+			};
+		}
+
+		const site = this.options.site ? await sites.get(parseInt(this.options.site, 10)) : sites.mainSite;
+		if (!site) {
+			throw new Error(`Site not found: ${this.options.site}`);
+		}
+
+		await this.app.loadSiteImageSizes(site);
+
+		return {
+			site,
+			database: this.app.database.forSite(site),
+			uploadsPath: sites.getUploadsPath(site)
+		};
+	}
+
+	/**
+	 * Run the regeneration
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<boolean>} True if every attachment was regenerated or skipped.
+	 */
+	async run() {
+		console.log('🖼️  WordPress Sharp Image Regeneration');
+		console.log('=====================================');
+
+		const filters = this.getFilters();
+
+		// Reuse the service's configuration and components
+		this.app = new WordPressSharpImageApp();
+		await this.app.loadConfiguration();
+		configureLogger({ ...this.app.config.logging, console: this.options.verbose });
+		await this.app.initializeDatabase();
+		await this.app.initializeSites();
+		await this.app.initializeImageProcessor();
+
+		this.target = await this.getTarget();
+		const filterKey = JSON.stringify({ ...filters, onlyMissing: this.options['only-missing'], site: this.target.site?.id });
+
+		if (this.target.site) {
+			console.log(`🌐 Site #${this.target.site.id} (${this.target.site.url})`);
+		}
+
+		let attachments = await this.target.database.listAttachments(filters);
+
+		this.state = await this.loadState();
+		if (this.options.resume && this.state && this.state.filterKey === filterKey) {
+			attachments = attachments.filter((attachment) => attachment.id > this.state.lastId);
+			console.log(`⏩ Resuming after attachment #${this.state.lastId}`);
+		} else {
+			if (this.options.resume) {
+				console.log('⚠️  No previous run with the same filters found, starting from the beginning');
+			}
+			this.state = {
+				filterKey,
+				lastId: 0,
+				processed: 0,
+				skipped: 0,
+				failed: []
+			};
+		}
+
+		console.log(`📋 ${attachments.length} attachment(s) to regenerate\n`);
+
+		await this.processAll(attachments);
+
+		console.log('\n📊 Regeneration complete');
+		console.log(`   Processed: ${this.state.processed}`);
+		console.log(`   Skipped:   ${this.state.skipped}`);
+		console.log(`   Failed:    ${this.state.failed.length}`);
+
+		if (this.state.failed.length > 0) {
+			console.log(`   Failed IDs: ${this.state.failed.join(', ')}`);
+		}
+
+		await this.app.imageProcessor.stop();
+		await this.app.database.disconnect();
+
+		return this.state.failed.length === 0;
+	}
+
+	/**
+	 * Regenerate attachments using the processing queue workers
+	 * 
+	 * The saved checkpoint only advances past an attachment once it and
+	 * every attachment before it has finished, so a resumed run never skips
+	 * work that was still in progress.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Array<Object>} attachments Attachments ordered by ID.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async processAll(attachments) {
+		const concurrency = this.app.imageProcessor.processingQueue.workers;
+		const finished = new Set();
+		const inFlight = new Set();
+		let checkpoint = 0;
+		let count = 0;
+
+		for (const attachment of attachments) {
+			const position = ++count;
+			const task = this.regenerateAttachment(attachment, position, attachments.length)
+				.finally(async () => {
+					inFlight.delete(task);
+					finished.add(attachment.id);
+
+					while (checkpoint < attachments.length && finished.has(attachments[checkpoint].id)) {
+						this.state.lastId = attachments[checkpoint].id;
+						checkpoint++;
+					}
+
+					await this.saveState();
+				});
+
+			inFlight.add(task);
+
+			if (inFlight.size >= concurrency) {
+				await Promise.race(inFlight);
+			}
+		}
+
+		await Promise.all(inFlight);
+	}
+
+	/**
+	 * Regenerate a single attachment
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} attachment Attachment with ID, date and mime type.
+	 * @param {number} position   Position of the attachment in this run.
+	 * @param {number} total      Number of attachments in this run.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async regenerateAttachment(attachment, position, total) {
+		const prefix = `[${position}/${total}] #${attachment.id}`;
+		const { site, database, uploadsPath } = this.target;
+		let relativePath = null;
+
+		try {
+			relativePath = await database.getOriginalAttachedFile(attachment.id);
+		} catch (error) {
+			this.state.failed.push(attachment.id);
+			console.log(`${prefix} ❌ ${error.message}`);
+			return;
+		}
+
+		if (!relativePath) {
+			this.state.skipped++;
+			console.log(`${prefix} ⏭️  No attached file`);
+			return;
+		}
+
+		const filePath = path.join(uploadsPath, relativePath);
+
+		try {
+			if (!await fs.pathExists(filePath)) {
+				this.state.skipped++;
+				console.log(`${prefix} ⏭️  ${relativePath} (file not found)`);
+				return;
+			}
+
+			if (this.options['only-missing']) {
+				const missing = await this.app.imageProcessor.getMissingSizes(filePath, site?.id);
+				if (missing.length === 0) {
+					this.state.skipped++;
+					console.log(`${prefix} ⏭️  ${relativePath} (all sizes exist)`);
+					return;
+				}
+			}
+
+			const metadata = await this.app.imageProcessor.queueImage(filePath, {
+				onlyMissing: this.options['only-missing'],
+				siteId: site?.id
+			});
+
+			if (!metadata) {
+				throw new Error('Failed to process image');
+			}
+
+			// Big images are attached as their -scaled copy
+			const attachedPath = metadata.original_image ? path.posix.join(path.posix.dirname(relativePath), metadata.file) : relativePath;
+			if (attachedPath !== relativePath && !await database.updateAttachedFile(attachment.id, attachedPath)) {
+				throw new Error('Failed to update attached file');
+			}
+
+			await this.app.writeAttachmentMetadata(database, attachment.id, metadata);
+
+			this.state.processed++;
+			console.log(`${prefix} ✅ ${relativePath} (${Object.keys(metadata.sizes).length} sizes)`);
+
+		} catch (error) {
+			this.state.failed.push(attachment.id);
+			console.log(`${prefix} ❌ ${relativePath}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Load the state of the previous run
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<Object|null>} Previous run state or null if none.
+	 */
+	async loadState() {
+		try {
+			return await fs.readJson(this.stateFile);
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Save the run state so an interrupted run can be resumed
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async saveState() {
+		const tempFile = `${this.stateFile}.tmp`;
+		const state = { ...this.state, failed: [...this.state.failed] };
+
+		this.saveChain = this.saveChain.then(async () => {
+			await fs.ensureDir(path.dirname(this.stateFile));
+			await fs.writeJson(tempFile, state, { spaces: 2 });
+			await fs.rename(tempFile, this.stateFile);
+		});
+
+		return this.saveChain;
+	}
+}
+
+// Run regeneration if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+	const regenerator = new MediaRegenerator(process.argv.slice(2));
+	regenerator.run().then((success) => {
+		process.exit(success ? 0 : 1);
+	}).catch((error) => {
+		console.error('❌ Regeneration failed:', error.message);
+		process.exit(1);
+	});
+}
+
+export default MediaRegenerator; 
\ No newline at end of file
@@ -10,11 +10,17 @@
 
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import http from 'http';
 import fs from 'fs-extra';
 import path from 'path';
+import { fileURLToPath } from 'url';
 
 const execAsync = promisify(exec);
 
+// ES6 __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 /**
  * Service status checker class
  * 
@@ -32,6 +38,7 @@ class ServiceStatusChecker {
 		console.log('📊 WordPress Sharp Image Processing Service Status');
 		console.log('================================================');
 
+		await this.checkApi();
 		await this.checkSupervisor();
 		await this.checkSystemd();
 		await this.checkPM2();
@@ -39,6 +46,116 @@ class ServiceStatusChecker {
 		await this.checkLogs();
 	}
 
+	/**
+	 * Check the service's control API
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async checkApi() {
+		console.log('\n🔍 Control API Status:');
+
+		const apiConfig = await this.loadApiConfig();
+		if (apiConfig.enabled === false) {
+			console.log('⚠️  Control API disabled in config.js');
+			return;
+		}
+
+		try {
+			const health = await this.requestApi(apiConfig, '/health');
+			const stats = await this.requestApi(apiConfig, '/stats');
+			const queue = stats.processor.queue;
+
+			console.log(`✅ Service is responding (status: ${health.status}, PID ${health.pid})`);
+			console.log(`   Uptime: ${stats.uptime} | Processed: ${stats.totalProcessed} | Errors: ${stats.errors}`);
+			console.log(`   Queue: ${queue.running} running, ${queue.queued} queued, ${queue.failed} failed | Memory: ${this.formatMemory(stats.memory.rss)}`);
+			console.log(`   Watcher: ${stats.watcher.isRunning ? 'running' : 'stopped'}, ${stats.watcher.filesDetected} file(s) detected`);
+
+			const workers = stats.processor.workers;
+			if (workers) {
+				console.log(`   Workers: ${workers.busy} busy of ${workers.workers} | Crashed: ${workers.crashed} | Timed out: ${workers.timedOut} | Over memory: ${workers.memoryExceeded} | Recycled: ${workers.recycled}`);
+			}
+		} catch (error) {
+			console.log(`❌ Control API not reachable: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Load the control API settings from config.js
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<Object>} API configuration.
+	 */
+	async loadApiConfig() {
+		const defaults = {
+			host: '127.0.0.1',
+			port: 9797,
+			socket: null,
+			token: null
+		};
+		const configPath = path.join(__dirname, '..', 'config.js');
+
+		try {
+			if (await fs.pathExists(configPath)) {
+				const configModule = await import(configPath);
+				return { ...defaults, ...configModule.default.api };
+			}
+		} catch (error) {
+			console.log(`⚠️  Could not load config.js: ${error.message}`);
+		}
+
+		return defaults;
+	}
+
+	/**
+	 * Request a control API endpoint
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} apiConfig API configuration.
+	 * @param {string} endpoint  Endpoint path.
+	 * 
+	 * @return {Promise<Object>} Parsed JSON response.
+	 */
+	requestApi(apiConfig, endpoint) {
+		const options = {
+			path: endpoint,
+			timeout: 3000,
+			headers: apiConfig.token ? { Authorization: `Bearer ${apiConfig.token}` } : {}
+		};
+
+		if (apiConfig.socket) {
+			options.socketPath = apiConfig.socket;
+		} else {
+			options.host = apiConfig.host;
+			options.port = apiConfig.port;
+		}
+
+		return new Promise((resolve, reject) => {
+			const req = http.get(options, (res) => {
+				let body = '';
+				res.on('data', (chunk) => body += chunk);
+				res.on('end', () => {
+					if (res.statusCode !== 200) {
+						reject(new Error(`HTTP ${res.statusCode}`));
+						return;
+					}
+
+					try {
+						resolve(JSON.parse(body));
+					} catch (error) {
+						reject(new Error('Invalid JSON response'));
+					}
+				});
+			});
+
+			req.on('timeout', () => req.destroy(new Error('Request timed out')));
+			req.on('error', reject);
+		});
+	}
+
 	/**
 	 * Check Supervisor status
 	 * 
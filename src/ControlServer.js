@@ -0,0 +1,440 @@
+#!/usr/bin/env bun
+
+/**
+ * Local HTTP control API for WordPress Sharp Image Processing
+ * 
+ * Exposes service health, statistics and the processing queue over HTTP
+ * on a local port or Unix socket, and accepts on-demand processing requests
+ * from the WordPress plugin and the command line scripts.
+ * 
+ * @since TBD
+ */
+
+import http from 'http';
+import fs from 'fs-extra';
+import { logger } from './Logger.js';
+import { metrics, OPENMETRICS_CONTENT_TYPE, PROMETHEUS_CONTENT_TYPE } from './Metrics.js';
+
+/**
+ * Maximum accepted request body size in bytes
+ * 
+ * @since TBD
+ * 
+ * @type {number}
+ */
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Host names of the loopback interface
+ * 
+ * @since TBD
+ * 
+ * @type {Array<string>}
+ */
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * HTTP error with a status code
+ * 
+ * @since TBD
+ */
+export class HttpError extends Error {
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {number} status  HTTP status code.
+	 * @param {string} message Error message.
+	 */
+	constructor(status, message) {
+		super(message);
+		this.name = 'HttpError';
+		this.status = status;
+	}
+}
+
+/**
+ * Control Server class
+ * 
+ * @since TBD
+ */
+export class ControlServer {
+	/**
+	 * API configuration
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	config = null;
+
+	/**
+	 * Application instance
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	app = null;
+
+	/**
+	 * HTTP server instance
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {http.Server}
+	 */
+	server = null;
+
+	/**
+	 * Registered routes, keyed by "METHOD /path"
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	routes = new Map();
+
+	/**
+	 * Accepted Host header values
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Set<string>}
+	 */
+	allowedHosts = new Set();
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} config API configuration.
+	 * @param {Object} app    Application instance.
+	 */
+	constructor(config, app) {
+		this.config = {
+			host: '127.0.0.1',
+			port: 9797,
+			socket: null,
+			token: null,
+			allowedHosts: [],
+			metrics: true,
+			...config
+		};
+		this.app = app;
+		this.allowedHosts = this.getAllowedHosts();
+
+		this.route('GET', '/health', () => this.app.getHealth());
+		this.route('GET', '/stats', () => this.app.collectStatistics());
+		this.route('GET', '/queue', () => this.app.imageProcessor.processingQueue.getJobs());
+		this.route('POST', '/process', (body) => this.app.enqueueRequest(body), 202);
+		this.route('POST', '/cancel', (body) => this.app.cancelRequest(body));
+		this.route('POST', '/associate', (body) => this.app.associateRequest(body));
+		this.route('GET', '/dead-letters', () => ({ entries: this.app.deadLetters.list() }));
+		this.route('POST', '/dead-letters/replay', (body) => this.app.replayDeadLetters(this.getPaths(body), body.all === true));
+		this.route('POST', '/dead-letters/remove', (body) => this.app.removeDeadLetters(this.getPaths(body), body.all === true));
+
+		if (this.config.metrics) {
+			this.route('GET', '/metrics', (body, req, res) => this.renderMetrics(req, res));
+		}
+	}
+
+	/**
+	 * Register a route handler
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}   method  HTTP method.
+	 * @param {string}   path    Request path.
+	 * @param {Function} handler Handler receiving the parsed JSON body, request and response, returning the response data.
+	 * @param {number}   status  HTTP status code of successful responses.
+	 * 
+	 * @return {void}
+	 */
+	route(method, path, handler, status = 200) {
+		this.routes.set(`${method} ${path}`, { handler, status });
+	}
+
+	/**
+	 * Start listening for requests
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async start() {
+		if (this.server) {
+			return;
+		}
+
+		this.server = http.createServer((req, res) => {
+			this.handleRequest(req, res);
+		});
+
+		// Remove a stale socket left behind by a previous run
+		if (this.config.socket) {
+			await fs.remove(this.config.socket);
+		}
+
+		await new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+
+			if (this.config.socket) {
+				this.server.listen(this.config.socket, resolve);
+			} else {
+				this.server.listen(this.config.port, this.config.host, resolve);
+			}
+		});
+
+		logger.info('Control API listening', {
+			address: this.getAddress()
+		});
+	}
+
+	/**
+	 * Stop the server
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async stop() {
+		if (!this.server) {
+			return;
+		}
+
+		await new Promise((resolve) => {
+			this.server.close(() => resolve());
+			this.server.closeAllConnections?.();
+		});
+
+		this.server = null;
+		logger.info('Control API stopped');
+	}
+
+	/**
+	 * Get a human readable address of the server
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {string} Socket path or http URL.
+	 */
+	getAddress() {
+		if (this.config.socket) {
+			return `unix:${this.config.socket}`;
+		}
+
+		return `http://${this.config.host}:${this.config.port}`;
+	}
+
+	/**
+	 * Get the Host header values requests may carry
+	 * 
+	 * Requests for any other host are rejected, so a web page can't reach
+	 * the API through DNS rebinding. Clients of a Unix socket send
+	 * "localhost"; on a loopback address every loopback name is accepted.
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Set<string>} Host header values, lowercased.
+	 */
+	getAllowedHosts() {
+		const names = [...this.config.allowedHosts];
+
+		if (this.config.socket) {
+			names.push('localhost');
+		} else {
+			names.push(this.config.host, ...(LOOPBACK_HOSTS.includes(this.config.host) ? LOOPBACK_HOSTS : []));
+		}
+
+		const hosts = new Set();
+
+		for (const name of names) {
+			const host = String(name).toLowerCase();
+			const hostname = host.includes(':') && !host.startsWith('[') ? `[${host}]` : host;
+
+			hosts.add(hostname);
+			if (!this.config.socket) {
+				hosts.add(`${hostname}:${this.config.port}`);
+			}
+		}
+
+		return hosts;
+	}
+
+	/**
+	 * Handle an incoming request
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {http.IncomingMessage} req Request.
+	 * @param {http.ServerResponse}  res Response.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async handleRequest(req, res) {
+		const { pathname } = new URL(req.url, 'http://localhost');
+
+		try {
+			if (!this.allowedHosts.has((req.headers.host || '').toLowerCase())) {
+				throw new HttpError(403, 'Host not allowed');
+			}
+
+			if (!this.isAuthorized(req)) {
+				throw new HttpError(401, 'Unauthorized');
+			}
+
+			const route = this.routes.get(`${req.method} ${pathname}`);
+			if (!route) {
+				const allowed = [...this.routes.keys()].some((key) => key.endsWith(` ${pathname}`));
+				throw new HttpError(allowed ? 405 : 404, allowed ? 'Method not allowed' : 'Not found');
+			}
+
+			const body = req.method === 'POST' ? await this.readBody(req) : null;
+			const result = await route.handler(body, req, res);
+
+			this.send(res, route.status, result);
+
+		} catch (error) {
+			const status = error.status || 500;
+
+			if (status >= 500) {
+				logger.error(`Control API request failed: ${req.method} ${pathname}`, {
+					error: error.message
+				});
+			}
+
+			this.send(res, status, { error: error.message });
+		}
+	}
+
+	/**
+	 * Render metrics in the format requested by the scraper
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {http.IncomingMessage} req Request.
+	 * @param {http.ServerResponse}  res Response.
+	 * 
+	 * @return {string} Metrics exposition text.
+	 */
+	renderMetrics(req, res) {
+		const openMetrics = (req.headers.accept || '').includes('application/openmetrics-text');
+
+		res.setHeader('Content-Type', openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE);
+
+		return metrics.render(openMetrics);
+	}
+
+	/**
+	 * Check the bearer token when one is configured
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {http.IncomingMessage} req Request.
+	 * 
+	 * @return {boolean} True if the request may proceed.
+	 */
+	isAuthorized(req) {
+		if (!this.config.token) {
+			return true;
+		}
+
+		return req.headers.authorization === `Bearer ${this.config.token}`;
+	}
+
+	/**
+	 * Read and parse a JSON request body
+	 * 
+	 * Requests must be sent as application/json, which browsers can't do
+	 * cross-origin without a preflight request the API never allows.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {http.IncomingMessage} req Request.
+	 * 
+	 * @return {Promise<Object>} Parsed body object, empty object if there is none.
+	 */
+	async readBody(req) {
+		const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+		if (contentType !== 'application/json') {
+			throw new HttpError(415, 'Content-Type must be application/json');
+		}
+
+		let raw = '';
+
+		for await (const chunk of req) {
+			raw += chunk;
+
+			if (raw.length > MAX_BODY_SIZE) {
+				throw new HttpError(413, 'Request body too large');
+			}
+		}
+
+		if (!raw.trim()) {
+			return {};
+		}
+
+		let body;
+
+		try {
+			body = JSON.parse(raw);
+		} catch (error) {
+			throw new HttpError(400, 'Invalid JSON body');
+		}
+
+		// Handlers read fields of the body, so null, arrays and scalars are rejected here
+		if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+			throw new HttpError(400, 'JSON body must be an object');
+		}
+
+		return body;
+	}
+
+	/**
+	 * Get the paths listed in a request body
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} body Parsed request body.
+	 * 
+	 * @return {Array<string>|undefined} Paths, undefined if the body has none.
+	 */
+	getPaths(body) {
+		if (body.paths === undefined) {
+			return undefined;
+		}
+
+		if (!Array.isArray(body.paths) || !body.paths.every((entry) => typeof entry === 'string')) {
+			throw new HttpError(400, 'paths must be an array of strings');
+		}
+
+		return body.paths;
+	}
+
+	/**
+	 * Send a response
+	 * 
+	 * Strings are sent as they are, anything else as JSON.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {http.ServerResponse} res    Response.
+	 * @param {number}              status HTTP status code.
+	 * @param {*}                   data   Response data.
+	 * 
+	 * @return {void}
+	 */
+	send(res, status, data) {
+		const isText = typeof data === 'string' && status < 400;
+		const body = isText ? data : JSON.stringify(data);
+
+		res.writeHead(status, {
+			'Content-Type': isText ? (res.getHeader('Content-Type') || 'text/plain; charset=utf-8') : 'application/json',
+			'Content-Length': Buffer.byteLength(body)
+		});
+		res.end(body);
+	}
+} 
\ No newline at end of file
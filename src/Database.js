@@ -4,17 +4,139 @@
  * WordPress Database utilities for Sharp Image Processing
  * 
  * Handles WordPress data operations using wp-cli for safe and reliable
- * interaction with WordPress database and configuration.
+ * interaction with WordPress database and configuration. Calls go through
+ * a persistent WordPress bridge when available and fall back to spawning
+ * one wp-cli process per call.
  * 
  * @since TBD
  */
 
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
 import path from 'path';
 import { logger } from './Logger.js';
+import { metrics } from './Metrics.js';
+import { WpBridge, BridgeMethodError } from './WpBridge.js';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+/**
+ * wp-cli call latency histogram
+ * 
+ * @since TBD
+ * 
+ * @type {Histogram}
+ */
+const wpCliDuration = metrics.histogram({
+	name: 'wp_sharp_wpcli_duration_seconds',
+	help: 'Duration of wp-cli calls in seconds.',
+	labelNames: ['command', 'status']
+});
+
+/**
+ * Core image size options and their WordPress defaults
+ * 
+ * @since TBD
+ * 
+ * @type {Object}
+ */
+const CORE_SIZE_OPTIONS = {
+	thumbnail_size_w: '150',
+	thumbnail_size_h: '150',
+	thumbnail_crop: '1',
+	medium_size_w: '300',
+	medium_size_h: '300',
+	large_size_w: '1024',
+	large_size_h: '1024'
+};
+
+/**
+ * Normalize an image size crop value the way WordPress reads it
+ * 
+ * Two-element arrays are crop positions like `['left', 'top']`, with
+ * unknown values falling back to center as in image_resize_dimensions().
+ * Anything else is a plain crop flag.
+ * 
+ * @since TBD
+ * 
+ * @param {*} crop Crop value from WordPress.
+ * 
+ * @return {boolean|Array<string>} False, true (centered) or [x, y] crop position.
+ */
+function normalizeCrop(crop) {
+	// PHP arrays may come back as objects keyed 0 and 1
+	const values = crop !== null && typeof crop === 'object' ? Object.values(crop) : null;
+
+	if (values && values.length === 2) {
+		return [
+			['left', 'center', 'right'].includes(values[0]) ? values[0] : 'center',
+			['top', 'center', 'bottom'].includes(values[1]) ? values[1] : 'center'
+		];
+	}
+
+	return crop === '0' ? false : Boolean(crop);
+}
+
+/**
+ * Find the first difference between two metadata structures
+ * 
+ * PHP has no empty-object type, so an empty object stored by WordPress
+ * comes back as an empty array and is treated as equal.
+ * 
+ * @since TBD
+ * 
+ * @param {*}      expected Expected value.
+ * @param {*}      actual   Value read back from WordPress.
+ * @param {string} keyPath  Path of the values being compared.
+ * 
+ * @return {string|null} Path of the first difference, or null if the values match.
+ */
+function findMetadataMismatch(expected, actual, keyPath = '') {
+	const isEmpty = (value) => value !== null && typeof value === 'object' && Object.keys(value).length === 0;
+
+	if (isEmpty(expected) && isEmpty(actual)) {
+		return null;
+	}
+
+	if (expected === null || actual === null || typeof expected !== 'object' || typeof actual !== 'object') {
+		return expected === actual ? null : keyPath || '(root)';
+	}
+
+	const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+	for (const key of keys) {
+		const mismatch = findMetadataMismatch(expected[key], actual[key], keyPath ? `${keyPath}.${key}` : key);
+		if (mismatch) {
+			return mismatch;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * PHP looking up an attachment by its attached file with a prepared query
+ * 
+ * The path is read from the environment so it never becomes part of the
+ * code or SQL string.
+ * 
+ * @since TBD
+ * 
+ * @type {string}
+ */
+const FIND_ATTACHMENT_PHP = `global $wpdb;
+echo (int) $wpdb->get_var($wpdb->prepare(
+	"SELECT p.ID FROM {$wpdb->posts} p INNER JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id WHERE p.post_type = 'attachment' AND pm.meta_key = '_wp_attached_file' AND pm.meta_value = %s ORDER BY p.ID DESC LIMIT 1",
+	getenv('WP_SHARP_ATTACHED_FILE')
+));`;
+
+/**
+ * PHP printing the filtered big image size threshold
+ * 
+ * @since TBD
+ * 
+ * @type {string}
+ */
+const BIG_IMAGE_THRESHOLD_PHP = 'echo (int) apply_filters("big_image_size_threshold", 2560, array(0, 0), "", 0);';
 
 /**
  * WordPress Database class using wp-cli
@@ -32,7 +154,7 @@ export class Database {
 	wordpressPath = null;
 
 	/**
-	 * wp-cli command prefix
+	 * wp-cli command prefix, for logging only
 	 * 
 	 * @since TBD
 	 * 
@@ -40,6 +162,15 @@ export class Database {
 	 */
 	wpCliCommand = null;
 
+	/**
+	 * wp-cli global arguments passed before every command
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Array<string>}
+	 */
+	globalArgs = [];
+
 	/**
 	 * Additional wp-cli arguments
 	 * 
@@ -49,6 +180,60 @@ export class Database {
 	 */
 	wpCliArgs = [];
 
+	/**
+	 * Milliseconds before a wp-cli command is killed, 0 for no limit
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	execTimeout = 60000;
+
+	/**
+	 * Persistent WordPress bridge, null in exec mode
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {WpBridge|null}
+	 */
+	bridge = null;
+
+	/**
+	 * Consecutive bridge failures
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	bridgeFailures = 0;
+
+	/**
+	 * Consecutive bridge failures before switching to exec mode
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	maxBridgeFailures = 3;
+
+	/**
+	 * Multisite site this instance is bound to, null for the default site
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object|null}
+	 */
+	site = null;
+
+	/**
+	 * Instance owning the bridge state, shared with its site views
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Database}
+	 */
+	root = null;
+
 	/**
 	 * Constructor
 	 * 
@@ -57,32 +242,171 @@ export class Database {
 	 * @param {Object} config Configuration object with WordPress path.
 	 */
 	constructor(config) {
+		this.root = this;
 		this.wordpressPath = config.wordpress.rootPath;
 		this.wpCliArgs = config.wordpress.wpCliArgs || [];
+		this.execTimeout = config.wordpress.execTimeout ?? this.execTimeout;
 		
-		// Build wp-cli command with additional arguments
-		const baseCommand = `wp --path="${this.wordpressPath}"`;
-		const additionalArgs = this.wpCliArgs.length > 0 ? ` ${this.wpCliArgs.join(' ')}` : '';
-		this.wpCliCommand = baseCommand + additionalArgs;
+		// Every argument is passed to wp-cli as-is, without a shell
+		this.globalArgs = [`--path=${this.wordpressPath}`, ...this.wpCliArgs];
+		this.wpCliCommand = ['wp', ...this.globalArgs].join(' ');
 		
 		logger.debug('wp-cli command configured:', {
 			basePath: this.wordpressPath,
 			additionalArgs: this.wpCliArgs,
 			fullCommand: this.wpCliCommand
 		});
+
+		const bridgeConfig = config.wordpress.bridge || {};
+		if (bridgeConfig.enabled !== false) {
+			this.bridge = new WpBridge(this.globalArgs, {
+				timeout: bridgeConfig.timeout
+			});
+			this.maxBridgeFailures = bridgeConfig.maxFailures || this.maxBridgeFailures;
+		}
+	}
+
+	/**
+	 * Get a view of this instance bound to a multisite site
+	 * 
+	 * The view shares the bridge and its state; wp-cli calls get the site's
+	 * `--url` and bridge calls switch to the site's blog.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} site Site with ID and URL, see listSites().
+	 * 
+	 * @return {Database} Site bound instance.
+	 */
+	forSite(site) {
+		const view = Object.create(this);
+		view.site = site;
+
+		return view;
+	}
+
+	/**
+	 * Execute a wp-cli command and record its latency
+	 * 
+	 * Arguments are passed to wp-cli directly rather than through a shell,
+	 * so file names and values never need quoting. Commands running longer
+	 * than `execTimeout` are killed; pass `options.signal` to kill a
+	 * command early.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Array<string>} args           wp-cli command arguments (without global arguments).
+	 * @param {Object}        options        Options passed to execFile.
+	 * @param {string}        options.input  Data written to the command's stdin.
+	 * @param {AbortSignal}   options.signal Signal killing the command.
+	 * 
+	 * @return {Promise<Object>} Object with stdout and stderr.
+	 */
+	async exec(args, options = {}) {
+		const { input, ...execOptions } = options;
+
+		// Label by subcommand, e.g. "post meta get" or "option get"
+		const end = args.findIndex((arg) => !/^[a-z][a-z-]*$/.test(arg));
+		const label = args.slice(0, Math.min(end === -1 ? args.length : end, 3)).join(' ');
+		const endTimer = wpCliDuration.startTimer({ command: label });
+
+		try {
+			const siteArgs = this.site ? [`--url=${this.site.url}`] : [];
+			const promise = execFileAsync('wp', [...this.globalArgs, ...siteArgs, ...args.map(String)], {
+				timeout: this.execTimeout,
+				killSignal: 'SIGKILL',
+				...execOptions
+			});
+
+			// Commands reading a value from stdin wait for it to be closed
+			promise.child.stdin.end(input);
+
+			const result = await promise;
+			endTimer({ status: 'success' });
+			return result;
+		} catch (error) {
+			// execFile kills the command on timeout without saying so
+			if (error.killed && !execOptions.signal?.aborted && this.execTimeout > 0) {
+				endTimer({ status: 'timeout' });
+				throw new Error(`wp-cli ${label} timed out after ${this.execTimeout}ms`);
+			}
+
+			endTimer({ status: 'error' });
+			throw error;
+		}
+	}
+
+	/**
+	 * Call a bridge method, falling back to wp-cli exec
+	 * 
+	 * Errors raised by WordPress itself are rethrown. Bridge failures (crash,
+	 * timeout) run the fallback instead, and after too many consecutive
+	 * failures the bridge is disabled for the rest of the run.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}   method   Bridge method name.
+	 * @param {Object}   params   Bridge method parameters.
+	 * @param {Function} fallback Async function doing the same through exec.
+	 * 
+	 * @return {Promise<*>} Method result.
+	 */
+	async viaBridge(method, params, fallback) {
+		if (!this.bridge) {
+			return fallback();
+		}
+
+		const endTimer = wpCliDuration.startTimer({ command: `bridge ${method}` });
+
+		try {
+			const result = await this.bridge.call(method, this.site ? { ...params, site: this.site.id } : params);
+			endTimer({ status: 'success' });
+			this.root.bridgeFailures = 0;
+			return result;
+		} catch (error) {
+			endTimer({ status: 'error' });
+
+			if (error instanceof BridgeMethodError) {
+				throw error;
+			}
+
+			this.root.bridgeFailures++;
+			logger.warn(`WordPress bridge call ${method} failed, falling back to wp-cli exec:`, error.message);
+
+			if (this.bridgeFailures >= this.maxBridgeFailures) {
+				logger.warn(`WordPress bridge failed ${this.bridgeFailures} times in a row, switching to wp-cli exec mode`);
+				await this.disableBridge();
+			}
+
+			return fallback();
+		}
 	}
 
 	/**
-	 * Build wp-cli command with additional arguments
+	 * Stop the bridge and use wp-cli exec from now on
 	 * 
 	 * @since TBD
 	 * 
-	 * @param {string} command The wp-cli command (without 'wp' prefix).
+	 * @return {Promise<void>}
+	 */
+	async disableBridge() {
+		const bridge = this.root.bridge;
+		this.root.bridge = null;
+
+		if (bridge) {
+			await bridge.stop();
+		}
+	}
+
+	/**
+	 * Check if calls go through the persistent bridge
 	 * 
-	 * @return {string} Complete wp-cli command with all arguments.
+	 * @since TBD
+	 * 
+	 * @return {boolean} True in bridge mode, false in exec mode.
 	 */
-	buildWpCliCommand(command) {
-		return `${this.wpCliCommand} ${command}`;
+	isBridgeEnabled() {
+		return !!this.bridge;
 	}
 
 	/**
@@ -93,12 +417,23 @@ export class Database {
 	 * @return {Promise<boolean>} True if wp-cli and WordPress are accessible.
 	 */
 	async connect() {
+		if (this.bridge) {
+			try {
+				await this.bridge.start();
+
+				logger.info(`WordPress connection established via bridge (version: ${this.bridge.version})`);
+				return true;
+			} catch (error) {
+				logger.warn('WordPress bridge unavailable, using wp-cli exec mode:', error.message);
+				await this.disableBridge();
+			}
+		}
+
 		try {
 			// Test wp-cli availability and WordPress installation
-			const command = this.buildWpCliCommand('core version');
-			logger.debug(`Testing wp-cli connectivity with command: ${command}`);
+			logger.debug(`Testing wp-cli connectivity with command: ${this.wpCliCommand} core version`);
 			
-			const { stdout } = await execAsync(command);
+			const { stdout } = await this.exec(['core', 'version']);
 			const wpVersion = stdout.trim();
 			
 			logger.info(`WordPress connection established (version: ${wpVersion})`);
@@ -117,13 +452,19 @@ export class Database {
 	}
 
 	/**
-	 * Disconnect (no-op for wp-cli)
+	 * Disconnect, stopping the bridge if it is running
 	 * 
 	 * @since TBD
 	 * 
 	 * @return {Promise<void>}
 	 */
 	async disconnect() {
+		if (this.bridge) {
+			await this.bridge.stop();
+			logger.debug('WordPress connection closed (bridge mode)');
+			return;
+		}
+
 		// No persistent connection to close with wp-cli
 		logger.debug('WordPress connection closed (wp-cli mode)');
 	}
@@ -137,32 +478,29 @@ export class Database {
 	 */
 	async getImageSizes() {
 		try {
-			// Get core image size settings
-			const [thumbnailW, thumbnailH, thumbnailCrop, mediumW, mediumH, largeW, largeH] = await Promise.all([
-				this.getOption('thumbnail_size_w', '150'),
-				this.getOption('thumbnail_size_h', '150'),
-				this.getOption('thumbnail_crop', '1'),
-				this.getOption('medium_size_w', '300'),
-				this.getOption('medium_size_h', '300'),
-				this.getOption('large_size_w', '1024'),
-				this.getOption('large_size_h', '1024')
-			]);
+			const { options, additional } = await this.fetchImageSizeSettings();
+
+			// Missing options fall back to the WordPress defaults
+			const option = (name) => {
+				const value = options[name];
+				return value === false || value === null || value === undefined ? CORE_SIZE_OPTIONS[name] : String(value);
+			};
 
 			// Build image sizes object
 			const imageSizes = {
 				thumbnail: {
-					width: parseInt(thumbnailW) || 150,
-					height: parseInt(thumbnailH) || 150,
-					crop: thumbnailCrop === '1'
+					width: parseInt(option('thumbnail_size_w'), 10) || 150,
+					height: parseInt(option('thumbnail_size_h'), 10) || 150,
+					crop: option('thumbnail_crop') === '1'
 				},
 				medium: {
-					width: parseInt(mediumW) || 300,
-					height: parseInt(mediumH) || 300,
+					width: parseInt(option('medium_size_w'), 10) || 300,
+					height: parseInt(option('medium_size_h'), 10) || 300,
 					crop: false
 				},
 				large: {
-					width: parseInt(largeW) || 1024,
-					height: parseInt(largeH) || 1024,
+					width: parseInt(option('large_size_w'), 10) || 1024,
+					height: parseInt(option('large_size_h'), 10) || 1024,
 					crop: false
 				}
 			};
@@ -178,20 +516,13 @@ export class Database {
 				logger.debug('No additional image sizes found or failed to parse');
 			}
 
-			// Get sizes registered by themes/plugins
-			try {
-				const { stdout } = await execAsync(`${this.wpCliCommand} eval "echo json_encode(wp_get_additional_image_sizes());"`);
-				const additionalSizes = JSON.parse(stdout.trim());
-				
-				for (const [name, size] of Object.entries(additionalSizes)) {
-					imageSizes[name] = {
-						width: parseInt(size.width) || 0,
-						height: parseInt(size.height) || 0,
-						crop: Boolean(size.crop)
-					};
-				}
-			} catch (error) {
-				logger.debug('Could not retrieve additional theme image sizes');
+			// Add sizes registered by themes/plugins
+			for (const [name, size] of Object.entries(additional || {})) {
+				imageSizes[name] = {
+					width: parseInt(size.width, 10) || 0,
+					height: parseInt(size.height, 10) || 0,
+					crop: normalizeCrop(size.crop)
+				};
 			}
 
 			logger.debug('Retrieved image sizes:', imageSizes);
@@ -209,63 +540,183 @@ export class Database {
 		}
 	}
 
+	/**
+	 * Fetch the raw image size settings
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<Object>} Core size options (false when not set) and sizes registered by themes/plugins.
+	 */
+	async fetchImageSizeSettings() {
+		const fetchViaExec = async () => {
+			const names = Object.keys(CORE_SIZE_OPTIONS);
+			const values = await Promise.all(names.map(async (name) => {
+				try {
+					const { stdout } = await this.exec(['option', 'get', name]);
+					return stdout.trim();
+				} catch (error) {
+					return false;
+				}
+			}));
+
+			let additional = {};
+			try {
+				const { stdout } = await this.exec(['eval', 'echo json_encode(wp_get_additional_image_sizes());']);
+				additional = JSON.parse(stdout.trim());
+			} catch (error) {
+				logger.debug('Could not retrieve additional theme image sizes');
+			}
+
+			return {
+				options: Object.fromEntries(names.map((name, index) => [name, values[index]])),
+				additional
+			};
+		};
+
+		// Themes register sizes when they load, and the bridge only loaded the main site's theme
+		if (this.site && !this.site.main) {
+			return fetchViaExec();
+		}
+
+		return this.viaBridge('image_sizes', {}, fetchViaExec);
+	}
+
+	/**
+	 * List the active sites of a multisite network
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<Array<Object>>} Sites with ID, URL and main site flag; empty on single site installs.
+	 */
+	async listSites() {
+		const sites = await this.viaBridge('list_sites', {}, async () => {
+			const { stdout: multisite } = await this.exec(['eval', 'echo is_multisite() ? get_main_site_id() : 0;']);
+			const mainSiteId = parseInt(multisite.trim(), 10);
+
+			if (!mainSiteId) {
+				return [];
+			}
+
+			const { stdout } = await this.exec(['site', 'list', '--fields=blog_id,url,archived,deleted,spam', '--format=json'], {
+				maxBuffer: 64 * 1024 * 1024
+			});
+
+			return JSON.parse(stdout.trim() || '[]')
+				.filter((site) => ['archived', 'deleted', 'spam'].every((flag) => String(site[flag]) === '0'))
+				.map((site) => ({
+					id: parseInt(site.blog_id, 10),
+					url: site.url,
+					main: parseInt(site.blog_id, 10) === mainSiteId
+				}));
+		});
+
+		logger.debug(`Found ${sites.length} site(s)`);
+		return sites;
+	}
+
 	/**
 	 * Get attachment metadata using wp-cli
 	 * 
+	 * Null means the attachment has no metadata. Failures to read it are
+	 * thrown, so callers never mistake a lookup error for missing metadata.
+	 * 
 	 * @since TBD
 	 * 
 	 * @param {number} attachmentId The attachment ID.
 	 * 
-	 * @return {Promise<Object|null>} Attachment metadata or null if not found.
+	 * @return {Promise<Object|null>} Attachment metadata or null if not set.
 	 */
 	async getAttachmentMeta(attachmentId) {
-		try {
-			const command = this.buildWpCliCommand(`post meta get ${attachmentId} _wp_attachment_metadata --format=json`);
-			logger.debug(`Getting attachment metadata with command: ${command}`);
-			
-			const { stdout } = await execAsync(command);
+		const metadata = await this.viaBridge('get_post_meta', { id: attachmentId, key: '_wp_attachment_metadata' }, async () => {
+			logger.debug(`Getting attachment metadata for ${attachmentId} via wp-cli`);
 
-			const metadata = JSON.parse(stdout.trim());
-			logger.debug(`Retrieved metadata for attachment ${attachmentId}:`, metadata);
-			
-			return metadata;
+			try {
+				const { stdout } = await this.exec(['post', 'meta', 'get', attachmentId, '_wp_attachment_metadata', '--format=json']);
 
-		} catch (error) {
-			logger.debug(`No metadata found for attachment ${attachmentId}: ${error.message}`);
+				return stdout.trim() ? JSON.parse(stdout.trim()) : null;
+			} catch (error) {
+				// wp-cli exits with 1 and prints nothing when the meta doesn't exist
+				if (error.code === 1 && !error.stdout?.trim() && !error.stderr?.trim()) {
+					return null;
+				}
+
+				throw error;
+			}
+		});
+
+		if (!metadata) {
+			logger.debug(`No metadata found for attachment ${attachmentId}`);
 			return null;
 		}
+
+		// Earlier versions stored the metadata as a JSON string instead of an array
+		if (typeof metadata === 'string') {
+			logger.warn(`Metadata for attachment ${attachmentId} is stored as a JSON string, it will be rewritten as an array on the next update`);
+			return JSON.parse(metadata);
+		}
+
+		logger.debug(`Retrieved metadata for attachment ${attachmentId}:`, metadata);
+
+		return metadata;
 	}
 
 	/**
 	 * Update attachment metadata using wp-cli
 	 * 
+	 * The metadata is sent as JSON and decoded by WordPress, so it is stored
+	 * as a serialized PHP array like core does. The stored value is then read
+	 * back and compared with what was written.
+	 * 
+	 * Failures are thrown with their original error, so the retry policy can
+	 * tell a database that is down from a permanent error.
+	 * 
 	 * @since TBD
 	 * 
 	 * @param {number} attachmentId The attachment ID.
 	 * @param {Object} metadata     The metadata object to save.
 	 * 
-	 * @return {Promise<boolean>} True if update successful.
+	 * @return {Promise<void>}
 	 */
 	async updateAttachmentMeta(attachmentId, metadata) {
-		try {
-			const metadataJson = JSON.stringify(metadata).replace(/"/g, '\\"');
-			const command = this.buildWpCliCommand(`post meta update ${attachmentId} _wp_attachment_metadata '${metadataJson}'`);
-			logger.debug(`Updating attachment metadata with command: ${command}`);
-			
-			await execAsync(command);
-			
-			logger.debug(`Updated metadata for attachment ${attachmentId}`);
+		const updated = await this.viaBridge('update_post_meta', { id: attachmentId, key: '_wp_attachment_metadata', value: metadata }, async () => {
+			logger.debug(`Updating attachment metadata for ${attachmentId} via wp-cli`);
+
+			// The value is read from stdin, so its content never reaches the command line
+			await this.exec(['post', 'meta', 'update', attachmentId, '_wp_attachment_metadata', '--format=json'], {
+				input: JSON.stringify(metadata)
+			});
 			return true;
+		});
 
-		} catch (error) {
-			logger.error(`Failed to update attachment metadata for ID ${attachmentId}:`, error.message);
-			return false;
+		if (!updated) {
+			throw new Error(`Stored metadata of attachment ${attachmentId} does not match`);
+		}
+
+		const stored = await this.viaBridge('get_post_meta', { id: attachmentId, key: '_wp_attachment_metadata' }, async () => {
+			const { stdout } = await this.exec(['post', 'meta', 'get', attachmentId, '_wp_attachment_metadata', '--format=json']);
+			return JSON.parse(stdout.trim());
+		});
+
+		if (typeof stored !== 'object' || stored === null) {
+			throw new Error(`Stored metadata of attachment ${attachmentId} is a ${stored === null ? 'missing value' : typeof stored}, not an array`);
 		}
+
+		// Compare against the JSON that was sent, which drops undefined values
+		const mismatch = findMetadataMismatch(JSON.parse(JSON.stringify(metadata)), stored);
+		if (mismatch) {
+			throw new Error(`Stored metadata of attachment ${attachmentId} does not match at ${mismatch}`);
+		}
+
+		logger.debug(`Updated metadata for attachment ${attachmentId}`);
 	}
 
 	/**
 	 * Get attachment ID by file path using wp-cli
 	 * 
+	 * Null means the lookup worked and found nothing. Failures are thrown
+	 * with their original error, so the retry policy can tell a database
+	 * that is down from an attachment that doesn't exist (yet).
+	 * 
 	 * @since TBD
 	 * 
 	 * @param {string} filePath The relative file path from uploads directory.
@@ -273,62 +724,45 @@ export class Database {
 	 * @return {Promise<number|null>} Attachment ID or null if not found.
 	 */
 	async getAttachmentIdByPath(filePath) {
-		try {
-			// Try the alternative method first (doesn't require MySQL client)
-			logger.debug(`Attempting to find attachment using wp-cli post list for path: ${filePath}`);
-			const attachmentId = await this.findAttachmentByPath(filePath);
-			if (attachmentId) {
-				logger.debug(`Found attachment ID ${attachmentId} using post list method`);
+		if (this.bridge) {
+			const attachmentId = await this.viaBridge('find_attachment', { file: filePath }, () => undefined);
+
+			// Undefined when the bridge failed and the exec methods below should be used
+			if (attachmentId !== undefined) {
+				logger.debug(attachmentId ? `Found attachment ID ${attachmentId} for path: ${filePath}` : `No attachment found for path: ${filePath}`);
 				return attachmentId;
 			}
+		}
 
-			// Fallback to direct database query if MySQL client is available
-			logger.debug(`Post list method failed, trying database query for path: ${filePath}`);
-			try {
-				// Get table prefix first
-				const { stdout: prefix } = await execAsync(`${this.wpCliCommand} config get table_prefix`);
-				const tablePrefix = prefix.trim();
-
-				// Use wp-cli to find attachment by file path
-				const query = `SELECT p.ID FROM ${tablePrefix}posts p INNER JOIN ${tablePrefix}postmeta pm ON p.ID = pm.post_id WHERE p.post_type = 'attachment' AND pm.meta_key = '_wp_attached_file' AND pm.meta_value = '${filePath}'`;
-				logger.debug(`Executing database query for attachment lookup:`, {
-					filePath,
-					tablePrefix,
-					query
-				});
-				
-				const result = await execAsync(
-					`${this.wpCliCommand} db query "${query}" --skip-column-names`
-				);
-				
-				logger.debug(`Database query executed successfully`, {
-					stdout: result.stdout.trim(),
-					stderr: result.stderr || 'none'
-				});
-
-				const attachmentId = parseInt(result.stdout.trim());
-				
-				if (isNaN(attachmentId)) {
-					logger.debug(`No attachment found for path: ${filePath}`);
-					return null;
-				}
+		// Try the alternative method first (doesn't require MySQL client)
+		logger.debug(`Attempting to find attachment using wp-cli post list for path: ${filePath}`);
+		const listedId = await this.findAttachmentByPath(filePath);
+		if (listedId) {
+			logger.debug(`Found attachment ID ${listedId} using post list method`);
+			return listedId;
+		}
 
-				logger.debug(`Found attachment ID ${attachmentId} for path: ${filePath}`);
-				return attachmentId;
+		// Fallback to a prepared query through $wpdb, with the path passed out of band. Its
+		// failure is the one thrown, the post list method's errors are only logged.
+		logger.debug(`Post list method failed, trying database query for path: ${filePath}`);
+		const result = await this.exec(['eval', FIND_ATTACHMENT_PHP], {
+			env: { ...process.env, WP_SHARP_ATTACHED_FILE: filePath }
+		});
 
-			} catch (dbError) {
-				logger.warn(`Database query method failed (MySQL client may not be installed):`, {
-					error: dbError.message,
-					filePath,
-					suggestion: 'Install mysql-client or use wp-cli post list method only'
-				});
-				return null;
-			}
+		logger.debug('Database query executed successfully', {
+			stdout: result.stdout.trim(),
+			stderr: result.stderr || 'none'
+		});
 
-		} catch (error) {
-			logger.error(`All methods failed to get attachment ID for path ${filePath}:`, error.message);
+		const attachmentId = parseInt(result.stdout.trim(), 10);
+
+		if (isNaN(attachmentId) || attachmentId === 0) {
+			logger.debug(`No attachment found for path: ${filePath}`);
 			return null;
 		}
+
+		logger.debug(`Found attachment ID ${attachmentId} for path: ${filePath}`);
+		return attachmentId;
 	}
 
 	/**
@@ -345,12 +779,16 @@ export class Database {
 			logger.debug(`Searching for attachment with meta_value: ${filePath}`);
 			
 			// Search for attachment by exact file path match
-			const command = this.buildWpCliCommand(`post list --post_type=attachment --meta_key=_wp_attached_file --meta_value="${filePath}" --field=ID --format=csv`);
-			logger.debug(`Executing wp-cli command: ${command}`);
-			
-			const { stdout } = await execAsync(command);
+			const { stdout } = await this.exec([
+				'post', 'list',
+				'--post_type=attachment',
+				'--meta_key=_wp_attached_file',
+				`--meta_value=${filePath}`,
+				'--field=ID',
+				'--format=csv'
+			]);
 
-			logger.debug(`wp-cli post list result:`, {
+			logger.debug('wp-cli post list result:', {
 				stdout: stdout.trim(),
 				hasResult: stdout.trim().length > 0
 			});
@@ -362,7 +800,7 @@ export class Database {
 				return null;
 			}
 
-			const attachmentId = parseInt(attachmentIds[0]);
+			const attachmentId = parseInt(attachmentIds[0], 10);
 			
 			if (isNaN(attachmentId)) {
 				logger.debug(`Invalid attachment ID returned: ${attachmentIds[0]}`);
@@ -378,6 +816,171 @@ export class Database {
 		}
 	}
 
+	/**
+	 * List image attachments using wp-cli
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object}        filters           Attachment filters.
+	 * @param {number}        filters.fromId    Lowest attachment ID to include.
+	 * @param {number}        filters.toId      Highest attachment ID to include.
+	 * @param {Date}          filters.after     Only attachments uploaded on or after this date.
+	 * @param {Date}          filters.before    Only attachments uploaded before this date.
+	 * @param {Array<string>} filters.mimeTypes Mime types to include (defaults to all images).
+	 * 
+	 * @return {Promise<Array<Object>>} Attachments with ID, date and mime type, ordered by ID.
+	 */
+	async listAttachments(filters = {}) {
+		const mimeTypes = filters.mimeTypes && filters.mimeTypes.length > 0 ? filters.mimeTypes : ['image'];
+		const posts = await this.viaBridge('list_attachments', { mime_types: mimeTypes }, async () => {
+			logger.debug(`Listing attachments via wp-cli (mime types: ${mimeTypes.join(',')})`);
+
+			const { stdout } = await this.exec([
+				'post', 'list',
+				'--post_type=attachment',
+				'--post_status=inherit',
+				`--post_mime_type=${mimeTypes.join(',')}`,
+				'--posts_per_page=-1',
+				'--orderby=ID',
+				'--order=ASC',
+				'--fields=ID,post_date,post_mime_type',
+				'--format=json'
+			], { maxBuffer: 64 * 1024 * 1024 });
+
+			return JSON.parse(stdout.trim() || '[]');
+		});
+
+		return posts
+			.map((post) => ({
+				id: parseInt(post.ID, 10),
+				date: new Date(post.post_date.replace(' ', 'T')),
+				mimeType: post.post_mime_type
+			}))
+			.filter((attachment) => {
+				if (filters.fromId && attachment.id < filters.fromId) {
+					return false;
+				}
+				if (filters.toId && attachment.id > filters.toId) {
+					return false;
+				}
+				if (filters.after && attachment.date < filters.after) {
+					return false;
+				}
+				if (filters.before && attachment.date >= filters.before) {
+					return false;
+				}
+				return true;
+			});
+	}
+
+	/**
+	 * Get the attached file path of an attachment using wp-cli
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {number} attachmentId The attachment ID.
+	 * 
+	 * @return {Promise<string|null>} File path relative to the uploads directory or null if not set.
+	 */
+	async getAttachedFile(attachmentId) {
+		try {
+			const file = await this.viaBridge('get_post_meta', { id: attachmentId, key: '_wp_attached_file' }, async () => {
+				const { stdout } = await this.exec(['post', 'meta', 'get', attachmentId, '_wp_attached_file']);
+
+				return stdout.trim();
+			});
+
+			return file || null;
+
+		} catch (error) {
+			logger.debug(`No attached file found for attachment ${attachmentId}: ${error.message}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Get the original image path of an attachment
+	 * 
+	 * For big images the attached file is the -scaled copy; this returns the
+	 * original upload recorded in the metadata's `original_image` instead.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {number} attachmentId The attachment ID.
+	 * 
+	 * @return {Promise<string|null>} File path relative to the uploads directory or null if not set.
+	 */
+	async getOriginalAttachedFile(attachmentId) {
+		const attachedFile = await this.getAttachedFile(attachmentId);
+		if (!attachedFile) {
+			return null;
+		}
+
+		const metadata = await this.getAttachmentMeta(attachmentId);
+		if (!metadata?.original_image) {
+			return attachedFile;
+		}
+
+		return path.posix.join(path.posix.dirname(attachedFile), metadata.original_image);
+	}
+
+	/**
+	 * Set the attached file path of an attachment using wp-cli
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {number} attachmentId The attachment ID.
+	 * @param {string} filePath     File path relative to the uploads directory.
+	 * 
+	 * @return {Promise<boolean>} True if update successful.
+	 */
+	async updateAttachedFile(attachmentId, filePath) {
+		try {
+			// Read from stdin like the metadata, so a path starting with "--" isn't taken for an option
+			await this.viaBridge('update_post_meta', { id: attachmentId, key: '_wp_attached_file', value: filePath }, () => this.exec(
+				['post', 'meta', 'update', attachmentId, '_wp_attached_file'],
+				{ input: filePath }
+			));
+
+			logger.debug(`Updated attached file for attachment ${attachmentId}: ${filePath}`);
+			return true;
+
+		} catch (error) {
+			logger.error(`Failed to update attached file for ID ${attachmentId}:`, error.message);
+			return false;
+		}
+	}
+
+	/**
+	 * Get the big image size threshold
+	 * 
+	 * Applies the `big_image_size_threshold` filter without a specific image,
+	 * so filters that decide per image or attachment are not honored.
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<number>} Threshold in pixels, 0 when big image scaling is disabled.
+	 */
+	async getBigImageSizeThreshold() {
+		try {
+			const fetchViaExec = async () => {
+				const { stdout } = await this.exec(['eval', BIG_IMAGE_THRESHOLD_PHP]);
+				return stdout.trim();
+			};
+
+			// Like image sizes, the filter may come from a site's theme the bridge didn't load
+			const threshold = this.site && !this.site.main
+				? await fetchViaExec()
+				: await this.viaBridge('big_image_size_threshold', {}, fetchViaExec);
+
+			return Math.max(0, parseInt(threshold, 10) || 0);
+
+		} catch (error) {
+			logger.warn('Could not read big image size threshold, using the WordPress default:', error.message);
+			return 2560;
+		}
+	}
+
 	/**
 	 * Get WordPress option value using wp-cli
 	 * 
@@ -390,11 +993,18 @@ export class Database {
 	 */
 	async getOption(optionName, defaultValue = '') {
 		try {
-			const { stdout } = await execAsync(
-				`${this.wpCliCommand} option get ${optionName}`
-			);
+			const value = await this.viaBridge('get_option', { name: optionName, default: null }, async () => {
+				const { stdout } = await this.exec(['option', 'get', optionName]);
 
-			return stdout.trim();
+				return stdout.trim();
+			});
+
+			if (value === null) {
+				throw new Error('Option not set');
+			}
+
+			// Serialized options come back as JSON, like `option get --format=json`
+			return typeof value === 'object' ? JSON.stringify(value) : String(value);
 
 		} catch (error) {
 			logger.debug(`Option ${optionName} not found, using default: ${defaultValue}`);
@@ -414,9 +1024,9 @@ export class Database {
 	 */
 	async setOption(optionName, optionValue) {
 		try {
-			await execAsync(
-				`${this.wpCliCommand} option update ${optionName} '${optionValue}'`
-			);
+			await this.viaBridge('update_option', { name: optionName, value: optionValue }, () => this.exec(
+				['option', 'update', optionName, optionValue]
+			));
 
 			logger.debug(`Updated option ${optionName}`);
 			return true;
@@ -436,7 +1046,7 @@ export class Database {
 	 */
 	async isConnected() {
 		try {
-			await execAsync(`${this.wpCliCommand} core version`);
+			await this.viaBridge('ping', {}, () => this.exec(['core', 'version']));
 			return true;
 		} catch (error) {
 			return false;
@@ -464,11 +1074,11 @@ export class Database {
 	 */
 	async getUploadsInfo() {
 		try {
-			const { stdout } = await execAsync(
-				`${this.wpCliCommand} eval "echo json_encode(wp_upload_dir());"`
-			);
+			const uploadsInfo = await this.viaBridge('upload_dir', {}, async () => {
+				const { stdout } = await this.exec(['eval', 'echo json_encode(wp_upload_dir());']);
 
-			const uploadsInfo = JSON.parse(stdout.trim());
+				return JSON.parse(stdout.trim());
+			});
 			logger.debug('Retrieved uploads directory info:', uploadsInfo);
 			
 			return uploadsInfo;
@@ -489,16 +1099,19 @@ export class Database {
 	async getWordPressInfo() {
 		try {
 			const [version, siteUrl, homeUrl, uploadsInfo] = await Promise.all([
-				execAsync(`${this.wpCliCommand} core version`),
-				execAsync(`${this.wpCliCommand} option get siteurl`),
-				execAsync(`${this.wpCliCommand} option get home`),
+				this.viaBridge('ping', {}, async () => {
+					const { stdout } = await this.exec(['core', 'version']);
+					return { version: stdout.trim() };
+				}),
+				this.getOption('siteurl', 'Unknown'),
+				this.getOption('home', 'Unknown'),
 				this.getUploadsInfo()
 			]);
 
 			return {
-				version: version.stdout.trim(),
-				siteUrl: siteUrl.stdout.trim(),
-				homeUrl: homeUrl.stdout.trim(),
+				version: version.version,
+				siteUrl,
+				homeUrl,
 				uploads: uploadsInfo
 			};
 
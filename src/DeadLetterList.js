@@ -0,0 +1,192 @@
+#!/usr/bin/env bun
+
+/**
+ * Dead-letter list for WordPress Sharp Image Processing
+ * 
+ * Keeps the images that failed for good, either with a permanent error or
+ * after running out of retries, in a JSON file so they can be inspected and
+ * replayed once the cause is fixed.
+ * 
+ * @since TBD
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './Logger.js';
+
+/**
+ * Dead Letter List class
+ * 
+ * @since TBD
+ */
+export class DeadLetterList {
+	/**
+	 * Dead-letter file path
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	file = null;
+
+	/**
+	 * Failed images, by file path
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	entries = new Map();
+
+	/**
+	 * Promise chain serializing writes to the dead-letter file
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Promise<void>}
+	 */
+	writeChain = Promise.resolve();
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} file Dead-letter file path.
+	 */
+	constructor(file = './data/dead-letters.json') {
+		this.file = path.resolve(file);
+	}
+
+	/**
+	 * Load the entries from the dead-letter file
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<Array<Object>>} Entries, oldest first.
+	 */
+	async open() {
+		this.entries.clear();
+
+		try {
+			for (const entry of await fs.readJson(this.file)) {
+				this.entries.set(entry.path, entry);
+			}
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				logger.warn('Could not read the dead-letter list, starting empty:', error.message);
+			}
+		}
+
+		return this.list();
+	}
+
+	/**
+	 * Add a failed image, replacing an earlier entry for the same file
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}  filePath          Absolute path of the image file.
+	 * @param {Object}  failure           Failure details.
+	 * @param {Error}   failure.error     Error of the last attempt.
+	 * @param {number}  failure.attempts  Attempts made.
+	 * @param {boolean} failure.permanent Whether the error was permanent rather than out of retries.
+	 * @param {number}  failure.site      Multisite site ID, if any.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async add(filePath, { error, attempts, permanent, site = null }) {
+		const previous = this.entries.get(filePath);
+
+		this.entries.delete(filePath);
+		this.entries.set(filePath, {
+			path: filePath,
+			site,
+			error: error.message,
+			attempts,
+			permanent,
+			firstFailedAt: previous?.firstFailedAt ?? Date.now(),
+			failedAt: Date.now()
+		});
+
+		return this.save();
+	}
+
+	/**
+	 * Remove an image
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Absolute path of the image file.
+	 * 
+	 * @return {Promise<boolean>} True if the image was listed.
+	 */
+	async remove(filePath) {
+		if (!this.entries.delete(filePath)) {
+			return false;
+		}
+
+		await this.save();
+
+		return true;
+	}
+
+	/**
+	 * Check whether an image is listed
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Absolute path of the image file.
+	 * 
+	 * @return {boolean} True if the image is listed.
+	 */
+	has(filePath) {
+		return this.entries.has(filePath);
+	}
+
+	/**
+	 * Get the listed images
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Array<Object>} Entries, oldest first.
+	 */
+	list() {
+		return [...this.entries.values()];
+	}
+
+	/**
+	 * Write the entries to the dead-letter file
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async save() {
+		const tempFile = `${this.file}.tmp`;
+		const entries = this.list();
+
+		this.writeChain = this.writeChain
+			.then(async () => {
+				await fs.ensureDir(path.dirname(this.file));
+				await fs.writeJson(tempFile, entries, { spaces: 2 });
+				await fs.rename(tempFile, this.file);
+			})
+			.catch((error) => {
+				logger.error('Failed to write the dead-letter list:', { error: error.message });
+			});
+
+		return this.writeChain;
+	}
+
+	/**
+	 * Wait for outstanding writes to finish
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async close() {
+		await this.writeChain;
+	}
+} 
\ No newline at end of file
@@ -0,0 +1,204 @@
+#!/usr/bin/env bun
+
+/**
+ * WordPress image dimension calculations
+ * 
+ * Ports of WordPress's wp_constrain_dimensions() and
+ * image_resize_dimensions(), so generated sizes get exactly the dimensions
+ * (and therefore the `name-WxH.ext` filenames) WordPress would produce.
+ * Filters applied by WordPress are not supported.
+ * 
+ * @since TBD
+ */
+
+/**
+ * Round a number the way PHP's round() does
+ * 
+ * PHP rounds half away from zero after pre-rounding to 15 significant
+ * digits, so 1.4999999999999998 rounds to 2 where Math.round() gives 1.
+ * 
+ * @since TBD
+ * 
+ * @param {number} value Number to round.
+ * 
+ * @return {number} Rounded integer.
+ */
+export function phpRound(value) {
+	const preRounded = Number(value.toPrecision(15));
+
+	return Math.sign(preRounded) * Math.round(Math.abs(preRounded));
+}
+
+/**
+ * Check if two numbers match within a precision, like wp_fuzzy_number_match()
+ * 
+ * @since TBD
+ * 
+ * @param {number} expected  Expected value.
+ * @param {number} actual    Actual value.
+ * @param {number} precision Allowed difference.
+ * 
+ * @return {boolean} True if the numbers match.
+ */
+export function fuzzyNumberMatch(expected, actual, precision = 1) {
+	return Math.abs(expected - actual) <= precision;
+}
+
+/**
+ * Calculate dimensions constrained to a bounding box, like wp_constrain_dimensions()
+ * 
+ * @since TBD
+ * 
+ * @param {number} currentWidth  Current width.
+ * @param {number} currentHeight Current height.
+ * @param {number} maxWidth      Maximum width, 0 for no limit.
+ * @param {number} maxHeight     Maximum height, 0 for no limit.
+ * 
+ * @return {Array<number>} Constrained [width, height].
+ */
+export function constrainDimensions(currentWidth, currentHeight, maxWidth = 0, maxHeight = 0) {
+	if (!maxWidth && !maxHeight) {
+		return [currentWidth, currentHeight];
+	}
+
+	let widthRatio = 1.0;
+	let heightRatio = 1.0;
+	let didWidth = false;
+	let didHeight = false;
+
+	if (maxWidth > 0 && currentWidth > 0 && currentWidth > maxWidth) {
+		widthRatio = maxWidth / currentWidth;
+		didWidth = true;
+	}
+
+	if (maxHeight > 0 && currentHeight > 0 && currentHeight > maxHeight) {
+		heightRatio = maxHeight / currentHeight;
+		didHeight = true;
+	}
+
+	const smallerRatio = Math.min(widthRatio, heightRatio);
+	const largerRatio = Math.max(widthRatio, heightRatio);
+
+	// Use the larger ratio for a snug fit unless it would overflow the box
+	const ratio = phpRound(currentWidth * largerRatio) > maxWidth || phpRound(currentHeight * largerRatio) > maxHeight
+		? smallerRatio
+		: largerRatio;
+
+	// Very small dimensions may result in 0, 1 should be the minimum
+	let width = Math.max(1, phpRound(currentWidth * ratio));
+	let height = Math.max(1, phpRound(currentHeight * ratio));
+
+	// Bump results one pixel short of the box due to rounding, e.g. 465x700 in 177x177
+	if (didWidth && width === maxWidth - 1) {
+		width = maxWidth;
+	}
+
+	if (didHeight && height === maxHeight - 1) {
+		height = maxHeight;
+	}
+
+	return [width, height];
+}
+
+/**
+ * Calculate the source region and output size of an image size, like image_resize_dimensions()
+ * 
+ * @since TBD
+ * 
+ * @param {number}                origWidth  Original width.
+ * @param {number}                origHeight Original height.
+ * @param {number}                destWidth  Size width, 0 for no limit.
+ * @param {number}                destHeight Size height, 0 for no limit.
+ * @param {boolean|Array<string>} crop       False, true (centered) or an [x, y] crop position.
+ * 
+ * @return {Object|null} Source region (srcX, srcY, srcWidth, srcHeight) and output width and height, or null if WordPress would skip the size.
+ */
+export function resizeDimensions(origWidth, origHeight, destWidth, destHeight, crop = false) {
+	destWidth = destWidth || 0;
+	destHeight = destHeight || 0;
+
+	if (origWidth <= 0 || origHeight <= 0) {
+		return null;
+	}
+
+	// At least one of the size's width or height must be set
+	if (destWidth <= 0 && destHeight <= 0) {
+		return null;
+	}
+
+	// Stop if the size is larger than the original image
+	if (!destHeight) {
+		if (origWidth < destWidth) {
+			return null;
+		}
+	} else if (!destWidth) {
+		if (origHeight < destHeight) {
+			return null;
+		}
+	} else if (origWidth < destWidth && origHeight < destHeight) {
+		return null;
+	}
+
+	let newWidth, newHeight, cropWidth, cropHeight, srcX, srcY;
+
+	if (crop) {
+		// Crop the largest region that can be sized to the size, which acts as a maximum:
+		// a 600x300 original cropped to 400x400 becomes 400x300
+		const aspectRatio = origWidth / origHeight;
+		newWidth = Math.min(destWidth, origWidth);
+		newHeight = Math.min(destHeight, origHeight);
+
+		if (!newWidth) {
+			newWidth = phpRound(newHeight * aspectRatio);
+		}
+
+		if (!newHeight) {
+			newHeight = phpRound(newWidth / aspectRatio);
+		}
+
+		const sizeRatio = Math.max(newWidth / origWidth, newHeight / origHeight);
+
+		cropWidth = phpRound(newWidth / sizeRatio);
+		cropHeight = phpRound(newHeight / sizeRatio);
+
+		const [x, y] = Array.isArray(crop) && crop.length === 2 ? crop : ['center', 'center'];
+
+		if (x === 'left') {
+			srcX = 0;
+		} else if (x === 'right') {
+			srcX = origWidth - cropWidth;
+		} else {
+			srcX = Math.floor((origWidth - cropWidth) / 2);
+		}
+
+		if (y === 'top') {
+			srcY = 0;
+		} else if (y === 'bottom') {
+			srcY = origHeight - cropHeight;
+		} else {
+			srcY = Math.floor((origHeight - cropHeight) / 2);
+		}
+	} else {
+		// Resize using the size as a maximum bounding box
+		cropWidth = origWidth;
+		cropHeight = origHeight;
+		srcX = 0;
+		srcY = 0;
+
+		[newWidth, newHeight] = constrainDimensions(origWidth, origHeight, destWidth, destHeight);
+	}
+
+	// Differences of 1px are rounding; WordPress doesn't make a copy of the original
+	if (fuzzyNumberMatch(newWidth, origWidth) && fuzzyNumberMatch(newHeight, origHeight)) {
+		return null;
+	}
+
+	return {
+		srcX: Math.trunc(srcX),
+		srcY: Math.trunc(srcY),
+		srcWidth: Math.trunc(cropWidth),
+		srcHeight: Math.trunc(cropHeight),
+		width: Math.trunc(newWidth),
+		height: Math.trunc(newHeight)
+	};
+} 
\ No newline at end of file
@@ -13,6 +13,20 @@ import chokidar from 'chokidar';
 import path from 'path';
 import fs from 'fs-extra';
 import { logger } from './Logger.js';
+import { metrics } from './Metrics.js';
+
+/**
+ * Watcher events counter
+ * 
+ * @since TBD
+ * 
+ * @type {Counter}
+ */
+const watcherEvents = metrics.counter({
+	name: 'wp_sharp_watcher_events_total',
+	help: 'Image file events seen by the watcher, by type.',
+	labelNames: ['event']
+});
 
 /**
  * File Watcher class
@@ -185,6 +199,109 @@ export class FileWatcher {
 		}
 	}
 
+	/**
+	 * Catch up on images added while the service was not running
+	 * 
+	 * Walks the watched directory for original images modified within the
+	 * lookback window and passes those that still need processing through
+	 * the same path as newly detected files.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}   watchPath       Path to scan.
+	 * @param {Function} needsProcessing Async predicate deciding if a file needs processing.
+	 * 
+	 * @return {Promise<Object>} Catch-up statistics.
+	 */
+	async catchUp(watchPath, needsProcessing) {
+		const options = {
+			lookbackDays: 7,
+			concurrency: 4,
+			...this.config.catchUp
+		};
+		const since = options.lookbackDays > 0 ? Date.now() - (options.lookbackDays * 24 * 60 * 60 * 1000) : 0;
+		const result = {
+			scanned: 0,
+			queued: 0,
+			upToDate: 0,
+			errors: 0
+		};
+		const inFlight = new Set();
+
+		logger.info(`Starting catch-up scan of ${watchPath}`, {
+			lookbackDays: options.lookbackDays
+		});
+
+		for await (const [filePath, stats] of this.walkImages(watchPath, since)) {
+			result.scanned++;
+
+			try {
+				if (!await needsProcessing(filePath)) {
+					result.upToDate++;
+					continue;
+				}
+			} catch (error) {
+				result.errors++;
+				logger.debug(`Catch-up check failed for ${path.basename(filePath)}:`, error.message);
+				continue;
+			}
+
+			result.queued++;
+
+			const task = this.processFile(filePath, stats).finally(() => inFlight.delete(task));
+			inFlight.add(task);
+
+			if (inFlight.size >= options.concurrency) {
+				await Promise.race(inFlight);
+			}
+		}
+
+		await Promise.all(inFlight);
+
+		logger.info('Catch-up scan complete', result);
+
+		return result;
+	}
+
+	/**
+	 * Recursively find original images in a directory
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} dir   Directory to walk.
+	 * @param {number} since Only yield files modified after this timestamp.
+	 * 
+	 * @return {AsyncGenerator<Array>} Pairs of file path and file statistics.
+	 */
+	async *walkImages(dir, since = 0) {
+		let entries;
+
+		try {
+			entries = await fs.readdir(dir, { withFileTypes: true });
+		} catch (error) {
+			logger.debug(`Cannot read directory during catch-up: ${dir}`, error.message);
+			return;
+		}
+
+		for (const entry of entries) {
+			const entryPath = path.join(dir, entry.name);
+
+			if (entry.isDirectory()) {
+				yield* this.walkImages(entryPath, since);
+				continue;
+			}
+
+			if (!entry.isFile() || !this.isImageFile(entryPath) || await this.isWordPressGeneratedSize(entryPath)) {
+				continue;
+			}
+
+			const stats = await fs.stat(entryPath);
+			if (stats.mtimeMs >= since) {
+				yield [entryPath, stats];
+			}
+		}
+	}
+
 	/**
 	 * Setup event handlers for the file watcher
 	 * 
@@ -238,6 +355,7 @@ export class FileWatcher {
 		}
 
 		this.stats.filesDetected++;
+		watcherEvents.inc({ event });
 
 		logger.debug(`File ${event}: ${path.basename(filePath)}`, {
 			event,
@@ -306,7 +424,7 @@ export class FileWatcher {
 			}
 
 			// Skip WordPress generated sizes (contain dimension pattern)
-			if (this.isWordPressGeneratedSize(filePath)) {
+			if (await this.isWordPressGeneratedSize(filePath)) {
 				logger.debug(`Skipping WordPress generated size: ${path.basename(filePath)}`);
 				this.stats.filesSkipped++;
 				return;
@@ -383,19 +501,39 @@ export class FileWatcher {
 	/**
 	 * Check if file is a WordPress generated image size
 	 * 
+	 * Uploads named like a -scaled or -rotated copy are only copies when the
+	 * original they were made from is next to them.
+	 * 
 	 * @since TBD
 	 * 
 	 * @param {string} filePath File path to check.
 	 * 
-	 * @return {boolean} True if WordPress generated size.
+	 * @return {Promise<boolean>} True if WordPress generated size.
 	 */
-	isWordPressGeneratedSize(filePath) {
-		const filename = path.basename(filePath, path.extname(filePath));
+	async isWordPressGeneratedSize(filePath) {
+		const extension = path.extname(filePath);
+		const filename = path.basename(filePath, extension);
 		
 		// WordPress image sizes follow pattern: filename-widthxheight
-		const dimensionPattern = /-\d+x\d+$/;
-		
-		return dimensionPattern.test(filename);
+		if (/-\d+x\d+$/.test(filename)) {
+			return true;
+		}
+
+		// Full size copies of big and rotated images: filename-scaled, filename-rotated
+		const copy = filename.match(/^(.+)-(scaled|rotated)$/);
+		if (!copy) {
+			return false;
+		}
+
+		// Copies of HEIC uploads are saved as JPEG
+		const originalExtensions = [extension, '.heic', '.HEIC', '.heif', '.HEIF'];
+		for (const originalExtension of originalExtensions) {
+			if (await fs.pathExists(path.join(path.dirname(filePath), copy[1] + originalExtension))) {
+				return true;
+			}
+		}
+
+		return false;
 	}
 
 	/**
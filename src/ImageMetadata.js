@@ -0,0 +1,856 @@
+#!/usr/bin/env bun
+
+/**
+ * Image metadata reader for WordPress Sharp Image Processing
+ * 
+ * Parses the raw EXIF, IPTC and XMP buffers Sharp exposes and builds the
+ * `image_meta` array the way WordPress's wp_read_image_metadata() does.
+ * XMP, which WordPress ignores, only fills fields IPTC and EXIF left empty.
+ * The wp_read_image_metadata filter and the kses filtering WordPress
+ * applies to the values are not supported.
+ * 
+ * @since TBD
+ */
+
+import { phpRound } from './Dimensions.js';
+
+/**
+ * EXIF tags read from the image, by tag ID
+ * 
+ * Names match the keys of PHP's exif_read_data(), which is what
+ * wp_read_image_metadata() reads.
+ * 
+ * @since TBD
+ * 
+ * @type {Object}
+ */
+const EXIF_TAGS = {
+	0x010E: 'ImageDescription',
+	0x010F: 'Make',
+	0x0110: 'Model',
+	0x0112: 'Orientation',
+	0x013B: 'Artist',
+	0x8298: 'Copyright',
+	0x829A: 'ExposureTime',
+	0x829D: 'FNumber',
+	0x8769: 'ExifIfdPointer',
+	0x8825: 'GPSInfoIfdPointer',
+	0x8827: 'ISOSpeedRatings',
+	0x9003: 'DateTimeOriginal',
+	0x9004: 'DateTimeDigitized',
+	0x920A: 'FocalLength',
+	0x9286: 'UserComment',
+	0x9C9B: 'Title',
+	0x9C9C: 'Comments',
+	0x9C9D: 'Author'
+};
+
+/**
+ * Metadata that can be kept in generated images
+ * 
+ * `exif` covers the camera settings and dates WordPress reads, `copyright`
+ * the EXIF Artist and Copyright tags. GPS, IPTC, XMP and all other EXIF
+ * tags (such as maker notes and serial numbers) are always removed.
+ * 
+ * @since TBD
+ * 
+ * @type {Array<string>}
+ */
+export const KEEPABLE_METADATA = ['exif', 'copyright', 'icc'];
+
+/**
+ * EXIF tags written back for each kept metadata type, by Sharp IFD
+ * 
+ * @since TBD
+ * 
+ * @type {Object}
+ */
+const KEPT_EXIF_TAGS = {
+	copyright: {
+		IFD0: ['Artist', 'Copyright']
+	},
+	exif: {
+		IFD0: ['ImageDescription', 'Make', 'Model'],
+		IFD2: ['ExposureTime', 'FNumber', 'ISOSpeedRatings', 'DateTimeOriginal', 'DateTimeDigitized', 'FocalLength']
+	}
+};
+
+/**
+ * Byte size of each TIFF field type
+ * 
+ * @since TBD
+ * 
+ * @type {Object}
+ */
+const TIFF_TYPE_SIZES = {
+	1: 1, // BYTE
+	2: 1, // ASCII
+	3: 2, // SHORT
+	4: 4, // LONG
+	5: 8, // RATIONAL
+	6: 1, // SBYTE
+	7: 1, // UNDEFINED
+	8: 2, // SSHORT
+	9: 4, // SLONG
+	10: 8 // SRATIONAL
+};
+
+/**
+ * Windows XP tags, stored as UCS-2 byte arrays
+ * 
+ * @since TBD
+ * 
+ * @type {Array<string>}
+ */
+const XP_TAGS = ['Title', 'Comments', 'Author'];
+
+/**
+ * ISO-8859-15 bytes of the characters that differ from Latin-1
+ * 
+ * @since TBD
+ * 
+ * @type {Object}
+ */
+const ISO_8859_15 = {
+	'€': 0xA4,
+	'Š': 0xA6,
+	'š': 0xA8,
+	'Ž': 0xB4,
+	'ž': 0xB8,
+	'Œ': 0xBC,
+	'œ': 0xBD,
+	'Ÿ': 0xBE
+};
+
+/**
+ * Check if a value is empty the way PHP's empty() does
+ * 
+ * @since TBD
+ * 
+ * @param {*} value Value to check.
+ * 
+ * @return {boolean} True if the value is empty.
+ */
+function isEmpty(value) {
+	return value === undefined || value === null || value === false || value === 0 || value === ''
+		|| value === '0' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Decode text as UTF-8, or as Latin-1 if it isn't valid UTF-8
+ * 
+ * WordPress converts values that don't seem to be UTF-8 with utf8_encode(),
+ * which treats them as Latin-1.
+ * 
+ * @since TBD
+ * 
+ * @param {Buffer} buffer Text bytes.
+ * 
+ * @return {string} Decoded text.
+ */
+function decodeText(buffer) {
+	try {
+		return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+	} catch (error) {
+		return buffer.toString('latin1');
+	}
+}
+
+/**
+ * Cast a number to a string the way PHP does, with 14 significant digits
+ * 
+ * @since TBD
+ * 
+ * @param {number} value Number to cast.
+ * 
+ * @return {string} Number as a string.
+ */
+function phpNumberToString(value) {
+	return String(Number(value.toPrecision(14)));
+}
+
+/**
+ * Convert an EXIF fraction to a number, like wp_exif_frac2dec()
+ * 
+ * @since TBD
+ * 
+ * @param {*} value Fraction string (e.g. '1/200'), number or other value.
+ * 
+ * @return {number} Decimal value, 0 if the value isn't a valid fraction.
+ */
+export function exifFracToDec(value) {
+	if (typeof value === 'number') {
+		return value;
+	}
+
+	if (typeof value !== 'string') {
+		return 0;
+	}
+
+	const numeric = /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+	if (numeric.test(value)) {
+		return parseFloat(value);
+	}
+
+	const parts = value.split('/');
+	if (parts.length !== 2 || !numeric.test(parts[0]) || !numeric.test(parts[1])) {
+		return 0;
+	}
+
+	const denominator = parseFloat(parts[1]);
+
+	return denominator === 0 ? 0 : parseFloat(parts[0]) / denominator;
+}
+
+/**
+ * Convert an EXIF date to a Unix timestamp, like wp_exif_date2ts()
+ * 
+ * Dates are read as UTC, the timezone WordPress runs PHP in.
+ * 
+ * @since TBD
+ * 
+ * @param {string} value Date in `YYYY:MM:DD HH:MM:SS` format.
+ * 
+ * @return {number} Unix timestamp, 0 if the date can't be parsed.
+ */
+export function exifDateToTimestamp(value) {
+	const match = /^(\d{4}):(\d{2}):(\d{2})\s+(\d{2}):(\d{2})(?::(\d{2}))?/.exec(String(value).trim());
+	if (!match) {
+		return 0;
+	}
+
+	const [, year, month, day, hour, minute, second = '0'] = match.map(Number);
+	const time = Date.UTC(year, month - 1, day, hour, minute, second);
+
+	return isNaN(time) ? 0 : Math.floor(time / 1000);
+}
+
+/**
+ * Convert an IPTC date and time to a Unix timestamp
+ * 
+ * @since TBD
+ * 
+ * @param {string} date Date in `CCYYMMDD` format.
+ * @param {string} time Time in `HHMMSS` format, with an optional `±HHMM` offset.
+ * 
+ * @return {number} Unix timestamp, 0 if the date can't be parsed.
+ */
+function iptcDateToTimestamp(date, time) {
+	const dateMatch = /^(\d{4})(\d{2})(\d{2})$/.exec(date.trim());
+	const timeMatch = /^(\d{2})(\d{2})(\d{2})(?:([+-])(\d{2})(\d{2}))?$/.exec(time.trim());
+	if (!dateMatch || !timeMatch) {
+		return 0;
+	}
+
+	const [, year, month, day] = dateMatch.map(Number);
+	const [, hour, minute, second] = timeMatch.slice(0, 4).map(Number);
+	const offset = timeMatch[4] ? (timeMatch[4] === '-' ? -1 : 1) * (Number(timeMatch[5]) * 60 + Number(timeMatch[6])) : 0;
+
+	return Math.floor(Date.UTC(year, month - 1, day, hour, minute, second) / 1000) - offset * 60;
+}
+
+/**
+ * Read a single value of a TIFF field
+ * 
+ * Rationals are returned as `numerator/denominator` strings, like PHP's
+ * exif_read_data().
+ * 
+ * @since TBD
+ * 
+ * @param {Buffer}  tiff   TIFF data.
+ * @param {number}  type   Field type.
+ * @param {number}  offset Value offset.
+ * @param {boolean} little True for little endian data.
+ * 
+ * @return {number|string} Field value.
+ */
+function readTiffValue(tiff, type, offset, little) {
+	switch (type) {
+	case 3:
+		return little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+	case 4:
+		return little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+	case 5:
+	case 10: {
+		const read = type === 5 ? (little ? 'readUInt32LE' : 'readUInt32BE') : (little ? 'readInt32LE' : 'readInt32BE');
+		return `${tiff[read](offset)}/${tiff[read](offset + 4)}`;
+	}
+	case 6:
+		return tiff.readInt8(offset);
+	case 8:
+		return little ? tiff.readInt16LE(offset) : tiff.readInt16BE(offset);
+	case 9:
+		return little ? tiff.readInt32LE(offset) : tiff.readInt32BE(offset);
+	default:
+		return tiff[offset];
+	}
+}
+
+/**
+ * Decode an EXIF UserComment, which starts with an 8 byte character code
+ * 
+ * @since TBD
+ * 
+ * @param {Buffer}  bytes  UserComment bytes.
+ * @param {boolean} little True for little endian data.
+ * 
+ * @return {string} Comment text.
+ */
+function decodeUserComment(bytes, little) {
+	const code = bytes.subarray(0, 8).toString('latin1').replace(/\0+$/, '');
+	const text = bytes.subarray(8);
+
+	if (code === 'UNICODE') {
+		// A byte order mark wins over the byte order of the file
+		const bom = text.subarray(0, 2).toString('hex');
+		if (bom === 'feff' || bom === 'fffe') {
+			return decodeUcs2(text.subarray(2), bom === 'fffe');
+		}
+
+		return decodeUcs2(text, little);
+	}
+
+	return decodeText(text).replace(/\0+$/, '');
+}
+
+/**
+ * Decode UCS-2 text
+ * 
+ * PHP's exif extension converts UCS-2 text to ISO-8859-15 (its default
+ * exif.encode_unicode), writing characters that don't exist there as `?`,
+ * and WordPress then reads the result as UTF-8 or Latin-1. The same is done
+ * here, so the euro sign comes out as `¤` like it does in WordPress.
+ * 
+ * @since TBD
+ * 
+ * @param {Buffer}  bytes  Text bytes.
+ * @param {boolean} little True for little endian text.
+ * 
+ * @return {string} Decoded text.
+ */
+function decodeUcs2(bytes, little) {
+	const swapped = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+	if (!little) {
+		swapped.swap16();
+	}
+
+	const text = swapped.toString('utf16le').replace(/\0+$/, '');
+	const replaced = Object.values(ISO_8859_15);
+
+	return decodeText(Buffer.from(text.split('').map((char) => {
+		const code = char.charCodeAt(0);
+		if (char in ISO_8859_15) {
+			return ISO_8859_15[char];
+		}
+
+		return code > 0xFF || replaced.includes(code) ? 0x3F : code;
+	})));
+}
+
+/**
+ * Read the entries of a TIFF image file directory
+ * 
+ * @since TBD
+ * 
+ * @param {Buffer}  tiff   TIFF data.
+ * @param {number}  offset Directory offset.
+ * @param {boolean} little True for little endian data.
+ * @param {Object}  tags   Tags read so far, by name.
+ * 
+ * @return {void}
+ */
+function readIfd(tiff, offset, little, tags) {
+	if (offset < 8 || offset + 2 > tiff.length) {
+		return;
+	}
+
+	const count = little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+
+	for (let index = 0; index < count; index++) {
+		const entry = offset + 2 + index * 12;
+		if (entry + 12 > tiff.length) {
+			return;
+		}
+
+		const name = EXIF_TAGS[little ? tiff.readUInt16LE(entry) : tiff.readUInt16BE(entry)];
+		const type = little ? tiff.readUInt16LE(entry + 2) : tiff.readUInt16BE(entry + 2);
+		const length = little ? tiff.readUInt32LE(entry + 4) : tiff.readUInt32BE(entry + 4);
+		const size = TIFF_TYPE_SIZES[type];
+
+		if (!name || !size || name in tags) {
+			continue;
+		}
+
+		const valueOffset = size * length > 4 ? (little ? tiff.readUInt32LE(entry + 8) : tiff.readUInt32BE(entry + 8)) : entry + 8;
+		if (valueOffset + size * length > tiff.length) {
+			continue;
+		}
+
+		const bytes = tiff.subarray(valueOffset, valueOffset + size * length);
+
+		if (name === 'UserComment') {
+			tags[name] = decodeUserComment(bytes, little);
+		} else if (XP_TAGS.includes(name)) {
+			// Always little endian per Microsoft, but PHP reads them in the byte order of the file
+			tags[name] = decodeUcs2(bytes, little);
+		} else if (type === 2 || type === 7) {
+			// Strings end at the first NUL, e.g. between the photographer and editor copyright
+			tags[name] = decodeText(bytes.subarray(0, bytes.includes(0) ? bytes.indexOf(0) : bytes.length)).trim();
+		} else {
+			const values = [];
+			for (let item = 0; item < length; item++) {
+				values.push(readTiffValue(tiff, type, valueOffset + item * size, little));
+			}
+			tags[name] = values.length === 1 ? values[0] : values;
+		}
+	}
+}
+
+/**
+ * Parse an EXIF buffer
+ * 
+ * Reads the tags wp_read_image_metadata() uses from the main image
+ * directory and the EXIF sub-directory.
+ * 
+ * @since TBD
+ * 
+ * @param {Buffer} buffer EXIF data from Sharp, with or without the `Exif\0\0` header.
+ * 
+ * @return {Object} Tags by name, empty if the buffer can't be parsed.
+ */
+export function parseExif(buffer) {
+	const tags = {};
+
+	if (!Buffer.isBuffer(buffer) || buffer.length < 8) {
+		return tags;
+	}
+
+	const tiff = buffer.subarray(0, 6).toString('latin1') === 'Exif\0\0' ? buffer.subarray(6) : buffer;
+	const byteOrder = tiff.subarray(0, 2).toString('latin1');
+	if (tiff.length < 8 || (byteOrder !== 'II' && byteOrder !== 'MM')) {
+		return tags;
+	}
+
+	const little = byteOrder === 'II';
+
+	try {
+		readIfd(tiff, little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), little, tags);
+
+		if (typeof tags.ExifIfdPointer === 'number') {
+			readIfd(tiff, tags.ExifIfdPointer, little, tags);
+		}
+	} catch (error) {
+		// Truncated or corrupt data, keep whatever was read
+	}
+
+	return tags;
+}
+
+/**
+ * Parse an IPTC buffer, like PHP's iptcparse()
+ * 
+ * Accepts the Photoshop APP13 segment Sharp returns, reading its IPTC
+ * resource, or raw IPTC data.
+ * 
+ * @since TBD
+ * 
+ * @param {Buffer} buffer IPTC data from Sharp.
+ * 
+ * @return {Object} Arrays of values keyed like iptcparse(), e.g. `2#105`.
+ */
+export function parseIptc(buffer) {
+	const datasets = {};
+
+	if (!Buffer.isBuffer(buffer)) {
+		return datasets;
+	}
+
+	let data = buffer;
+
+	// Photoshop image resource blocks: 8BIM, ID, Pascal name, size, data
+	const resources = buffer.indexOf('8BIM');
+	if (resources !== -1) {
+		let offset = resources;
+
+		while (offset + 12 <= buffer.length && buffer.subarray(offset, offset + 4).toString('latin1') === '8BIM') {
+			const id = buffer.readUInt16BE(offset + 4);
+			const nameLength = buffer[offset + 6];
+			const sizeOffset = offset + 6 + nameLength + 1 + ((nameLength + 1) % 2);
+			if (sizeOffset + 4 > buffer.length) {
+				break;
+			}
+
+			const size = buffer.readUInt32BE(sizeOffset);
+			if (id === 0x0404) {
+				data = buffer.subarray(sizeOffset + 4, sizeOffset + 4 + size);
+				break;
+			}
+
+			offset = sizeOffset + 4 + size + (size % 2);
+		}
+	}
+
+	let offset = data.indexOf(0x1C);
+
+	while (offset !== -1 && offset + 5 <= data.length && data[offset] === 0x1C) {
+		const record = data[offset + 1];
+		const dataset = data[offset + 2];
+		let length = data.readUInt16BE(offset + 3);
+		let start = offset + 5;
+
+		// Extended datasets store the length in the following bytes
+		if (length & 0x8000) {
+			const lengthSize = length & 0x7FFF;
+			length = data.subarray(start, start + lengthSize).reduce((total, byte) => total * 256 + byte, 0);
+			start += lengthSize;
+		}
+
+		if (start + length > data.length) {
+			break;
+		}
+
+		const key = `${record}#${String(dataset).padStart(3, '0')}`;
+		(datasets[key] = datasets[key] || []).push(decodeText(data.subarray(start, start + length)));
+
+		offset = start + length;
+	}
+
+	return datasets;
+}
+
+/**
+ * Decode the XML entities used in XMP text
+ * 
+ * @since TBD
+ * 
+ * @param {string} text XML text.
+ * 
+ * @return {string} Decoded text.
+ */
+function decodeXmlEntities(text) {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+		const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+		if (name[0] !== '#') {
+			return named[name.toLowerCase()];
+		}
+
+		const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+
+		return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+	});
+}
+
+/**
+ * Parse an XMP packet
+ * 
+ * Reads the Dublin Core, Photoshop and XMP basic properties that map to
+ * `image_meta` fields. Language alternatives use the default language.
+ * 
+ * @since TBD
+ * 
+ * @param {Buffer} buffer XMP data from Sharp.
+ * 
+ * @return {Object} Arrays of values keyed by property, e.g. `dc:title`.
+ */
+export function parseXmp(buffer) {
+	const properties = {};
+
+	if (!Buffer.isBuffer(buffer)) {
+		return properties;
+	}
+
+	const xml = buffer.toString('utf8');
+	const names = ['dc:title', 'dc:description', 'dc:creator', 'dc:rights', 'dc:subject', 'photoshop:Headline', 'photoshop:Credit', 'photoshop:DateCreated', 'xmp:CreateDate'];
+
+	for (const name of names) {
+		// Simple properties can be written as attributes of rdf:Description
+		const attribute = new RegExp(`\\s${name}="([^"]*)"`).exec(xml);
+		if (attribute) {
+			properties[name] = [decodeXmlEntities(attribute[1]).trim()];
+			continue;
+		}
+
+		const element = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`).exec(xml);
+		if (!element) {
+			continue;
+		}
+
+		const items = [...element[1].matchAll(/<rdf:li(\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g)];
+		if (items.length === 0) {
+			properties[name] = [decodeXmlEntities(element[1]).trim()];
+			continue;
+		}
+
+		// Put the default language first in alternatives
+		const ordered = [
+			...items.filter((item) => /xml:lang="x-default"/.test(item[1] || '')),
+			...items.filter((item) => !/xml:lang="x-default"/.test(item[1] || ''))
+		];
+
+		properties[name] = ordered.map((item) => decodeXmlEntities(item[2]).trim()).filter(Boolean);
+	}
+
+	return properties;
+}
+
+/**
+ * Convert an XMP date to a Unix timestamp
+ * 
+ * @since TBD
+ * 
+ * @param {string} value ISO 8601 date, without a timezone for local time.
+ * 
+ * @return {number} Unix timestamp, 0 if the date can't be parsed.
+ */
+function xmpDateToTimestamp(value) {
+	const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:\d{2})?)?$/.exec(value.trim());
+	if (!match) {
+		return 0;
+	}
+
+	const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1, 7).map((part) => Number(part || 0));
+	const zone = match[7];
+	const offset = zone && zone !== 'Z' ? (zone[0] === '-' ? -1 : 1) * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(4, 6))) : 0;
+
+	return Math.floor(Date.UTC(year, month - 1, day, hour, minute, second) / 1000) - offset * 60;
+}
+
+/**
+ * Get the types of metadata an image contains
+ * 
+ * @since TBD
+ * 
+ * @param {Object} metadata Image metadata from Sharp.
+ * 
+ * @return {Array<string>} Metadata types: exif, gps, copyright, icc, iptc and xmp.
+ */
+export function detectMetadata(metadata) {
+	const types = [];
+	const exif = parseExif(metadata.exif);
+	const copyrightTags = KEPT_EXIF_TAGS.copyright.IFD0;
+
+	if (Object.keys(exif).some((tag) => !copyrightTags.includes(tag) && tag !== 'GPSInfoIfdPointer')) {
+		types.push('exif');
+	}
+
+	if (exif.GPSInfoIfdPointer !== undefined) {
+		types.push('gps');
+	}
+
+	if (copyrightTags.some((tag) => !isEmpty(exif[tag]))) {
+		types.push('copyright');
+	}
+
+	for (const type of ['icc', 'iptc', 'xmp']) {
+		if (Buffer.isBuffer(metadata[type]) && metadata[type].length > 0) {
+			types.push(type);
+		}
+	}
+
+	return types;
+}
+
+/**
+ * Build the EXIF tags to write to a generated image
+ * 
+ * @since TBD
+ * 
+ * @param {Object}        metadata Original image metadata from Sharp.
+ * @param {Array<string>} keep     Kept metadata types, see KEEPABLE_METADATA.
+ * 
+ * @return {Object|null} Tags by IFD for Sharp's withExif(), or null if there is nothing to keep.
+ */
+export function buildKeptExif(metadata, keep) {
+	const exif = parseExif(metadata.exif);
+	const tags = {};
+
+	for (const type of keep) {
+		for (const [ifd, names] of Object.entries(KEPT_EXIF_TAGS[type] || {})) {
+			for (const name of names) {
+				const value = Array.isArray(exif[name]) ? exif[name][0] : exif[name];
+				if (!isEmpty(value)) {
+					tags[ifd] = { ...tags[ifd], [name]: String(value) };
+				}
+			}
+		}
+	}
+
+	return Object.keys(tags).length > 0 ? tags : null;
+}
+
+/**
+ * Read image metadata into WordPress's `image_meta` structure
+ * 
+ * Follows wp_read_image_metadata(): IPTC values win over EXIF ones, titles
+ * fall back to short captions and descriptions, and numbers are formatted
+ * the way PHP formats them. `created_timestamp` comes from the IPTC date,
+ * then DateTimeDigitized like in WordPress, then DateTimeOriginal, which
+ * WordPress doesn't read.
+ * 
+ * @since TBD
+ * 
+ * @param {Object} metadata Image metadata from Sharp, with `exif`, `iptc` and `xmp` buffers.
+ * 
+ * @return {Object} Image meta.
+ */
+export function readImageMetadata(metadata) {
+	const meta = {
+		aperture: 0,
+		credit: '',
+		camera: '',
+		caption: '',
+		created_timestamp: 0,
+		copyright: '',
+		focal_length: 0,
+		iso: 0,
+		shutter_speed: 0,
+		title: '',
+		orientation: 0,
+		keywords: []
+	};
+
+	const iptc = parseIptc(metadata.iptc);
+	const first = (key) => iptc[key]?.[0];
+
+	// Headline, then Title (often the filename)
+	if (!isEmpty(first('2#105'))) {
+		meta.title = first('2#105').trim();
+	} else if (!isEmpty(first('2#005'))) {
+		meta.title = first('2#005').trim();
+	}
+
+	// Description / legacy caption, also the title if it's short
+	if (!isEmpty(first('2#120'))) {
+		const caption = first('2#120').trim();
+		if (isEmpty(meta.title) && Buffer.byteLength(caption) < 80) {
+			meta.title = caption;
+		}
+		meta.caption = caption;
+	}
+
+	// Credit, then Creator / legacy byline
+	if (!isEmpty(first('2#110'))) {
+		meta.credit = first('2#110').trim();
+	} else if (!isEmpty(first('2#080'))) {
+		meta.credit = first('2#080').trim();
+	}
+
+	if (!isEmpty(first('2#055')) && !isEmpty(first('2#060'))) {
+		meta.created_timestamp = iptcDateToTimestamp(first('2#055'), first('2#060'));
+	}
+
+	if (!isEmpty(first('2#116'))) {
+		meta.copyright = first('2#116').trim();
+	}
+
+	if (!isEmpty(iptc['2#025'])) {
+		meta.keywords = [...iptc['2#025']];
+	}
+
+	const exif = parseExif(metadata.exif);
+
+	const description = isEmpty(exif.ImageDescription) ? '' : exif.ImageDescription.trim();
+	const userComment = isEmpty(exif.UserComment) ? '' : exif.UserComment.trim();
+
+	if (!isEmpty(description)) {
+		if (isEmpty(meta.title) && Buffer.byteLength(description) < 80) {
+			meta.title = description;
+		}
+
+		// Description and comment together, unless the description became the title
+		if (isEmpty(meta.caption) && !isEmpty(userComment)) {
+			if (!isEmpty(meta.title) && description === meta.title) {
+				meta.caption = userComment;
+			} else {
+				meta.caption = description === userComment ? description : `${description} ${userComment}`.trim();
+			}
+		}
+
+		if (isEmpty(meta.caption)) {
+			meta.caption = description;
+		}
+	} else if (isEmpty(meta.caption) && !isEmpty(userComment)) {
+		meta.caption = userComment;
+		if (isEmpty(meta.title) && Buffer.byteLength(userComment) < 80) {
+			meta.title = userComment;
+		}
+	} else if (isEmpty(meta.caption) && !isEmpty(exif.Comments)) {
+		meta.caption = exif.Comments.trim();
+	}
+
+	if (isEmpty(meta.credit)) {
+		if (!isEmpty(exif.Artist)) {
+			meta.credit = exif.Artist.trim();
+		} else if (!isEmpty(exif.Author)) {
+			meta.credit = exif.Author.trim();
+		}
+	}
+
+	if (isEmpty(meta.copyright) && !isEmpty(exif.Copyright)) {
+		meta.copyright = exif.Copyright.trim();
+	}
+
+	if (!isEmpty(exif.FNumber) && !Array.isArray(exif.FNumber)) {
+		meta.aperture = phpRound(exifFracToDec(exif.FNumber) * 100) / 100;
+	}
+
+	if (!isEmpty(exif.Model)) {
+		meta.camera = exif.Model.trim();
+	}
+
+	if (isEmpty(meta.created_timestamp)) {
+		for (const tag of ['DateTimeDigitized', 'DateTimeOriginal']) {
+			if (!isEmpty(exif[tag])) {
+				meta.created_timestamp = exifDateToTimestamp(exif[tag]);
+				break;
+			}
+		}
+	}
+
+	if (!isEmpty(exif.FocalLength)) {
+		meta.focal_length = Array.isArray(exif.FocalLength) ? String(exif.FocalLength) : phpNumberToString(exifFracToDec(exif.FocalLength));
+	}
+
+	if (!isEmpty(exif.ISOSpeedRatings)) {
+		meta.iso = String(Array.isArray(exif.ISOSpeedRatings) ? exif.ISOSpeedRatings[0] : exif.ISOSpeedRatings).trim();
+	}
+
+	if (!isEmpty(exif.ExposureTime)) {
+		meta.shutter_speed = Array.isArray(exif.ExposureTime) ? String(exif.ExposureTime) : phpNumberToString(exifFracToDec(exif.ExposureTime));
+	}
+
+	if (!isEmpty(exif.Orientation)) {
+		meta.orientation = exif.Orientation;
+	}
+
+	// XMP only fills what IPTC and EXIF left empty
+	const xmp = parseXmp(metadata.xmp);
+	const xmpFirst = (...names) => names.map((name) => xmp[name]?.[0]).find((value) => !isEmpty(value));
+
+	if (isEmpty(meta.title)) {
+		meta.title = xmpFirst('photoshop:Headline', 'dc:title') || '';
+	}
+
+	if (isEmpty(meta.caption)) {
+		meta.caption = xmpFirst('dc:description') || '';
+	}
+
+	if (isEmpty(meta.credit)) {
+		meta.credit = xmpFirst('photoshop:Credit', 'dc:creator') || '';
+	}
+
+	if (isEmpty(meta.copyright)) {
+		meta.copyright = xmpFirst('dc:rights') || '';
+	}
+
+	if (isEmpty(meta.created_timestamp)) {
+		const created = xmpFirst('photoshop:DateCreated', 'xmp:CreateDate');
+		meta.created_timestamp = created ? xmpDateToTimestamp(created) : 0;
+	}
+
+	if (isEmpty(meta.keywords) && !isEmpty(xmp['dc:subject'])) {
+		meta.keywords = [...xmp['dc:subject']];
+	}
+
+	return meta;
+} 
\ No newline at end of file
@@ -12,7 +12,119 @@
 import sharp from 'sharp';
 import path from 'path';
 import fs from 'fs-extra';
-import { logger, logPerformance } from './Logger.js';
+import { fileURLToPath } from 'url';
+import { logger, logPerformance, getLoggerConfig } from './Logger.js';
+import { JobQueue } from './JobQueue.js';
+import { WorkerPool, WorkerCrashError } from './WorkerPool.js';
+import { metrics } from './Metrics.js';
+import { resizeDimensions } from './Dimensions.js';
+import { readImageMetadata, detectMetadata, buildKeptExif, KEEPABLE_METADATA } from './ImageMetadata.js';
+import { ssim } from './Similarity.js';
+
+// ES6 __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Entry point of the isolated processing workers
+ * 
+ * @since TBD
+ * 
+ * @type {string}
+ */
+const WORKER_SCRIPT = path.join(__dirname, 'ProcessingWorker.js');
+
+/**
+ * Image processing metrics
+ * 
+ * @since TBD
+ * 
+ * @type {Object}
+ */
+const processorMetrics = {
+	processed: metrics.counter({
+		name: 'wp_sharp_images_processed_total',
+		help: 'Images processed successfully.'
+	}),
+	failed: metrics.counter({
+		name: 'wp_sharp_images_failed_total',
+		help: 'Images that failed to process.'
+	}),
+	imageDuration: metrics.histogram({
+		name: 'wp_sharp_image_processing_seconds',
+		help: 'Time to process an image and all of its sizes in seconds.'
+	}),
+	sizeDuration: metrics.histogram({
+		name: 'wp_sharp_size_processing_seconds',
+		help: 'Time to generate one image size, including modern formats, in seconds.',
+		labelNames: ['size']
+	}),
+	bytesIn: metrics.counter({
+		name: 'wp_sharp_bytes_in_total',
+		help: 'Bytes of original images read.',
+		labelNames: ['format']
+	}),
+	bytesOut: metrics.counter({
+		name: 'wp_sharp_bytes_out_total',
+		help: 'Bytes of generated images written.',
+		labelNames: ['format']
+	}),
+	workerFailures: metrics.counter({
+		name: 'wp_sharp_worker_failures_total',
+		help: 'Images lost with their isolated worker, by reason (crash, timeout, memory).',
+		labelNames: ['reason']
+	})
+};
+
+/**
+ * Color profile handling modes, see ImageProcessor.applyColorProfile()
+ * 
+ * @since TBD
+ * 
+ * @type {Array<string>}
+ */
+const COLOR_PROFILE_MODES = ['srgb', 'preserve', 'strip'];
+
+/**
+ * Output formats with configurable encoder options
+ * 
+ * @since TBD
+ * 
+ * @type {Array<string>}
+ */
+const ENCODER_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+
+/**
+ * Output formats auto quality applies to by default
+ * 
+ * PNG is left out because Sharp only uses a quality for palette PNGs.
+ * 
+ * @since TBD
+ * 
+ * @type {Array<string>}
+ */
+const AUTO_QUALITY_FORMATS = ['jpeg', 'webp', 'avif'];
+
+/**
+ * Default time limits in milliseconds for decoding an image and encoding each output
+ * 
+ * @since TBD
+ * 
+ * @type {Object}
+ */
+const DEFAULT_TIMEOUTS = {
+	decode: 120000,
+	encode: 120000
+};
+
+/**
+ * Suffix of output files while they are being written
+ * 
+ * @since TBD
+ * 
+ * @type {string}
+ */
+const PARTIAL_SUFFIX = '.partial';
 
 /**
  * WordPress Image Processor class
@@ -39,299 +151,1290 @@ export class ImageProcessor {
 	imageSizes = {};
 
 	/**
-	 * Processing queue
+	 * WordPress image sizes of multisite sites, by site ID
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	siteImageSizes = new Map();
+
+	/**
+	 * WordPress big image size threshold, 0 when disabled
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	bigImageThreshold = 2560;
+
+	/**
+	 * Big image size thresholds of multisite sites, by site ID
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	siteBigImageThresholds = new Map();
+
+	/**
+	 * Processing queue
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {JobQueue}
+	 */
+	processingQueue = null;
+
+	/**
+	 * Isolated worker processes, null when images are processed in this process
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {WorkerPool|null}
+	 */
+	workerPool = null;
+
+	/**
+	 * Currently processing files
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Set}
+	 */
+	processing = new Set();
+
+	/**
+	 * Processing statistics
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	stats = {
+		processed: 0,
+		failed: 0,
+		totalTime: 0,
+		averageTime: 0
+	};
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} config      Image processing configuration.
+	 * @param {Object} imageSizes  WordPress image sizes configuration.
+	 */
+	constructor(config, imageSizes = {}) {
+		this.config = config;
+		this.imageSizes = imageSizes;
+
+		// Configure Sharp
+		sharp.cache(false); // Disable cache for production use
+		sharp.concurrency(config.concurrency || 4);
+
+		for (const keep of [this.config.metadata?.keep || [], ...Object.values(this.config.metadata?.sizes || {})]) {
+			const unknown = keep.filter((type) => !KEEPABLE_METADATA.includes(type));
+			if (unknown.length > 0) {
+				logger.warn(`Ignoring unknown metadata types in images.metadata: ${unknown.join(', ')}`);
+			}
+		}
+
+		const colorProfile = this.config.colorProfile;
+		for (const mode of typeof colorProfile === 'string' ? [colorProfile] : Object.values(colorProfile || {})) {
+			if (!COLOR_PROFILE_MODES.includes(mode)) {
+				logger.warn(`Ignoring unknown color profile mode in images.colorProfile: ${mode}`);
+			}
+		}
+
+		// Bounded worker queue so bulk uploads don't start one pipeline per file
+		const queueConfig = config.queue || {};
+		this.processingQueue = new JobQueue(
+			(payload, job) => this.workerPool
+				? this.processInWorker(payload.filePath, { ...payload.options, signal: job.signal })
+				: this.processImage(payload.filePath, { ...payload.options, signal: job.signal }),
+			{
+				workers: queueConfig.workers || 2,
+				maxSize: queueConfig.maxSize || 100,
+				historySize: queueConfig.historySize ?? 50
+			}
+		);
+
+		metrics.gauge({
+			name: 'wp_sharp_queue_depth',
+			help: 'Jobs in the processing queue by state.',
+			labelNames: ['state'],
+			collect: () => {
+				const queueStats = this.processingQueue.getStats();
+				return [
+					[{ state: 'queued' }, queueStats.queued],
+					[{ state: 'running' }, queueStats.running],
+					[{ state: 'waiting' }, queueStats.waiting]
+				];
+			}
+		});
+
+		// Process in worker processes so a crashing or runaway image only fails its own job
+		const isolation = config.isolation || {};
+		if (isolation.enabled) {
+			this.workerPool = new WorkerPool(WORKER_SCRIPT, {
+				size: this.processingQueue.workers,
+				maxJobsPerWorker: isolation.maxJobsPerWorker ?? 50,
+				memoryLimit: isolation.memoryLimit ?? 0,
+				timeout: isolation.timeout ?? 0,
+				init: { images: config, logging: getLoggerConfig() }
+			});
+
+			// Metrics recorded by the workers are served by this process
+			this.workerPool.on('metrics', (updates) => metrics.replay(updates));
+
+			metrics.gauge({
+				name: 'wp_sharp_workers',
+				help: 'Isolated processing workers by state.',
+				labelNames: ['state'],
+				collect: () => {
+					const poolStats = this.workerPool.getStats();
+					return [
+						[{ state: 'busy' }, poolStats.busy],
+						[{ state: 'idle' }, poolStats.workers - poolStats.busy]
+					];
+				}
+			});
+		}
+
+		logger.info('ImageProcessor initialized', {
+			concurrency: config.concurrency || 4,
+			workers: this.processingQueue.workers,
+			maxQueueSize: this.processingQueue.maxSize,
+			isolated: !!this.workerPool,
+			imageSizes: Object.keys(imageSizes).length
+		});
+	}
+
+	/**
+	 * Update image sizes configuration
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} imageSizes WordPress image sizes configuration.
+	 * @param {number} siteId     Multisite site ID, null for the default sizes.
+	 * 
+	 * @return {void}
+	 */
+	updateImageSizes(imageSizes, siteId = null) {
+		if (siteId) {
+			this.siteImageSizes.set(siteId, imageSizes);
+		} else {
+			this.imageSizes = imageSizes;
+		}
+
+		logger.info('Image sizes updated', {
+			sizes: Object.keys(imageSizes).length,
+			site: siteId
+		});
+	}
+
+	/**
+	 * Get the image sizes to generate
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {number} siteId Multisite site ID, null for the default sizes.
+	 * 
+	 * @return {Object} WordPress image sizes configuration.
+	 */
+	getImageSizes(siteId = null) {
+		return this.siteImageSizes.get(siteId) || this.imageSizes;
+	}
+
+	/**
+	 * Update the big image size threshold
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {number} threshold Threshold in pixels, 0 to disable scaling.
+	 * @param {number} siteId    Multisite site ID, null for the default threshold.
+	 * 
+	 * @return {void}
+	 */
+	updateBigImageThreshold(threshold, siteId = null) {
+		if (siteId) {
+			this.siteBigImageThresholds.set(siteId, threshold);
+		} else {
+			this.bigImageThreshold = threshold;
+		}
+
+		logger.debug('Big image size threshold updated', { threshold, site: siteId });
+	}
+
+	/**
+	 * Get the big image size threshold
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {number} siteId Multisite site ID, null for the default threshold.
+	 * 
+	 * @return {number} Threshold in pixels, 0 when disabled.
+	 */
+	getBigImageThreshold(siteId = null) {
+		return this.siteBigImageThresholds.get(siteId) ?? this.bigImageThreshold;
+	}
+
+	/**
+	 * Check if image sizes were loaded for a site
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {number} siteId Multisite site ID.
+	 * 
+	 * @return {boolean} True if the site has its own image sizes.
+	 */
+	hasImageSizes(siteId) {
+		return this.siteImageSizes.has(siteId);
+	}
+
+	/**
+	 * Queue an image file for processing
+	 * 
+	 * Waits for queue capacity when the queue is full, then resolves once a
+	 * worker has processed the image.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Absolute path to the image file.
+	 * @param {Object} options  Processing options, see processImage().
+	 * 
+	 * @return {Promise<Object>} Processing results with metadata.
+	 */
+	async queueImage(filePath, options = {}) {
+		return this.processingQueue.add(filePath, { filePath, options });
+	}
+
+	/**
+	 * Process a single image file
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}  filePath            Absolute path to the image file.
+	 * @param {Object}  options             Processing options.
+	 * @param {boolean}     options.onlyMissing Only generate size files that don't exist yet.
+	 * @param {number}      options.siteId      Multisite site whose image sizes to generate.
+	 * @param {AbortSignal} options.signal      Signal cancelling the processing between outputs.
+	 * 
+	 * @return {Promise<Object>} Processing results with metadata.
+	 */
+	async processImage(filePath, options = {}) {
+		const startTime = Date.now();
+		const endTimer = processorMetrics.imageDuration.startTimer();
+		
+		if (this.processing.has(filePath)) {
+			logger.debug(`Image already being processed: ${filePath}`);
+			return null;
+		}
+
+		this.processing.add(filePath);
+
+		try {
+			// Validate image file
+			if (!await this.isValidImage(filePath)) {
+				throw new Error('Invalid or unsupported image format');
+			}
+
+			// Backup original if configured
+			if (this.config.backupOriginals) {
+				await this.backupOriginal(filePath);
+			}
+
+			// Get image metadata
+			const image = sharp(filePath);
+			const metadata = await image.metadata();
+			const sourceSize = (await fs.stat(filePath)).size;
+
+			logger.info(`Processing image: ${path.basename(filePath)}`, {
+				width: metadata.width,
+				height: metadata.height,
+				format: metadata.format,
+				size: sourceSize
+			});
+
+			processorMetrics.bytesIn.inc({ format: metadata.format }, sourceSize);
+			options.signal?.throwIfAborted();
+
+			// Dimensions as displayed, with the EXIF orientation applied
+			const orientedMetadata = this.getOrientedMetadata(metadata);
+
+			// Auto quality shares one time budget across all outputs of the image
+			const imageOptions = { ...options, autoQuality: this.startAutoQuality() };
+
+			// Like WordPress, only the full size of big images is their -scaled copy
+			const scaledDimensions = this.getScaledDimensions(orientedMetadata, options.siteId);
+			const fullSizeMetadata = scaledDimensions ? { ...orientedMetadata, ...scaledDimensions } : orientedMetadata;
+
+			// Decode once so every output starts from the same copy. Outputs of big images are
+			// all much smaller than the original, so they are resized from the file instead,
+			// letting libvips shrink JPEGs while decoding.
+			const source = scaledDimensions ? filePath : await this.decodeSource(filePath, metadata, options.signal);
+
+			// Big uploads are downsized into a -scaled copy and other rotated photos saved
+			// upright as a -rotated copy; either copy becomes the full size image
+			const fullSizePath = await this.scaleBigImage(filePath, source, orientedMetadata, imageOptions)
+				|| await this.rotateOriginal(filePath, source, metadata, imageOptions);
+			const sourcePath = fullSizePath || filePath;
+
+			// Generate image sizes from the original, as WordPress does even for big images
+			const generatedSizes = await this.generateImageSizes(filePath, orientedMetadata, imageOptions, source, metadata);
+
+			const strippedMetadata = {};
+			for (const outputName of [...(fullSizePath ? ['full'] : []), ...generatedSizes.map((size) => size.size)]) {
+				const removed = this.getStrippedMetadata(outputName, metadata);
+				if (removed.length > 0) {
+					strippedMetadata[outputName] = removed;
+				}
+			}
+
+			if (Object.keys(strippedMetadata).length > 0) {
+				logger.info(`Stripped metadata: ${path.basename(filePath)}`, strippedMetadata);
+			}
+
+			if (imageOptions.autoQuality && Object.keys(imageOptions.autoQuality.chosen).length > 0) {
+				logger.info(`Auto quality: ${path.basename(filePath)}`, imageOptions.autoQuality.chosen);
+			}
+
+			// Create WordPress metadata structure, keeping the original's camera data
+			const wpMetadata = await this.createWordPressMetadata(sourcePath, {
+				...metadata,
+				width: fullSizeMetadata.width,
+				height: fullSizeMetadata.height,
+				orientation: fullSizePath ? 1 : metadata.orientation
+			}, generatedSizes);
+
+			if (fullSizePath) {
+				wpMetadata.original_image = path.basename(filePath);
+			}
+
+			this.stats.processed++;
+			this.stats.totalTime += (Date.now() - startTime);
+			this.stats.averageTime = this.stats.totalTime / this.stats.processed;
+			processorMetrics.processed.inc();
+			endTimer();
+
+			logPerformance('Image Processing', startTime, {
+				file: path.basename(filePath),
+				sizes: generatedSizes.length,
+				originalSize: orientedMetadata.width + 'x' + orientedMetadata.height
+			});
+
+			return wpMetadata;
+
+		} catch (error) {
+			if (options.signal?.aborted) {
+				logger.info(`Cancelled processing: ${path.basename(filePath)}`);
+				throw error;
+			}
+
+			this.stats.failed++;
+			processorMetrics.failed.inc();
+			logger.error(`Failed to process image: ${filePath}`, {
+				error: error.message,
+				stack: error.stack
+			});
+			throw error;
+
+		} finally {
+			this.processing.delete(filePath);
+		}
+	}
+
+	/**
+	 * Process an image in an isolated worker process
+	 * 
+	 * The worker runs processImage() with this processor's image sizes for
+	 * the site. Failures thrown by processImage() were already logged and
+	 * counted by the worker; losing the worker is logged and counted here.
+	 * Cancelling kills the worker, and files it was writing are removed.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Path to the image file.
+	 * @param {Object} options  Processing options, see processImage().
+	 * 
+	 * @return {Promise<Object>} Processing results with metadata.
+	 */
+	async processInWorker(filePath, options = {}) {
+		const startTime = Date.now();
+		const { signal, ...jobOptions } = options;
+
+		this.processing.add(filePath);
+
+		try {
+			const wpMetadata = await this.workerPool.run({
+				filePath,
+				options: jobOptions,
+				imageSizes: this.getImageSizes(options.siteId),
+				bigImageThreshold: this.getBigImageThreshold(options.siteId)
+			}, signal);
+
+			this.stats.processed++;
+			this.stats.totalTime += (Date.now() - startTime);
+			this.stats.averageTime = this.stats.totalTime / this.stats.processed;
+
+			return wpMetadata;
+
+		} catch (error) {
+			if (signal?.aborted) {
+				await this.removePartialOutputs(filePath);
+				logger.info(`Cancelled processing: ${path.basename(filePath)}`);
+				throw error;
+			}
+
+			this.stats.failed++;
+
+			if (error instanceof WorkerCrashError) {
+				await this.removePartialOutputs(filePath);
+				processorMetrics.failed.inc();
+				processorMetrics.workerFailures.inc({ reason: error.reason });
+				logger.error(`Failed to process image: ${filePath}`, {
+					error: error.message
+				});
+			}
+			throw error;
+
+		} finally {
+			this.processing.delete(filePath);
+		}
+	}
+
+	/**
+	 * Scale an image over the big image size threshold
+	 * 
+	 * Like WordPress 5.3+, images wider or taller than the threshold are
+	 * downsized into `name-scaled.ext`. PNGs are never scaled.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}        filePath Original image file path.
+	 * @param {string|Buffer} source   Original file or decoded original, see decodeSource().
+	 * @param {Object}        metadata Original image metadata, with oriented dimensions.
+	 * @param {Object}        options  Processing options, see processImage().
+	 * 
+	 * @return {Promise<string|null>} Path of the scaled image, or null if the image isn't over the threshold.
+	 */
+	async scaleBigImage(filePath, source, metadata, options = {}) {
+		const dimensions = this.getScaledDimensions(metadata, options.siteId);
+		if (!dimensions) {
+			return null;
+		}
+
+		const scaledPath = this.getSuffixedPath(filePath, 'scaled');
+
+		if (!options.onlyMissing || !await fs.pathExists(scaledPath)) {
+			const image = this.createPipeline(source).resize({ width: dimensions.width, height: dimensions.height, fit: 'fill' });
+			this.applyMetadataPolicy(image, 'full', metadata);
+			await this.writeOutput(image, 'full', this.getImageFormat(filePath), scaledPath, options);
+
+			logger.info(`Scaled big image: ${path.basename(filePath)}`, {
+				from: `${metadata.width}x${metadata.height}`,
+				to: `${dimensions.width}x${dimensions.height}`
+			});
+		}
+
+		return scaledPath;
+	}
+
+	/**
+	 * Save a rotated image upright as a -rotated copy
+	 * 
+	 * Like wp_image_maybe_exif_rotate(), photos with an EXIF orientation are
+	 * rotated into `name-rotated.ext`, which becomes the full size image.
+	 * Disabled with the `saveRotatedOriginal` option; generated sizes are
+	 * upright either way.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}        filePath Original image file path.
+	 * @param {string|Buffer} source   Decoded original, see decodeSource().
+	 * @param {Object}        metadata Original image metadata.
+	 * @param {Object}        options  Processing options, see processImage().
+	 * 
+	 * @return {Promise<string|null>} Path of the rotated image, or null if the image needs no rotation.
+	 */
+	async rotateOriginal(filePath, source, metadata, options = {}) {
+		if (!this.needsRotatedCopy(metadata)) {
+			return null;
+		}
+
+		const rotatedPath = this.getSuffixedPath(filePath, 'rotated');
+
+		if (!options.onlyMissing || !await fs.pathExists(rotatedPath)) {
+			const image = this.applyMetadataPolicy(this.createPipeline(source), 'full', metadata);
+			await this.writeOutput(image, 'full', this.getImageFormat(filePath), rotatedPath, options);
+
+			logger.info(`Rotated image: ${path.basename(filePath)}`, {
+				orientation: metadata.orientation
+			});
+		}
+
+		return rotatedPath;
+	}
+
+	/**
+	 * Check if an image gets a -rotated copy
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} metadata Original image metadata.
+	 * 
+	 * @return {boolean} True if the image has an EXIF orientation and rotated copies are enabled.
+	 */
+	needsRotatedCopy(metadata) {
+		return metadata.orientation > 1 && this.config.saveRotatedOriginal !== false;
+	}
+
+	/**
+	 * Get image metadata with the EXIF orientation applied to the dimensions
+	 * 
+	 * Orientations 5 to 8 are rotated by 90 degrees, so width and height swap.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} metadata Image metadata from Sharp.
+	 * 
+	 * @return {Object} Metadata with the displayed width and height.
+	 */
+	getOrientedMetadata(metadata) {
+		if (!(metadata.orientation >= 5)) {
+			return metadata;
+		}
+
+		return {
+			...metadata,
+			width: metadata.height,
+			height: metadata.width
+		};
+	}
+
+	/**
+	 * Get the dimensions of an image's -scaled copy
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} metadata Original image metadata, with oriented dimensions.
+	 * @param {number} siteId   Multisite site whose threshold to use.
+	 * 
+	 * @return {Object|null} Width and height, or null if the image isn't scaled.
+	 */
+	getScaledDimensions(metadata, siteId = null) {
+		// Scaled PNGs can end up larger than the original (WordPress #48736)
+		if (metadata.format === 'png') {
+			return null;
+		}
+
+		const threshold = this.getBigImageThreshold(siteId);
+		if (!threshold || (metadata.width <= threshold && metadata.height <= threshold)) {
+			return null;
+		}
+
+		return resizeDimensions(metadata.width, metadata.height, threshold, threshold, false);
+	}
+
+	/**
+	 * Get the path of a copy of an image, such as its -scaled copy
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Original image file path.
+	 * @param {string} suffix   Copy suffix, e.g. 'scaled' or 'rotated'.
+	 * 
+	 * @return {string} Copy path.
+	 */
+	getSuffixedPath(filePath, suffix) {
+		const fileInfo = path.parse(filePath);
+
+		return path.join(fileInfo.dir, `${fileInfo.name}-${suffix}${fileInfo.ext}`);
+	}
+
+	/**
+	 * Decode an image once for generating all of its outputs
+	 * 
+	 * Returns the upright pixels as an uncompressed TIFF, which every size
+	 * and format is resized from instead of decoding the original again.
+	 * The source color profile is kept so it can still be preserved; CMYK
+	 * images are converted to sRGB, as their profile can't be reused.
+	 * Fails after the `timeouts.decode` limit.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}      filePath Image file path.
+	 * @param {Object}      metadata Image metadata from Sharp.
+	 * @param {AbortSignal} signal   Signal cancelling the decode.
+	 * 
+	 * @return {Promise<Buffer>} Decoded image.
+	 */
+	async decodeSource(filePath, metadata, signal = null) {
+		const image = this.createPipeline(filePath);
+
+		if (metadata.space !== 'cmyk') {
+			image.keepIccProfile();
+		}
+
+		const decoding = this.withTimeout(image, 'decode').tiff({ compression: 'none' }).toBuffer();
+
+		return this.awaitLimited(decoding, 'decode', `Decoding ${path.basename(filePath)}`, signal);
+	}
+
+	/**
+	 * Generate all WordPress image sizes for a given image
+	 * 
+	 * Like WordPress, sizes are resized from the original image and sized
+	 * from its dimensions even when its full size is a -scaled copy. Every
+	 * size and format is resized from the same source, so pass a decoded
+	 * image (see decodeSource()) to avoid decoding the file for each output.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}        filePath         Original image file path.
+	 * @param {Object}        metadata         Original image metadata, with oriented dimensions.
+	 * @param {Object}        options          Processing options, see processImage().
+	 * @param {string|Buffer} source           Decoded original, defaults to the original file.
+	 * @param {Object}        originalMetadata Original image metadata, whose EXIF data sizes keep.
+	 * 
+	 * @return {Promise<Array>} Array of generated image information.
+	 */
+	async generateImageSizes(filePath, metadata, options = {}, source = filePath, originalMetadata = metadata) {
+		const generatedSizes = [];
+		const fileInfo = path.parse(filePath);
+		const uploadsDir = path.dirname(filePath);
+
+		// Process each configured image size
+		for (const [sizeName, sizeConfig] of Object.entries(this.getImageSizes(options.siteId))) {
+			const endTimer = processorMetrics.sizeDuration.startTimer({ size: sizeName });
+
+			try {
+				const resizedImage = await this.resizeImage(source, sizeConfig, metadata);
+				
+				if (resizedImage) {
+					this.applyMetadataPolicy(resizedImage.image, sizeName, originalMetadata);
+
+					// Generate filename for the size
+					const sizeFilename = this.generateSizeFilename(fileInfo, resizedImage.width, resizedImage.height);
+					const sizeFilePath = path.join(uploadsDir, sizeFilename);
+
+					// Keep existing files when only missing sizes were requested
+					const shouldWrite = async (outputPath) => !options.onlyMissing || !await fs.pathExists(outputPath);
+
+					// Save the resized image
+					if (await shouldWrite(sizeFilePath)) {
+						await this.writeOutput(resizedImage.image, sizeName, this.getImageFormat(sizeFilePath), sizeFilePath, options);
+					}
+
+					// Generate modern formats if enabled
+					const modernFormats = [];
+					if (this.config.modernFormats.webp) {
+						const webpPath = path.join(uploadsDir, this.generateSizeFilename(fileInfo, resizedImage.width, resizedImage.height, 'webp'));
+						if (await shouldWrite(webpPath)) {
+							await this.writeOutput(resizedImage.image, sizeName, 'webp', webpPath, options);
+						}
+						modernFormats.push({
+							format: 'webp',
+							file: path.basename(webpPath),
+							width: resizedImage.width,
+							height: resizedImage.height
+						});
+					}
+
+					if (this.config.modernFormats.avif) {
+						const avifPath = path.join(uploadsDir, this.generateSizeFilename(fileInfo, resizedImage.width, resizedImage.height, 'avif'));
+						if (await shouldWrite(avifPath)) {
+							await this.writeOutput(resizedImage.image, sizeName, 'avif', avifPath, options);
+						}
+						modernFormats.push({
+							format: 'avif',
+							file: path.basename(avifPath),
+							width: resizedImage.width,
+							height: resizedImage.height
+						});
+					}
+
+					generatedSizes.push({
+						size: sizeName,
+						file: path.basename(sizeFilePath),
+						width: resizedImage.width,
+						height: resizedImage.height,
+						'mime-type': `image/${this.getImageFormat(sizeFilePath)}`,
+						modernFormats
+					});
+
+					logger.debug(`Generated ${sizeName} size: ${resizedImage.width}x${resizedImage.height}`);
+					endTimer();
+				}
+
+			} catch (error) {
+				if (options.signal?.aborted) {
+					throw error;
+				}
+
+				logger.warn(`Failed to generate ${sizeName} size for ${path.basename(filePath)}:`, error.message);
+			}
+		}
+
+		return generatedSizes;
+	}
+
+	/**
+	 * Resize image according to WordPress size configuration
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string|Buffer} input      Image file path or decoded image.
+	 * @param {Object}        sizeConfig Size configuration object.
+	 * @param {Object}        metadata   Metadata of the input image.
+	 * 
+	 * @return {Promise<Object|null>} Resized image data or null if not needed.
+	 */
+	async resizeImage(input, sizeConfig, metadata) {
+		const dimensions = this.calculateDimensions(sizeConfig, metadata);
+
+		if (!dimensions) {
+			return null;
+		}
+
+		const image = this.createPipeline(input);
+
+		// Cut out the source region WordPress would use, then scale it to the exact size
+		if (dimensions.region) {
+			image.extract(dimensions.region);
+		}
+
+		image.resize({
+			width: dimensions.width,
+			height: dimensions.height,
+			fit: 'fill'
+		});
+
+		return {
+			image,
+			width: dimensions.width,
+			height: dimensions.height
+		};
+	}
+
+	/**
+	 * Create a Sharp pipeline for an image
+	 * 
+	 * The image is rotated upright according to its EXIF orientation, and
+	 * the orientation tag is not carried over to the output. Encoder options
+	 * are applied per output by createOutput().
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string|Buffer} input Image file path or decoded image.
+	 * 
+	 * @return {Sharp} Sharp pipeline.
+	 */
+	createPipeline(input) {
+		return sharp(input).rotate();
+	}
+
+	/**
+	 * Prepare a copy of a pipeline for writing one output file
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Sharp}  image      Sharp pipeline.
+	 * @param {string} outputName Image size name, or 'full' for -scaled and -rotated copies.
+	 * @param {string} format     Output format, e.g. 'jpeg' or 'webp'.
+	 * @param {Object} overrides  Encoder options overriding the configured ones.
+	 * 
+	 * @return {Sharp} Pipeline with the color profile and encoder options of the output.
+	 */
+	createOutput(image, outputName, format, overrides = {}) {
+		const output = this.applyColorProfile(image.clone(), outputName, format);
+
+		if (ENCODER_FORMATS.includes(format)) {
+			output.toFormat(format, { ...this.getEncoderOptions(outputName, format), ...overrides });
+		} else {
+			output.toFormat(format);
+		}
+
+		return this.withTimeout(output, 'encode');
+	}
+
+	/**
+	 * Encode and save one output file
+	 * 
+	 * The file is written next to its final path with a `.partial` suffix
+	 * and renamed once complete, so an encode that fails, times out or is
+	 * cancelled never leaves a truncated image behind. The time limit covers
+	 * the auto quality search too.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Sharp}       image               Sharp pipeline.
+	 * @param {string}      outputName          Image size name, or 'full' for -scaled and -rotated copies.
+	 * @param {string}      format              Output format, e.g. 'jpeg' or 'webp'.
+	 * @param {string}      outputPath          File to write.
+	 * @param {Object}      options             Processing options of the image.
+	 * @param {Object}      options.autoQuality Auto quality state of the image, see startAutoQuality().
+	 * @param {AbortSignal} options.signal      Signal cancelling the processing.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async writeOutput(image, outputName, format, outputPath, options = {}) {
+		const { autoQuality, signal } = options;
+		const partialPath = outputPath + PARTIAL_SUFFIX;
+
+		signal?.throwIfAborted();
+
+		const encoding = (async () => {
+			const tuned = autoQuality ? await this.findAutoQuality(image, outputName, format, autoQuality, signal) : null;
+
+			if (!tuned) {
+				return (await this.createOutput(image, outputName, format).toFile(partialPath)).size;
+			}
+
+			await fs.writeFile(partialPath, tuned.data);
+
+			autoQuality.chosen[outputName] = { ...autoQuality.chosen[outputName], [format]: tuned.quality };
+			logger.debug(`Auto quality for ${path.basename(outputPath)}: ${tuned.quality}`, { ssim: tuned.score.toFixed(4) });
+
+			return tuned.data.length;
+		})();
+
+		try {
+			const size = await this.awaitLimited(encoding, 'encode', `Encoding ${path.basename(outputPath)}`, signal);
+
+			await fs.rename(partialPath, outputPath);
+			processorMetrics.bytesOut.inc({ format }, size);
+
+		} catch (error) {
+			// An abandoned encode may still write its file once it finishes
+			encoding.finally(() => fs.remove(partialPath)).catch(() => {});
+			await fs.remove(partialPath);
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Wait for a Sharp operation within a stage's time limit
+	 * 
+	 * Pipelines limited with withTimeout() stop themselves, but libvips
+	 * can't interrupt an encoder such as AVIF's once it runs. When the limit
+	 * passes or the signal is aborted the operation is abandoned instead,
+	 * finishing in the background.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Promise}     operation Sharp operation.
+	 * @param {string}      stage     'decode' or 'encode'.
+	 * @param {string}      label     Operation description for the timeout error, e.g. "Encoding photo-150x150.jpg".
+	 * @param {AbortSignal} signal    Signal cancelling the operation.
+	 * 
+	 * @return {Promise<*>} Operation result.
+	 */
+	async awaitLimited(operation, stage, label, signal = null) {
+		const timeout = this.getTimeout(stage);
+		const timeoutError = () => new Error(`${label} timed out after ${timeout}ms`);
+		let timer = null;
+		let onAbort = null;
+
+		signal?.throwIfAborted();
+
+		const limit = new Promise((resolve, reject) => {
+			if (timeout > 0) {
+				timer = setTimeout(() => reject(timeoutError()), timeout);
+			}
+
+			if (signal) {
+				onAbort = () => reject(signal.reason);
+				signal.addEventListener('abort', onAbort, { once: true });
+			}
+		});
+
+		try {
+			return await Promise.race([operation, limit]);
+		} catch (error) {
+			throw this.isTimeoutError(error) ? timeoutError() : error;
+		} finally {
+			clearTimeout(timer);
+			signal?.removeEventListener('abort', onAbort);
+		}
+	}
+
+	/**
+	 * Get the time limit of a processing stage
 	 * 
 	 * @since TBD
 	 * 
-	 * @type {Array}
+	 * @param {string} stage 'decode' or 'encode'.
+	 * 
+	 * @return {number} Time limit in milliseconds, 0 for no limit.
 	 */
-	processingQueue = [];
+	getTimeout(stage) {
+		return this.config.timeouts?.[stage] ?? DEFAULT_TIMEOUTS[stage];
+	}
 
 	/**
-	 * Currently processing files
+	 * Limit how long a pipeline may run
+	 * 
+	 * Sharp counts the limit in whole seconds, so it is rounded up. See
+	 * awaitLimited() for encoders this doesn't stop.
 	 * 
 	 * @since TBD
 	 * 
-	 * @type {Set}
+	 * @param {Sharp}  image Sharp pipeline.
+	 * @param {string} stage 'decode' or 'encode'.
+	 * 
+	 * @return {Sharp} The pipeline.
 	 */
-	processing = new Set();
+	withTimeout(image, stage) {
+		const timeout = this.getTimeout(stage);
+
+		if (timeout > 0) {
+			image.timeout({ seconds: Math.ceil(timeout / 1000) });
+		}
+
+		return image;
+	}
 
 	/**
-	 * Processing statistics
+	 * Check if a Sharp error was raised by a pipeline time limit
 	 * 
 	 * @since TBD
 	 * 
-	 * @type {Object}
+	 * @param {Error} error Error thrown by Sharp.
+	 * 
+	 * @return {boolean} True if the pipeline timed out.
 	 */
-	stats = {
-		processed: 0,
-		failed: 0,
-		totalTime: 0,
-		averageTime: 0
-	};
+	isTimeoutError(error) {
+		return /^timeout: \d+% complete/.test(error.message);
+	}
 
 	/**
-	 * Constructor
+	 * Remove output files an interrupted job left half written
+	 * 
+	 * Used when a worker process was killed before it could clean up.
 	 * 
 	 * @since TBD
 	 * 
-	 * @param {Object} config      Image processing configuration.
-	 * @param {Object} imageSizes  WordPress image sizes configuration.
+	 * @param {string} filePath Original image file path.
+	 * 
+	 * @return {Promise<void>}
 	 */
-	constructor(config, imageSizes = {}) {
-		this.config = config;
-		this.imageSizes = imageSizes;
+	async removePartialOutputs(filePath) {
+		const fileInfo = path.parse(filePath);
 
-		// Configure Sharp
-		sharp.cache(false); // Disable cache for production use
-		sharp.concurrency(config.concurrency || 4);
+		try {
+			const entries = await fs.readdir(fileInfo.dir);
+			const partial = entries.filter((entry) => entry.startsWith(`${fileInfo.name}-`) && entry.endsWith(PARTIAL_SUFFIX));
 
-		logger.info('ImageProcessor initialized', {
-			concurrency: config.concurrency || 4,
-			imageSizes: Object.keys(imageSizes).length
-		});
+			await Promise.all(partial.map((entry) => fs.remove(path.join(fileInfo.dir, entry))));
+
+			if (partial.length > 0) {
+				logger.debug(`Removed ${partial.length} partial output(s) of ${fileInfo.base}`);
+			}
+		} catch (error) {
+			logger.warn(`Failed to remove partial outputs of ${fileInfo.base}:`, error.message);
+		}
 	}
 
 	/**
-	 * Update image sizes configuration
+	 * Start auto quality for an image
 	 * 
 	 * @since TBD
 	 * 
-	 * @param {Object} imageSizes WordPress image sizes configuration.
-	 * 
-	 * @return {void}
+	 * @return {Object|null} Deadline and chosen qualities by output, or null if auto quality is disabled.
 	 */
-	updateImageSizes(imageSizes) {
-		this.imageSizes = imageSizes;
-		logger.info('Image sizes updated', {
-			sizes: Object.keys(imageSizes).length
-		});
+	startAutoQuality() {
+		const settings = this.config.autoQuality;
+
+		if (!settings?.enabled) {
+			return null;
+		}
+
+		return {
+			deadline: Date.now() + (settings.timeBudget ?? 3000),
+			chosen: {}
+		};
 	}
 
 	/**
-	 * Process a single image file
+	 * Find the lowest encoder quality that meets the SSIM target
+	 * 
+	 * Binary searches between `minQuality` and `maxQuality`, comparing each
+	 * encode to the unencoded output. Stops when the image's time budget
+	 * runs out, keeping the best encode found so far.
 	 * 
 	 * @since TBD
 	 * 
-	 * @param {string} filePath Absolute path to the image file.
+	 * @param {Sharp}       image       Sharp pipeline.
+	 * @param {string}      outputName  Image size name, or 'full' for -scaled and -rotated copies.
+	 * @param {string}      format      Output format, e.g. 'jpeg' or 'webp'.
+	 * @param {Object}      autoQuality Auto quality state of the image, see startAutoQuality().
+	 * @param {AbortSignal} signal      Signal cancelling the search.
 	 * 
-	 * @return {Promise<Object>} Processing results with metadata.
+	 * @return {Promise<Object|null>} Quality, SSIM score and encoded data, or null to use the configured quality.
 	 */
-	async processImage(filePath) {
-		const startTime = Date.now();
-		
-		if (this.processing.has(filePath)) {
-			logger.debug(`Image already being processed: ${filePath}`);
+	async findAutoQuality(image, outputName, format, autoQuality, signal = null) {
+		const settings = this.config.autoQuality;
+		const formats = settings.formats || AUTO_QUALITY_FORMATS;
+
+		if (!formats.includes(format) || !ENCODER_FORMATS.includes(format) || Date.now() >= autoQuality.deadline) {
 			return null;
 		}
 
-		this.processing.add(filePath);
+		const target = settings.target ?? 0.985;
+		const reference = await this.createOutput(image, outputName, format).raw().toBuffer({ resolveWithObject: true });
+		let low = settings.minQuality ?? 40;
+		let high = settings.maxQuality ?? 95;
+		let best = null;
 
-		try {
-			// Validate image file
-			if (!await this.isValidImage(filePath)) {
-				throw new Error('Invalid or unsupported image format');
-			}
+		while (low <= high && Date.now() < autoQuality.deadline) {
+			signal?.throwIfAborted();
 
-			// Backup original if configured
-			if (this.config.backupOriginals) {
-				await this.backupOriginal(filePath);
-			}
+			const quality = Math.floor((low + high) / 2);
+			const data = await this.createOutput(image, outputName, format, { quality }).toBuffer();
 
-			// Get image metadata
-			const image = sharp(filePath);
-			const metadata = await image.metadata();
+			// Compare the stored pixels, without color management on decode
+			const candidate = await sharp(data).keepIccProfile().raw().toBuffer({ resolveWithObject: true });
+			const score = ssim(reference, candidate);
 
-			logger.info(`Processing image: ${path.basename(filePath)}`, {
-				width: metadata.width,
-				height: metadata.height,
-				format: metadata.format,
-				size: (await fs.stat(filePath)).size
-			});
+			if (score >= target) {
+				best = { quality, score, data };
+				high = quality - 1;
+			} else {
+				low = quality + 1;
+			}
+		}
 
-			// Generate image sizes
-			const generatedSizes = await this.generateImageSizes(filePath, metadata);
+		return best;
+	}
 
-			// Create WordPress metadata structure
-			const wpMetadata = await this.createWordPressMetadata(filePath, metadata, generatedSizes);
+	/**
+	 * Get the encoder options of an output image
+	 * 
+	 * Starts from the `quality`, `progressive` and `optimize` settings, then
+	 * applies `encoders.<format>` and `encoders.sizes.<size>.<format>`. The
+	 * options are passed to Sharp's jpeg(), png(), webp() or avif().
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} outputName Image size name, or 'full' for -scaled and -rotated copies.
+	 * @param {string} format     Output format: jpeg, png, webp or avif.
+	 * 
+	 * @return {Object} Sharp encoder options.
+	 */
+	getEncoderOptions(outputName, format) {
+		const quality = this.config.quality || {};
+		const encoders = this.config.encoders || {};
+		const defaults = {
+			jpeg: this.config.optimize ? { quality: quality.jpeg, progressive: this.config.progressive } : {},
+			png: this.config.optimize ? { progressive: this.config.progressive } : {},
+			webp: { quality: quality.webp },
+			avif: { quality: quality.avif }
+		};
 
-			this.stats.processed++;
-			this.stats.totalTime += (Date.now() - startTime);
-			this.stats.averageTime = this.stats.totalTime / this.stats.processed;
+		const options = {
+			...defaults[format],
+			...encoders[format],
+			...encoders.sizes?.[outputName]?.[format]
+		};
 
-			logPerformance('Image Processing', startTime, {
-				file: path.basename(filePath),
-				sizes: generatedSizes.length,
-				originalSize: metadata.width + 'x' + metadata.height
-			});
+		// Sharp quantizes PNGs to a palette whenever a quality is set
+		if (format === 'png' && options.palette && options.quality === undefined && this.config.optimize) {
+			options.quality = quality.png;
+		}
 
-			return wpMetadata;
+		return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+	}
 
-		} catch (error) {
-			this.stats.failed++;
-			logger.error(`Failed to process image: ${filePath}`, {
-				error: error.message,
-				stack: error.stack
-			});
-			throw error;
+	/**
+	 * Get the metadata types kept in an output image
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} outputName Image size name, or 'full' for -scaled and -rotated copies.
+	 * 
+	 * @return {Array<string>} Kept metadata types, see KEEPABLE_METADATA.
+	 */
+	getMetadataPolicy(outputName) {
+		const policy = this.config.metadata || {};
+		const keep = policy.sizes?.[outputName] ?? policy.keep ?? [];
 
-		} finally {
-			this.processing.delete(filePath);
-		}
+		return keep.filter((type) => KEEPABLE_METADATA.includes(type));
 	}
 
 	/**
-	 * Generate all WordPress image sizes for a given image
+	 * Keep the EXIF metadata an output image's policy allows
+	 * 
+	 * Sharp removes all metadata by default, so kept EXIF tags are rewritten
+	 * from the original, without GPS. The ICC profile is handled by
+	 * applyColorProfile().
 	 * 
 	 * @since TBD
 	 * 
-	 * @param {string} filePath Original image file path.
-	 * @param {Object} metadata Original image metadata.
+	 * @param {Sharp}  image      Sharp pipeline.
+	 * @param {string} outputName Image size name, or 'full' for -scaled and -rotated copies.
+	 * @param {Object} original   Original image metadata.
 	 * 
-	 * @return {Promise<Array>} Array of generated image information.
+	 * @return {Sharp} The pipeline.
 	 */
-	async generateImageSizes(filePath, metadata) {
-		const generatedSizes = [];
-		const fileInfo = path.parse(filePath);
-		const uploadsDir = path.dirname(filePath);
+	applyMetadataPolicy(image, outputName, original) {
+		const keep = this.getMetadataPolicy(outputName);
 
-		// Process each configured image size
-		for (const [sizeName, sizeConfig] of Object.entries(this.imageSizes)) {
-			try {
-				const resizedImage = await this.resizeImage(filePath, sizeConfig, metadata);
-				
-				if (resizedImage) {
-					// Generate filename for the size
-					const sizeFilename = this.generateSizeFilename(fileInfo, resizedImage.width, resizedImage.height);
-					const sizeFilePath = path.join(uploadsDir, sizeFilename);
+		const exif = buildKeptExif(original, keep);
+		if (exif) {
+			image.withExif(exif);
+		}
 
-					// Save the resized image
-					await resizedImage.image.toFile(sizeFilePath);
+		return image;
+	}
 
-					// Generate modern formats if enabled
-					const modernFormats = [];
-					if (this.config.modernFormats.webp) {
-						const webpPath = path.join(uploadsDir, this.generateSizeFilename(fileInfo, resizedImage.width, resizedImage.height, 'webp'));
-						await resizedImage.image.webp({ quality: this.config.quality.webp }).toFile(webpPath);
-						modernFormats.push({
-							format: 'webp',
-							file: path.basename(webpPath),
-							width: resizedImage.width,
-							height: resizedImage.height
-						});
-					}
+	/**
+	 * Get how an output image's color profile is handled
+	 * 
+	 * Uses the `colorProfile` option for the output format. Without one, the
+	 * source profile is preserved if the metadata policy keeps 'icc', and
+	 * the image is converted to sRGB without a profile otherwise.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} outputName Image size name, or 'full' for -scaled and -rotated copies.
+	 * @param {string} format     Output format, e.g. 'jpeg' or 'webp'.
+	 * 
+	 * @return {string} One of COLOR_PROFILE_MODES.
+	 */
+	getColorProfileMode(outputName, format) {
+		const setting = this.config.colorProfile;
+		const mode = typeof setting === 'string' ? setting : setting?.[format];
 
-					if (this.config.modernFormats.avif) {
-						const avifPath = path.join(uploadsDir, this.generateSizeFilename(fileInfo, resizedImage.width, resizedImage.height, 'avif'));
-						await resizedImage.image.avif({ quality: this.config.quality.avif }).toFile(avifPath);
-						modernFormats.push({
-							format: 'avif',
-							file: path.basename(avifPath),
-							width: resizedImage.width,
-							height: resizedImage.height
-						});
-					}
+		if (COLOR_PROFILE_MODES.includes(mode)) {
+			return mode;
+		}
 
-					generatedSizes.push({
-						size: sizeName,
-						file: path.basename(sizeFilePath),
-						width: resizedImage.width,
-						height: resizedImage.height,
-						'mime-type': `image/${this.getImageFormat(sizeFilePath)}`,
-						modernFormats
-					});
+		return this.getMetadataPolicy(outputName).includes('icc') ? 'preserve' : 'strip';
+	}
 
-					logger.debug(`Generated ${sizeName} size: ${resizedImage.width}x${resizedImage.height}`);
-				}
+	/**
+	 * Apply the color profile handling of an output image
+	 * 
+	 * 'srgb' converts to sRGB and embeds libvips' compact sRGB profile,
+	 * 'preserve' keeps the pixels and profile of the source untouched and
+	 * 'strip' converts to sRGB without embedding a profile.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Sharp}  image      Sharp pipeline.
+	 * @param {string} outputName Image size name, or 'full' for -scaled and -rotated copies.
+	 * @param {string} format     Output format, e.g. 'jpeg' or 'webp'.
+	 * 
+	 * @return {Sharp} The pipeline.
+	 */
+	applyColorProfile(image, outputName, format) {
+		const mode = this.getColorProfileMode(outputName, format);
 
-			} catch (error) {
-				logger.warn(`Failed to generate ${sizeName} size for ${path.basename(filePath)}:`, error.message);
-			}
+		if (mode === 'srgb') {
+			image.withIccProfile('srgb');
+		} else if (mode === 'preserve') {
+			image.keepIccProfile();
 		}
 
-		return generatedSizes;
+		return image;
 	}
 
 	/**
-	 * Resize image according to WordPress size configuration
+	 * Get the metadata types an output image's policy removes from the original
+	 * 
+	 * The source ICC profile counts as removed unless it is preserved for
+	 * the original's format.
 	 * 
 	 * @since TBD
 	 * 
-	 * @param {string} filePath    Original image file path.
-	 * @param {Object} sizeConfig  Size configuration object.
-	 * @param {Object} metadata    Original image metadata.
+	 * @param {string} outputName Image size name, or 'full' for -scaled and -rotated copies.
+	 * @param {Object} original   Original image metadata.
 	 * 
-	 * @return {Promise<Object|null>} Resized image data or null if not needed.
+	 * @return {Array<string>} Removed metadata types.
+	 */
+	getStrippedMetadata(outputName, original) {
+		const keep = this.getMetadataPolicy(outputName);
+		const keepsIcc = this.getColorProfileMode(outputName, original.format) === 'preserve';
+
+		return detectMetadata(original).filter((type) => (type === 'icc' ? !keepsIcc : !keep.includes(type)));
+	}
+
+	/**
+	 * Calculate the output dimensions for an image size
+	 * 
+	 * Uses the same math as WordPress's image_resize_dimensions(), so sizes
+	 * are skipped and named exactly as WordPress would.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} sizeConfig Size configuration object.
+	 * @param {Object} metadata   Original image metadata.
+	 * 
+	 * @return {Object|null} Width, height and source region (null for the whole image), or null if the size is not needed.
 	 */
-	async resizeImage(filePath, sizeConfig, metadata) {
-		const { width: maxWidth, height: maxHeight, crop = false } = sizeConfig;
+	calculateDimensions(sizeConfig, metadata) {
+		const dimensions = resizeDimensions(metadata.width, metadata.height, sizeConfig.width, sizeConfig.height, sizeConfig.crop);
 
-		// Skip if original is smaller than target and we're not cropping
-		if (!crop && metadata.width <= maxWidth && metadata.height <= maxHeight) {
+		if (!dimensions) {
 			return null;
 		}
 
-		const image = sharp(filePath);
+		const { srcX, srcY, srcWidth, srcHeight, width, height } = dimensions;
+		const wholeImage = srcX === 0 && srcY === 0 && srcWidth === metadata.width && srcHeight === metadata.height;
 
-		// Apply image processing options
-		if (this.config.optimize) {
-			image.jpeg({ 
-				quality: this.config.quality.jpeg,
-				progressive: this.config.progressive
-			});
-			image.png({ 
-				quality: this.config.quality.png,
-				progressive: this.config.progressive
-			});
-		}
+		return {
+			width,
+			height,
+			region: wholeImage ? null : { left: srcX, top: srcY, width: srcWidth, height: srcHeight }
+		};
+	}
 
-		let resizeOptions = {};
-		let finalWidth, finalHeight;
+	/**
+	 * Get the image sizes whose files are missing for an original image
+	 * 
+	 * Uses the current image sizes to work out the expected `name-WxH.ext`
+	 * filename of every size and checks which ones don't exist on disk.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Absolute path to the original image file.
+	 * @param {number} siteId   Multisite site whose image sizes to check.
+	 * 
+	 * @return {Promise<Array<string>>} Names of the sizes with missing files, plus 'scaled' or 'rotated' for a missing full size copy.
+	 */
+	async getMissingSizes(filePath, siteId = null) {
+		const originalMetadata = await sharp(filePath).metadata();
+		const orientedMetadata = this.getOrientedMetadata(originalMetadata);
+		const fileInfo = path.parse(filePath);
+		const missing = [];
 
-		if (crop) {
-			// WordPress-style crop behavior
-			resizeOptions = {
-				width: maxWidth,
-				height: maxHeight,
-				fit: 'cover',
-				position: 'center'
-			};
-			finalWidth = maxWidth;
-			finalHeight = maxHeight;
+		// Like wp_get_missing_image_subsizes(), sizes of big images are checked against the original
+		const scaled = this.getScaledDimensions(orientedMetadata, siteId);
 
-		} else {
-			// Proportional resize to fit within bounds
-			const aspectRatio = metadata.width / metadata.height;
+		if (scaled && !await fs.pathExists(this.getSuffixedPath(filePath, 'scaled'))) {
+			missing.push('scaled');
+		} else if (!scaled && this.needsRotatedCopy(originalMetadata) && !await fs.pathExists(this.getSuffixedPath(filePath, 'rotated'))) {
+			missing.push('rotated');
+		}
 
-			if (maxHeight === 0) {
-				// Width only constraint
-				finalWidth = Math.min(maxWidth, metadata.width);
-				finalHeight = Math.round(finalWidth / aspectRatio);
-			} else {
-				// Both width and height constraints
-				const widthRatio = maxWidth / metadata.width;
-				const heightRatio = maxHeight / metadata.height;
-				const ratio = Math.min(widthRatio, heightRatio, 1);
+		for (const [sizeName, sizeConfig] of Object.entries(this.getImageSizes(siteId))) {
+			const dimensions = this.calculateDimensions(sizeConfig, orientedMetadata);
 
-				finalWidth = Math.round(metadata.width * ratio);
-				finalHeight = Math.round(metadata.height * ratio);
+			if (!dimensions) {
+				continue;
 			}
 
-			resizeOptions = {
-				width: finalWidth,
-				height: finalHeight,
-				fit: 'inside',
-				withoutEnlargement: true
-			};
+			const sizeFilename = this.generateSizeFilename(fileInfo, dimensions.width, dimensions.height);
+			if (!await fs.pathExists(path.join(fileInfo.dir, sizeFilename))) {
+				missing.push(sizeName);
+			}
 		}
 
-		image.resize(resizeOptions);
-
-		return {
-			image,
-			width: finalWidth,
-			height: finalHeight
-		};
+		return missing;
 	}
 
 	/**
@@ -357,7 +1460,7 @@ export class ImageProcessor {
 	 * @since TBD
 	 * 
 	 * @param {string} filePath       Original file path.
-	 * @param {Object} metadata       Image metadata.
+	 * @param {Object} metadata       Image metadata, with the original's EXIF, IPTC and XMP data.
 	 * @param {Array}  generatedSizes Generated sizes data.
 	 * 
 	 * @return {Promise<Object>} WordPress metadata structure.
@@ -372,21 +1475,14 @@ export class ImageProcessor {
 			file: path.basename(filePath),
 			filesize: stats.size,
 			sizes: {},
-			image_meta: {
-				aperture: metadata.exif?.FNumber || '0',
-				credit: '',
-				camera: metadata.exif?.Make || '',
-				caption: '',
-				created_timestamp: Math.floor(stats.birthtime.getTime() / 1000),
-				copyright: '',
-				focal_length: metadata.exif?.FocalLength || '0',
-				iso: metadata.exif?.ISO || '0',
-				shutter_speed: metadata.exif?.ExposureTime || '0',
-				title: '',
-				orientation: metadata.orientation || '1'
-			}
+			image_meta: readImageMetadata(metadata)
 		};
 
+		// The full size image is upright once it has been rotated
+		if (metadata.orientation) {
+			wpMetadata.image_meta.orientation = metadata.orientation;
+		}
+
 		// Add generated sizes
 		for (const size of generatedSizes) {
 			const sizePath = path.join(path.dirname(filePath), size.file);
@@ -494,13 +1590,43 @@ export class ImageProcessor {
 	 * @return {Object} Processing statistics.
 	 */
 	getStats() {
+		const queueStats = this.processingQueue.getStats();
+
 		return {
 			...this.stats,
-			queueLength: this.processingQueue.length,
-			currentlyProcessing: this.processing.size
+			queueLength: queueStats.queued,
+			currentlyProcessing: this.processing.size,
+			queue: queueStats,
+			workers: this.workerPool ? this.workerPool.getStats() : null
 		};
 	}
 
+	/**
+	 * Cancel processing of a queued or running image
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Image file path.
+	 * 
+	 * @return {boolean} True if the image was queued or being processed.
+	 */
+	cancel(filePath) {
+		return this.processingQueue.cancel(filePath);
+	}
+
+	/**
+	 * Stop the isolated worker processes
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async stop() {
+		if (this.workerPool) {
+			await this.workerPool.stop();
+		}
+	}
+
 	/**
 	 * Reset processing statistics
 	 * 
@@ -0,0 +1,240 @@
+#!/usr/bin/env bun
+
+/**
+ * Persistent job journal for WordPress Sharp Image Processing
+ * 
+ * Append-only JSON lines log recording when images are enqueued, started,
+ * completed or failed, so work that was pending when the service stopped
+ * can be replayed on the next start.
+ * 
+ * @since TBD
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './Logger.js';
+
+/**
+ * Journal events that leave a file pending
+ * 
+ * @since TBD
+ * 
+ * @type {Array<string>}
+ */
+const PENDING_EVENTS = ['enqueued', 'started', 'retrying'];
+
+/**
+ * Job Journal class
+ * 
+ * @since TBD
+ */
+export class JobJournal {
+	/**
+	 * Journal configuration
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	config = null;
+
+	/**
+	 * Journal file path
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	file = null;
+
+	/**
+	 * Pending files and the last event recorded for each
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	pending = new Map();
+
+	/**
+	 * Promise chain serializing writes to the journal file
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Promise<void>}
+	 */
+	writeChain = Promise.resolve();
+
+	/**
+	 * Records appended since the journal was last compacted
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	recordsSinceCompact = 0;
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} config Journal configuration.
+	 */
+	constructor(config = {}) {
+		this.config = {
+			file: './data/jobs.journal',
+			compactAfter: 1000,
+			...config
+		};
+		this.file = path.resolve(this.config.file);
+	}
+
+	/**
+	 * Open the journal and load pending entries
+	 * 
+	 * Reads every record in the journal, keeps the files whose last event
+	 * leaves them pending and compacts the file down to those entries.
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<Array<string>>} Paths of files that were still pending.
+	 */
+	async open() {
+		await fs.ensureDir(path.dirname(this.file));
+
+		this.pending.clear();
+
+		if (await fs.pathExists(this.file)) {
+			const content = await fs.readFile(this.file, 'utf8');
+			let corrupt = 0;
+
+			for (const line of content.split('\n')) {
+				if (!line.trim()) {
+					continue;
+				}
+
+				try {
+					this.apply(JSON.parse(line));
+				} catch (error) {
+					// A crash mid-write can leave a partial last line
+					corrupt++;
+				}
+			}
+
+			if (corrupt > 0) {
+				logger.warn(`Ignored ${corrupt} unreadable job journal record(s)`, { file: this.file });
+			}
+		}
+
+		await this.compact();
+
+		logger.info('Job journal opened', {
+			file: this.file,
+			pending: this.pending.size
+		});
+
+		return this.getPending();
+	}
+
+	/**
+	 * Apply a journal record to the pending map
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} record Journal record.
+	 * 
+	 * @return {void}
+	 */
+	apply(record) {
+		if (!record || !record.path) {
+			return;
+		}
+
+		if (PENDING_EVENTS.includes(record.event)) {
+			this.pending.set(record.path, record);
+		} else {
+			this.pending.delete(record.path);
+		}
+	}
+
+	/**
+	 * Record a job event
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} event    Event name (enqueued, started, retrying, completed, failed, cancelled).
+	 * @param {string} filePath Absolute path of the image file.
+	 * @param {Object} data     Additional data to store with the record.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async record(event, filePath, data = {}) {
+		const record = {
+			event,
+			path: filePath,
+			time: Date.now(),
+			...data
+		};
+
+		this.apply(record);
+
+		this.writeChain = this.writeChain
+			.then(() => fs.appendFile(this.file, JSON.stringify(record) + '\n'))
+			.then(() => {
+				this.recordsSinceCompact++;
+				if (this.recordsSinceCompact >= this.config.compactAfter) {
+					return this.compact();
+				}
+			})
+			.catch((error) => {
+				logger.error('Failed to write job journal record:', {
+					error: error.message,
+					event,
+					path: filePath
+				});
+			});
+
+		return this.writeChain;
+	}
+
+	/**
+	 * Rewrite the journal with only the pending entries
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async compact() {
+		const tempFile = `${this.file}.tmp`;
+		const lines = [...this.pending.values()].map((record) => JSON.stringify(record) + '\n');
+
+		await fs.writeFile(tempFile, lines.join(''));
+		await fs.rename(tempFile, this.file);
+
+		this.recordsSinceCompact = 0;
+		logger.debug('Job journal compacted', { pending: this.pending.size });
+	}
+
+	/**
+	 * Get the files that are still pending
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Array<string>} Pending file paths, oldest first.
+	 */
+	getPending() {
+		return [...this.pending.keys()];
+	}
+
+	/**
+	 * Wait for outstanding writes to finish
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async close() {
+		await this.writeChain;
+	}
+} 
\ No newline at end of file
@@ -0,0 +1,465 @@
+#!/usr/bin/env bun
+
+/**
+ * Bounded job queue for WordPress Sharp Image Processing
+ * 
+ * Runs jobs through a fixed number of workers so bulk uploads do not
+ * start one Sharp pipeline per file, and applies backpressure to
+ * producers once the queue is full.
+ * 
+ * @since TBD
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * Job states
+ * 
+ * @since TBD
+ * 
+ * @type {Object}
+ */
+export const JOB_STATES = Object.freeze({
+	QUEUED: 'queued',
+	RUNNING: 'running',
+	DONE: 'done',
+	FAILED: 'failed',
+	CANCELLED: 'cancelled'
+});
+
+/**
+ * Error a cancelled job is rejected with
+ * 
+ * Also the abort reason of the job's AbortSignal, so handlers that stop on
+ * the signal reject with it too.
+ * 
+ * @since TBD
+ */
+export class JobCancelledError extends Error {
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} key Job key.
+	 */
+	constructor(key) {
+		super(`Job cancelled: ${key}`);
+		this.name = 'JobCancelledError';
+		this.key = key;
+	}
+}
+
+/**
+ * Job Queue class
+ * 
+ * Emits `enqueued`, `started`, `completed`, `failed` and `cancelled` events
+ * with the job. Handlers get the job's AbortSignal as `job.signal` and
+ * should stop when it is aborted.
+ * 
+ * @since TBD
+ */
+export class JobQueue extends EventEmitter {
+	/**
+	 * Job handler function
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Function}
+	 */
+	handler = null;
+
+	/**
+	 * Number of jobs allowed to run at the same time
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	workers = 2;
+
+	/**
+	 * Maximum number of queued jobs before producers have to wait
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	maxSize = 100;
+
+	/**
+	 * Number of finished jobs kept for inspection
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	historySize = 50;
+
+	/**
+	 * Jobs waiting for a worker
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Array<Object>}
+	 */
+	pending = [];
+
+	/**
+	 * Jobs currently running, by job ID
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	running = new Map();
+
+	/**
+	 * Queued and running jobs, by job key
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	active = new Map();
+
+	/**
+	 * Recently finished jobs, newest first
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Array<Object>}
+	 */
+	history = [];
+
+	/**
+	 * Producers waiting for queue capacity
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Array<Function>}
+	 */
+	waiters = [];
+
+	/**
+	 * Next job ID
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	nextId = 1;
+
+	/**
+	 * Queue statistics
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	stats = {
+		enqueued: 0,
+		completed: 0,
+		failed: 0,
+		cancelled: 0,
+		deduplicated: 0
+	};
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Function} handler Async function called with the job payload and job.
+	 * @param {Object}   options Queue options (workers, maxSize, historySize).
+	 */
+	constructor(handler, options = {}) {
+		super();
+
+		this.handler = handler;
+		this.workers = Math.max(1, options.workers || this.workers);
+		this.maxSize = Math.max(1, options.maxSize || this.maxSize);
+		this.historySize = options.historySize ?? this.historySize;
+	}
+
+	/**
+	 * Add a job to the queue
+	 * 
+	 * Jobs are deduplicated by key: adding a key that is already queued or
+	 * running returns the existing job's promise. When the queue is full the
+	 * returned promise waits for capacity before the job is queued.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} key     Unique job key, usually the file path.
+	 * @param {*}      payload Data passed to the handler.
+	 * 
+	 * @return {Promise<*>} Resolves with the handler result once the job is done.
+	 */
+	async add(key, payload) {
+		if (this.active.has(key)) {
+			this.stats.deduplicated++;
+			return this.active.get(key).promise;
+		}
+
+		// Backpressure: wait until there is room in the queue
+		while (this.pending.length >= this.maxSize) {
+			await new Promise((resolve) => this.waiters.push(resolve));
+
+			if (this.active.has(key)) {
+				this.stats.deduplicated++;
+				return this.active.get(key).promise;
+			}
+		}
+
+		const job = {
+			id: this.nextId++,
+			key,
+			payload,
+			state: JOB_STATES.QUEUED,
+			enqueuedAt: Date.now(),
+			startedAt: null,
+			finishedAt: null,
+			error: null,
+			controller: new AbortController()
+		};
+
+		job.signal = job.controller.signal;
+
+		job.promise = new Promise((resolve, reject) => {
+			job.resolve = resolve;
+			job.reject = reject;
+		});
+
+		this.pending.push(job);
+		this.active.set(key, job);
+		this.stats.enqueued++;
+		this.emit('enqueued', job);
+
+		this.drain();
+
+		return job.promise;
+	}
+
+	/**
+	 * Start queued jobs while workers are available
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {void}
+	 */
+	drain() {
+		while (this.running.size < this.workers && this.pending.length > 0) {
+			const job = this.pending.shift();
+			this.releaseWaiter();
+			this.run(job);
+		}
+	}
+
+	/**
+	 * Run a single job
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} job The job to run.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async run(job) {
+		job.state = JOB_STATES.RUNNING;
+		job.startedAt = Date.now();
+		this.running.set(job.id, job);
+		this.emit('started', job);
+
+		try {
+			const result = await this.handler(job.payload, job);
+
+			job.state = JOB_STATES.DONE;
+			job.finishedAt = Date.now();
+			this.stats.completed++;
+			this.emit('completed', job, result);
+			job.resolve(result);
+
+		} catch (error) {
+			job.finishedAt = Date.now();
+
+			if (job.signal.aborted) {
+				job.state = JOB_STATES.CANCELLED;
+				job.error = job.signal.reason.message;
+				this.stats.cancelled++;
+				this.emit('cancelled', job);
+				job.reject(job.signal.reason);
+			} else {
+				job.state = JOB_STATES.FAILED;
+				job.error = error.message;
+				this.stats.failed++;
+				this.emit('failed', job, error);
+				job.reject(error);
+			}
+
+		} finally {
+			this.running.delete(job.id);
+			this.active.delete(job.key);
+			this.archive(job);
+			this.drain();
+		}
+	}
+
+	/**
+	 * Cancel a queued or running job
+	 * 
+	 * Queued jobs are removed right away. Running jobs have their signal
+	 * aborted and are cancelled once the handler stops; a handler that
+	 * finishes anyway completes normally.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} key Job key.
+	 * 
+	 * @return {boolean} True if the job was queued or running.
+	 */
+	cancel(key) {
+		const job = this.active.get(key);
+		if (!job) {
+			return false;
+		}
+
+		const reason = new JobCancelledError(key);
+
+		if (job.state === JOB_STATES.QUEUED) {
+			this.pending.splice(this.pending.indexOf(job), 1);
+			this.active.delete(key);
+
+			job.controller.abort(reason);
+			job.state = JOB_STATES.CANCELLED;
+			job.finishedAt = Date.now();
+			job.error = reason.message;
+			this.stats.cancelled++;
+			this.emit('cancelled', job);
+			job.reject(reason);
+
+			this.archive(job);
+			this.releaseWaiter();
+		} else {
+			job.controller.abort(reason);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Let the oldest producer waiting for capacity continue
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {void}
+	 */
+	releaseWaiter() {
+		const waiter = this.waiters.shift();
+		if (waiter) {
+			waiter();
+		}
+	}
+
+	/**
+	 * Move a finished job into the history list
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} job The finished job.
+	 * 
+	 * @return {void}
+	 */
+	archive(job) {
+		if (this.historySize <= 0) {
+			return;
+		}
+
+		this.history.unshift(this.describeJob(job));
+		this.history.length = Math.min(this.history.length, this.historySize);
+	}
+
+	/**
+	 * Get a serializable description of a job
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} job The job.
+	 * 
+	 * @return {Object} Job description.
+	 */
+	describeJob(job) {
+		const end = job.finishedAt || Date.now();
+
+		return {
+			id: job.id,
+			key: job.key,
+			state: job.state,
+			enqueuedAt: job.enqueuedAt,
+			startedAt: job.startedAt,
+			finishedAt: job.finishedAt,
+			waitTime: (job.startedAt || end) - job.enqueuedAt,
+			runTime: job.startedAt ? end - job.startedAt : 0,
+			error: job.error
+		};
+	}
+
+	/**
+	 * Get queued, running and recently finished jobs
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Object} Jobs grouped by state.
+	 */
+	getJobs() {
+		return {
+			running: [...this.running.values()].map((job) => this.describeJob(job)),
+			queued: this.pending.map((job) => this.describeJob(job)),
+			finished: [...this.history]
+		};
+	}
+
+	/**
+	 * Check whether a key is queued or running
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} key Job key.
+	 * 
+	 * @return {boolean} True if the key is queued or running.
+	 */
+	has(key) {
+		return this.active.has(key);
+	}
+
+	/**
+	 * Wait until all queued and running jobs are finished
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async onIdle() {
+		while (this.active.size > 0) {
+			await Promise.allSettled([...this.active.values()].map((job) => job.promise));
+		}
+	}
+
+	/**
+	 * Get queue statistics
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Object} Queue statistics.
+	 */
+	getStats() {
+		return {
+			...this.stats,
+			workers: this.workers,
+			maxSize: this.maxSize,
+			queued: this.pending.length,
+			running: this.running.size,
+			waiting: this.waiters.length
+		};
+	}
+} 
\ No newline at end of file
@@ -113,6 +113,15 @@ function createLogger(config = {}) {
  */
 export let logger = createLogger();
 
+/**
+ * Configuration the logger was last configured with
+ * 
+ * @since TBD
+ * 
+ * @type {Object}
+ */
+let loggerConfig = {};
+
 /**
  * Configure the logger with new settings
  * 
@@ -129,10 +138,24 @@ export function configureLogger(config) {
 
 	// Create new logger with updated config
 	logger = createLogger(config);
+	loggerConfig = { ...config };
 	
 	return logger;
 }
 
+/**
+ * Get the configuration the logger was last configured with
+ * 
+ * Used to configure the logger of worker processes the same way.
+ * 
+ * @since TBD
+ * 
+ * @return {Object} Logging configuration object.
+ */
+export function getLoggerConfig() {
+	return { ...loggerConfig };
+}
+
 /**
  * Log performance metrics
  * 
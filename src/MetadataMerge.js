@@ -0,0 +1,127 @@
+#!/usr/bin/env bun
+
+/**
+ * Attachment metadata merging for WordPress Sharp Image Processing
+ * 
+ * Combines the metadata generated for an image with the metadata already
+ * stored for its attachment, so keys added by WordPress, other plugins or
+ * edits survive processing:
+ * 
+ * - `width`, `height`, `file` and `filesize` describe the processed file
+ *   and are always replaced, as is `original_image` when a -scaled copy
+ *   was made.
+ * - Sizes that were generated replace the stored entry of the same name as
+ *   a whole. Other stored sizes are kept.
+ * - Stored `image_meta` fields that have a value are kept, so edits win
+ *   over what is read from the file; empty fields are filled from the
+ *   file. `orientation` always comes from the file.
+ * - Every other stored key is kept.
+ * 
+ * @since TBD
+ */
+
+/**
+ * Check whether a value is an object or array
+ * 
+ * PHP has no empty-object type, so empty objects stored by WordPress come
+ * back as empty arrays.
+ * 
+ * @since TBD
+ * 
+ * @param {*} value Value to check.
+ * 
+ * @return {boolean} True for objects and arrays.
+ */
+function isObject(value) {
+	return value !== null && typeof value === 'object';
+}
+
+/**
+ * Check whether an image_meta field is unset
+ * 
+ * wp_read_image_metadata() fills missing fields with '', 0 or an empty
+ * array.
+ * 
+ * @since TBD
+ * 
+ * @param {*} value Field value.
+ * 
+ * @return {boolean} True if the field has no value.
+ */
+function isEmptyField(value) {
+	if (Array.isArray(value)) {
+		return value.length === 0;
+	}
+
+	return value === undefined || value === null || value === '' || value === 0 || value === '0';
+}
+
+/**
+ * Merge generated metadata into the stored metadata of an attachment
+ * 
+ * @since TBD
+ * 
+ * @param {Object|null} existing  Stored attachment metadata, null if none.
+ * @param {Object}      generated Metadata generated for the processed image.
+ * 
+ * @return {Object} Merged metadata.
+ */
+export function mergeAttachmentMetadata(existing, generated) {
+	if (!isObject(existing) || Array.isArray(existing)) {
+		return generated;
+	}
+
+	const merged = {
+		...existing,
+		...generated,
+		sizes: {
+			...(isObject(existing.sizes) ? existing.sizes : {}),
+			...generated.sizes
+		}
+	};
+
+	if (generated.image_meta) {
+		const imageMeta = { ...generated.image_meta };
+
+		for (const [key, value] of Object.entries(isObject(existing.image_meta) ? existing.image_meta : {})) {
+			if (key !== 'orientation' && !isEmptyField(value)) {
+				imageMeta[key] = value;
+			}
+		}
+
+		merged.image_meta = imageMeta;
+	}
+
+	return merged;
+}
+
+/**
+ * List the differences between two metadata structures
+ * 
+ * Objects are compared key by key; anything else, including an object
+ * replacing a scalar, is reported as a single change.
+ * 
+ * @since TBD
+ * 
+ * @param {*}             before  Stored metadata.
+ * @param {*}             after   Metadata about to be stored.
+ * @param {string}        keyPath Path of the values being compared.
+ * @param {Array<Object>} changes Changes found so far.
+ * 
+ * @return {Array<Object>} Changes with the dotted key path and the values before and after.
+ */
+export function diffMetadata(before, after, keyPath = '', changes = []) {
+	if (isObject(before) && isObject(after)) {
+		for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+			diffMetadata(before[key], after[key], keyPath ? `${keyPath}.${key}` : key, changes);
+		}
+	} else if (before !== after) {
+		changes.push({
+			path: keyPath || '(root)',
+			from: before,
+			to: after
+		});
+	}
+
+	return changes;
+} 
\ No newline at end of file
@@ -0,0 +1,603 @@
+#!/usr/bin/env bun
+
+/**
+ * Metrics registry for WordPress Sharp Image Processing
+ * 
+ * Minimal counters, gauges and histograms rendered in the Prometheus text
+ * and OpenMetrics exposition formats for the control API's /metrics endpoint.
+ * 
+ * @since TBD
+ */
+
+/**
+ * Default histogram buckets in seconds
+ * 
+ * @since TBD
+ * 
+ * @type {Array<number>}
+ */
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * OpenMetrics content type
+ * 
+ * @since TBD
+ * 
+ * @type {string}
+ */
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+/**
+ * Prometheus text format content type
+ * 
+ * @since TBD
+ * 
+ * @type {string}
+ */
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value
+ * 
+ * @since TBD
+ * 
+ * @param {*} value Label value.
+ * 
+ * @return {string} Escaped label value.
+ */
+function escapeLabel(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set
+ * 
+ * @since TBD
+ * 
+ * @param {Object} labels Label names and values.
+ * 
+ * @return {string} Formatted labels including braces, or an empty string.
+ */
+function formatLabels(labels) {
+	const entries = Object.entries(labels);
+	if (entries.length === 0) {
+		return '';
+	}
+
+	return '{' + entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',') + '}';
+}
+
+/**
+ * Format a sample value
+ * 
+ * @since TBD
+ * 
+ * @param {number} value Sample value.
+ * 
+ * @return {string} Formatted value.
+ */
+function formatValue(value) {
+	if (value === Infinity) {
+		return '+Inf';
+	}
+
+	return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+/**
+ * Base metric class
+ * 
+ * @since TBD
+ */
+class Metric {
+	/**
+	 * Metric name
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	name = null;
+
+	/**
+	 * Metric help text
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	help = '';
+
+	/**
+	 * Label names
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Array<string>}
+	 */
+	labelNames = [];
+
+	/**
+	 * Values by serialized label set
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	values = new Map();
+
+	/**
+	 * Optional function returning the current value(s) at render time
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Function|null}
+	 */
+	collect = null;
+
+	/**
+	 * Registry the metric belongs to
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {MetricsRegistry|null}
+	 */
+	registry = null;
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object}        options            Metric options.
+	 * @param {string}        options.name       Metric name.
+	 * @param {string}        options.help       Help text.
+	 * @param {Array<string>} options.labelNames Label names.
+	 * @param {Function}      options.collect    Returns a number, or an array of [labels, value] pairs.
+	 */
+	constructor({ name, help, labelNames = [], collect = null }) {
+		this.name = name;
+		this.help = help;
+		this.labelNames = labelNames;
+		this.collect = collect;
+	}
+
+	/**
+	 * Get the stored entry for a label set
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} labels  Label values.
+	 * @param {*}      initial Initial value for new entries.
+	 * 
+	 * @return {Object} Entry with labels and value.
+	 */
+	entry(labels, initial) {
+		const picked = {};
+		for (const name of this.labelNames) {
+			picked[name] = labels[name] ?? '';
+		}
+
+		const key = JSON.stringify(picked);
+		if (!this.values.has(key)) {
+			this.values.set(key, { labels: picked, value: initial() });
+		}
+
+		return this.values.get(key);
+	}
+
+	/**
+	 * Get label sets and values, including collected ones
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Array<Array>} Pairs of labels and value.
+	 */
+	samples() {
+		if (this.collect) {
+			const collected = this.collect();
+			return Array.isArray(collected) ? collected : [[{}, collected]];
+		}
+
+		// Unlabelled counters and gauges report zero before their first update
+		if (this.values.size === 0 && this.labelNames.length === 0 && this.type !== 'histogram') {
+			return [[{}, 0]];
+		}
+
+		return [...this.values.values()].map(({ labels, value }) => [labels, value]);
+	}
+
+	/**
+	 * Reset all stored values
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {void}
+	 */
+	reset() {
+		this.values.clear();
+	}
+}
+
+/**
+ * Counter metric
+ * 
+ * @since TBD
+ */
+export class Counter extends Metric {
+	/**
+	 * Metric type
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	type = 'counter';
+
+	/**
+	 * Increment the counter
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} labels Label values.
+	 * @param {number} value  Amount to add.
+	 * 
+	 * @return {void}
+	 */
+	inc(labels = {}, value = 1) {
+		this.entry(labels, () => 0).value += value;
+		this.registry?.record(this.name, 'inc', labels, value);
+	}
+
+	/**
+	 * Render the metric
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {boolean} openMetrics Whether to use the OpenMetrics format.
+	 * 
+	 * @return {Array<string>} Exposition lines.
+	 */
+	render(openMetrics) {
+		const family = this.name.replace(/_total$/, '');
+		const lines = [
+			`# HELP ${openMetrics ? family : this.name} ${this.help}`,
+			`# TYPE ${openMetrics ? family : this.name} counter`
+		];
+
+		for (const [labels, value] of this.samples()) {
+			lines.push(`${family}_total${formatLabels(labels)} ${formatValue(value)}`);
+		}
+
+		return lines;
+	}
+}
+
+/**
+ * Gauge metric
+ * 
+ * @since TBD
+ */
+export class Gauge extends Metric {
+	/**
+	 * Metric type
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	type = 'gauge';
+
+	/**
+	 * Set the gauge value
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} labels Label values.
+	 * @param {number} value  New value.
+	 * 
+	 * @return {void}
+	 */
+	set(labels = {}, value = 0) {
+		this.entry(labels, () => 0).value = value;
+	}
+
+	/**
+	 * Render the metric
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Array<string>} Exposition lines.
+	 */
+	render() {
+		const lines = [
+			`# HELP ${this.name} ${this.help}`,
+			`# TYPE ${this.name} gauge`
+		];
+
+		for (const [labels, value] of this.samples()) {
+			lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+		}
+
+		return lines;
+	}
+}
+
+/**
+ * Histogram metric
+ * 
+ * @since TBD
+ */
+export class Histogram extends Metric {
+	/**
+	 * Metric type
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	type = 'histogram';
+
+	/**
+	 * Bucket upper bounds
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Array<number>}
+	 */
+	buckets = DEFAULT_BUCKETS;
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} options Metric options, plus `buckets`.
+	 */
+	constructor(options) {
+		super(options);
+		this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+	}
+
+	/**
+	 * Record an observation
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} labels Label values.
+	 * @param {number} value  Observed value.
+	 * 
+	 * @return {void}
+	 */
+	observe(labels = {}, value = 0) {
+		const entry = this.entry(labels, () => ({
+			counts: new Array(this.buckets.length).fill(0),
+			sum: 0,
+			count: 0
+		}));
+
+		entry.value.sum += value;
+		entry.value.count++;
+
+		const index = this.buckets.findIndex((bound) => value <= bound);
+		if (index !== -1) {
+			entry.value.counts[index]++;
+		}
+
+		this.registry?.record(this.name, 'observe', labels, value);
+	}
+
+	/**
+	 * Start a timer that observes the elapsed seconds when called
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} labels Label values.
+	 * 
+	 * @return {Function} Function ending the timer, accepting extra labels.
+	 */
+	startTimer(labels = {}) {
+		const start = process.hrtime.bigint();
+
+		return (extraLabels = {}) => {
+			const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+			this.observe({ ...labels, ...extraLabels }, seconds);
+			return seconds;
+		};
+	}
+
+	/**
+	 * Render the metric
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Array<string>} Exposition lines.
+	 */
+	render() {
+		const lines = [
+			`# HELP ${this.name} ${this.help}`,
+			`# TYPE ${this.name} histogram`
+		];
+
+		for (const [labels, value] of this.samples()) {
+			let cumulative = 0;
+
+			this.buckets.forEach((bound, index) => {
+				cumulative += value.counts[index];
+				lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+			});
+
+			lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+			lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+			lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+		}
+
+		return lines;
+	}
+}
+
+/**
+ * Metrics registry class
+ * 
+ * @since TBD
+ */
+export class MetricsRegistry {
+	/**
+	 * Registered metrics by name
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	metrics = new Map();
+
+	/**
+	 * Function receiving every counter increment and histogram observation
+	 * 
+	 * Set in worker processes to send their updates to the main process,
+	 * which applies them with replay().
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Function|null}
+	 */
+	recorder = null;
+
+	/**
+	 * Register a metric, returning the existing one if already registered
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Function} MetricClass Metric class.
+	 * @param {Object}   options     Metric options.
+	 * 
+	 * @return {Metric} Registered metric.
+	 */
+	register(MetricClass, options) {
+		const existing = this.metrics.get(options.name);
+
+		if (existing) {
+			// Collectors are re-bound when a component is re-created
+			if (options.collect) {
+				existing.collect = options.collect;
+			}
+			return existing;
+		}
+
+		const metric = new MetricClass(options);
+		metric.registry = this;
+		this.metrics.set(options.name, metric);
+
+		return metric;
+	}
+
+	/**
+	 * Pass a metric update to the recorder
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} name   Metric name.
+	 * @param {string} method Update method, 'inc' or 'observe'.
+	 * @param {Object} labels Label values.
+	 * @param {number} value  Update value.
+	 * 
+	 * @return {void}
+	 */
+	record(name, method, labels, value) {
+		if (this.recorder) {
+			this.recorder({ name, method, labels, value });
+		}
+	}
+
+	/**
+	 * Apply metric updates recorded in another process
+	 * 
+	 * Updates of metrics that aren't registered here are ignored.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Array<Object>} updates Updates passed to a recorder.
+	 * 
+	 * @return {void}
+	 */
+	replay(updates = []) {
+		for (const { name, method, labels, value } of updates) {
+			const metric = this.metrics.get(name);
+
+			if (metric && ((method === 'inc' && metric.type === 'counter') || (method === 'observe' && metric.type === 'histogram'))) {
+				metric[method](labels, value);
+			}
+		}
+	}
+
+	/**
+	 * Register a counter
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} options Metric options.
+	 * 
+	 * @return {Counter} Counter metric.
+	 */
+	counter(options) {
+		return this.register(Counter, options);
+	}
+
+	/**
+	 * Register a gauge
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} options Metric options.
+	 * 
+	 * @return {Gauge} Gauge metric.
+	 */
+	gauge(options) {
+		return this.register(Gauge, options);
+	}
+
+	/**
+	 * Register a histogram
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} options Metric options.
+	 * 
+	 * @return {Histogram} Histogram metric.
+	 */
+	histogram(options) {
+		return this.register(Histogram, options);
+	}
+
+	/**
+	 * Render all metrics
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {boolean} openMetrics Whether to use the OpenMetrics format.
+	 * 
+	 * @return {string} Exposition text.
+	 */
+	render(openMetrics = true) {
+		const lines = [];
+
+		for (const metric of this.metrics.values()) {
+			lines.push(...metric.render(openMetrics));
+		}
+
+		if (openMetrics) {
+			lines.push('# EOF');
+		}
+
+		return lines.join('\n') + '\n';
+	}
+}
+
+/**
+ * Default metrics registry
+ * 
+ * @since TBD
+ * 
+ * @type {MetricsRegistry}
+ */
+export const metrics = new MetricsRegistry(); 
\ No newline at end of file
@@ -0,0 +1,263 @@
+#!/usr/bin/env bun
+
+/**
+ * Pending attachment associations for WordPress Sharp Image Processing
+ * 
+ * An upload usually reaches the disk before WordPress inserts its
+ * attachment post and `_wp_attached_file` meta. Processed images whose
+ * attachment can't be found yet wait here while the lookup is retried, or
+ * until the WordPress plugin reports the new attachment.
+ * 
+ * @since TBD
+ */
+
+import path from 'path';
+import { logger } from './Logger.js';
+
+/**
+ * Pending Associations class
+ * 
+ * @since TBD
+ */
+export class PendingAssociations {
+	/**
+	 * Milliseconds to keep looking up an attachment
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	window = 120000;
+
+	/**
+	 * Milliseconds between lookups
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	interval = 3000;
+
+	/**
+	 * Images waiting for their attachment, by file path
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	entries = new Map();
+
+	/**
+	 * Association statistics
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	stats = {
+		found: 0,
+		pushed: 0,
+		expired: 0
+	};
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} config Association configuration (window, interval).
+	 */
+	constructor(config = {}) {
+		this.window = config.window ?? this.window;
+		this.interval = Math.max(100, config.interval ?? this.interval);
+	}
+
+	/**
+	 * Wait for the attachment of an image to appear
+	 * 
+	 * Lookups for a file that is already waiting share its entry.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}   filePath Absolute path of the image file.
+	 * @param {Function} lookup   Async function returning the attachment ID or null.
+	 * 
+	 * @return {Promise<number|null>} Attachment ID, or null once the window has passed. Stays pending after stop() and cancel().
+	 */
+	wait(filePath, lookup) {
+		if (this.entries.has(filePath)) {
+			return this.entries.get(filePath).promise;
+		}
+
+		if (this.window <= 0) {
+			return Promise.resolve(null);
+		}
+
+		const entry = {
+			lookup,
+			deadline: Date.now() + this.window,
+			timer: null
+		};
+
+		entry.promise = new Promise((resolve) => {
+			entry.resolve = resolve;
+		});
+
+		this.entries.set(filePath, entry);
+		this.schedule(filePath, entry);
+
+		logger.debug(`Waiting for the attachment of ${path.basename(filePath)}`);
+
+		return entry.promise;
+	}
+
+	/**
+	 * Schedule the next lookup, no later than the end of the window
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Absolute path of the image file.
+	 * @param {Object} entry    Waiting entry.
+	 * 
+	 * @return {void}
+	 */
+	schedule(filePath, entry) {
+		const delay = Math.min(this.interval, Math.max(0, entry.deadline - Date.now()));
+
+		entry.timer = setTimeout(() => this.poll(filePath, entry), delay);
+	}
+
+	/**
+	 * Look up the attachment once
+	 * 
+	 * Failed lookups count as not found, so a briefly unavailable database
+	 * doesn't end the wait early.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Absolute path of the image file.
+	 * @param {Object} entry    Waiting entry.
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async poll(filePath, entry) {
+		entry.timer = null;
+
+		let attachmentId = null;
+		try {
+			attachmentId = await entry.lookup();
+		} catch (error) {
+			logger.warn(`Attachment lookup failed for ${path.basename(filePath)}:`, error.message);
+		}
+
+		// Reported by the plugin, cancelled or stopped while looking up
+		if (this.entries.get(filePath) !== entry) {
+			return;
+		}
+
+		if (attachmentId) {
+			this.stats.found++;
+			this.settle(filePath, attachmentId);
+		} else if (Date.now() >= entry.deadline) {
+			this.stats.expired++;
+			this.settle(filePath, null);
+		} else {
+			this.schedule(filePath, entry);
+		}
+	}
+
+	/**
+	 * Hand a waiting image the attachment reported by the WordPress plugin
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath     Absolute path of the image file.
+	 * @param {number} attachmentId Attachment ID.
+	 * 
+	 * @return {boolean} True if the image was waiting.
+	 */
+	associate(filePath, attachmentId) {
+		if (!this.entries.has(filePath)) {
+			return false;
+		}
+
+		this.stats.pushed++;
+		this.settle(filePath, attachmentId);
+
+		return true;
+	}
+
+	/**
+	 * End the wait of an image
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string}      filePath     Absolute path of the image file.
+	 * @param {number|null} attachmentId Attachment ID, null if not found.
+	 * 
+	 * @return {void}
+	 */
+	settle(filePath, attachmentId) {
+		const entry = this.entries.get(filePath);
+
+		clearTimeout(entry.timer);
+		this.entries.delete(filePath);
+		entry.resolve(attachmentId);
+	}
+
+	/**
+	 * Stop waiting for the attachment of an image
+	 * 
+	 * Used when the image is processed again. As with stop(), the wait is
+	 * left unsettled, so the earlier processing doesn't write its metadata.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Absolute path of the image file.
+	 * 
+	 * @return {boolean} True if the image was waiting.
+	 */
+	cancel(filePath) {
+		const entry = this.entries.get(filePath);
+		if (!entry) {
+			return false;
+		}
+
+		clearTimeout(entry.timer);
+		this.entries.delete(filePath);
+
+		return true;
+	}
+
+	/**
+	 * Stop looking up attachments
+	 * 
+	 * Waiting images are left unsettled, so they stay pending in the job
+	 * journal and are processed again on the next start.
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {void}
+	 */
+	stop() {
+		for (const entry of this.entries.values()) {
+			clearTimeout(entry.timer);
+		}
+
+		this.entries.clear();
+	}
+
+	/**
+	 * Get association statistics
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Object} Association statistics.
+	 */
+	getStats() {
+		return {
+			...this.stats,
+			waiting: this.entries.size
+		};
+	}
+} 
\ No newline at end of file
@@ -0,0 +1,142 @@
+#!/usr/bin/env bun
+
+/**
+ * Image processing worker process for WordPress Sharp Image Processing
+ * 
+ * Entry point of the processes started by WorkerPool. Runs
+ * ImageProcessor.processImage() for the jobs it is sent and reports the
+ * result, its memory use and the metric updates of each job back to the
+ * main process.
+ * 
+ * @since TBD
+ */
+
+import { configureLogger } from './Logger.js';
+import { ImageProcessor } from './ImageProcessor.js';
+import { metrics } from './Metrics.js';
+import { serializeError } from './WorkerPool.js';
+
+/**
+ * Interval between memory reports in milliseconds
+ * 
+ * @since TBD
+ * 
+ * @type {number}
+ */
+const MEMORY_REPORT_INTERVAL = 1000;
+
+/**
+ * Image processor running the jobs
+ * 
+ * @since TBD
+ * 
+ * @type {ImageProcessor}
+ */
+let processor = null;
+
+/**
+ * Image sizes and big image threshold last applied, by site ID
+ * 
+ * @since TBD
+ * 
+ * @type {Map}
+ */
+const appliedSizes = new Map();
+
+/**
+ * Metric updates recorded since the last job finished
+ * 
+ * @since TBD
+ * 
+ * @type {Array<Object>}
+ */
+let metricUpdates = [];
+
+metrics.recorder = (update) => metricUpdates.push(update);
+
+/**
+ * Set up the processor with the main process's configuration
+ * 
+ * @since TBD
+ * 
+ * @param {Object} message Init message with images and logging configuration.
+ * 
+ * @return {void}
+ */
+function initialize(message) {
+	configureLogger(message.logging);
+
+	// Jobs already run isolated, don't start another pool
+	processor = new ImageProcessor({ ...message.images, isolation: { enabled: false } });
+}
+
+/**
+ * Apply the image sizes and big image threshold sent with a job
+ * 
+ * @since TBD
+ * 
+ * @param {Object} payload Job payload.
+ * 
+ * @return {void}
+ */
+function applySizes({ options, imageSizes, bigImageThreshold }) {
+	const siteId = options.siteId ?? null;
+	const sizes = JSON.stringify({ imageSizes, bigImageThreshold });
+
+	if (appliedSizes.get(siteId) === sizes) {
+		return;
+	}
+
+	processor.updateImageSizes(imageSizes, siteId);
+	processor.updateBigImageThreshold(bigImageThreshold, siteId);
+	appliedSizes.set(siteId, sizes);
+}
+
+/**
+ * Run a job and send its result to the main process
+ * 
+ * @since TBD
+ * 
+ * @param {Object} message Job message with the job ID and payload.
+ * 
+ * @return {Promise<void>}
+ */
+async function runJob({ id, payload }) {
+	let response;
+
+	try {
+		applySizes(payload);
+
+		const result = await processor.processImage(payload.filePath, payload.options);
+		response = { type: 'result', id, result };
+
+	} catch (error) {
+		response = { type: 'error', id, error: serializeError(error) };
+	}
+
+	response.metrics = metricUpdates;
+	response.rss = process.memoryUsage().rss;
+	metricUpdates = [];
+
+	process.send(response);
+}
+
+process.on('message', (message) => {
+	switch (message?.type) {
+	case 'init':
+		initialize(message);
+		break;
+
+	case 'job':
+		runJob(message);
+		break;
+	}
+});
+
+// The main process decides when workers stop, also on Ctrl+C
+process.on('SIGINT', () => {});
+process.on('disconnect', () => process.exit(0));
+
+setInterval(() => {
+	process.send({ type: 'memory', rss: process.memoryUsage().rss });
+}, MEMORY_REPORT_INTERVAL); 
\ No newline at end of file
@@ -0,0 +1,165 @@
+#!/usr/bin/env bun
+
+/**
+ * Retry policy for WordPress Sharp Image Processing
+ * 
+ * Decides whether a failed image is worth another attempt and how long to
+ * wait before it, using exponential backoff with jitter.
+ * 
+ * @since TBD
+ */
+
+import { BridgeMethodError } from './WpBridge.js';
+import { WorkerCrashError } from './WorkerPool.js';
+
+/**
+ * System error codes of failures that usually go away on their own
+ * 
+ * @since TBD
+ * 
+ * @type {Array<string>}
+ */
+const TRANSIENT_CODES = [
+	'EAGAIN',
+	'EBUSY',
+	'ECONNREFUSED',
+	'ECONNRESET',
+	'EMFILE',
+	'ENFILE',
+	'EPIPE',
+	'ESTALE',
+	'ETIMEDOUT'
+];
+
+/**
+ * Error messages of failures that usually go away on their own
+ * 
+ * Covers timeouts, files that are still being written and a WordPress
+ * database that is down, locked or overloaded.
+ * 
+ * @since TBD
+ * 
+ * @type {Array<RegExp>}
+ */
+const TRANSIENT_MESSAGES = [
+	/timed out/i,
+	/premature end/i,
+	/unexpected end of/i,
+	/truncated/i,
+	/Error establishing a database connection/i,
+	/database is locked/i,
+	/Lock wait timeout exceeded/i,
+	/Deadlock found/i,
+	/MySQL server has gone away/i,
+	/Too many connections/i
+];
+
+/**
+ * Retry Policy class
+ * 
+ * @since TBD
+ */
+export class RetryPolicy {
+	/**
+	 * Attempts per image, including the first one
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	maxAttempts = 5;
+
+	/**
+	 * Delay before the first retry in milliseconds
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	baseDelay = 5000;
+
+	/**
+	 * Longest delay between attempts in milliseconds
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	maxDelay = 600000;
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} config Retry configuration (maxAttempts, baseDelay, maxDelay).
+	 */
+	constructor(config = {}) {
+		this.maxAttempts = Math.max(1, config.maxAttempts ?? this.maxAttempts);
+		this.baseDelay = config.baseDelay ?? this.baseDelay;
+		this.maxDelay = config.maxDelay ?? this.maxDelay;
+	}
+
+	/**
+	 * Check whether an error is likely to go away when retried
+	 * 
+	 * Errors reported by WordPress itself and workers that ran out of
+	 * memory are permanent, as are errors not known to be transient such as
+	 * corrupt or missing files.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Error} error Failure of an attempt.
+	 * 
+	 * @return {boolean} True if the error is transient.
+	 */
+	isTransient(error) {
+		if (error instanceof BridgeMethodError) {
+			return false;
+		}
+
+		if (error instanceof WorkerCrashError) {
+			return error.reason !== 'memory';
+		}
+
+		// wp-cli commands killed by a signal
+		if (error.killed) {
+			return true;
+		}
+
+		return TRANSIENT_CODES.includes(error.code) || TRANSIENT_MESSAGES.some((pattern) => pattern.test(error.message));
+	}
+
+	/**
+	 * Check whether a failed attempt should be retried
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Error}  error   Failure of the attempt.
+	 * @param {number} attempt Number of the failed attempt, starting at 1.
+	 * 
+	 * @return {boolean} True if the image should be tried again.
+	 */
+	shouldRetry(error, attempt) {
+		return attempt < this.maxAttempts && this.isTransient(error);
+	}
+
+	/**
+	 * Get the delay before the next attempt
+	 * 
+	 * The delay doubles with every attempt up to `maxDelay`, and a random
+	 * part of up to half of it is taken off so images that failed together
+	 * don't all retry at the same moment.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {number} attempt Number of the failed attempt, starting at 1.
+	 * 
+	 * @return {number} Delay in milliseconds.
+	 */
+	getDelay(attempt) {
+		const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+
+		return Math.round(delay / 2 + Math.random() * delay / 2);
+	}
+} 
\ No newline at end of file
@@ -0,0 +1,125 @@
+#!/usr/bin/env bun
+
+/**
+ * Perceptual similarity for WordPress Sharp Image Processing
+ * 
+ * Computes the structural similarity index (SSIM) of two images from the
+ * raw pixel buffers Sharp returns, used to pick the lowest encoder quality
+ * that still looks like the unencoded image.
+ * 
+ * @since TBD
+ */
+
+/**
+ * SSIM window size in pixels
+ * 
+ * @since TBD
+ * 
+ * @type {number}
+ */
+const WINDOW_SIZE = 8;
+
+/**
+ * Distance between SSIM windows in pixels
+ * 
+ * @since TBD
+ * 
+ * @type {number}
+ */
+const WINDOW_STRIDE = 4;
+
+/**
+ * SSIM stabilizing constants for 8-bit data
+ * 
+ * @since TBD
+ * 
+ * @type {number}
+ */
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * Convert a raw image to luma
+ * 
+ * Uses the Rec. 601 weights on RGB data; grayscale data is used as is and
+ * alpha is ignored.
+ * 
+ * @since TBD
+ * 
+ * @param {Object} raw Raw image from Sharp's toBuffer({ resolveWithObject: true }).
+ * 
+ * @return {Float32Array} Luma values.
+ */
+function toLuma(raw) {
+	const { data, info } = raw;
+	const pixels = info.width * info.height;
+	const luma = new Float32Array(pixels);
+
+	for (let pixel = 0, offset = 0; pixel < pixels; pixel++, offset += info.channels) {
+		luma[pixel] = info.channels >= 3
+			? 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]
+			: data[offset];
+	}
+
+	return luma;
+}
+
+/**
+ * Compute the mean SSIM of two images of the same size
+ * 
+ * Compares luma over 8x8 windows, overlapping by half, and averages the
+ * scores. 1 means identical; encodes scoring above about 0.98 are hard to
+ * tell apart from the original.
+ * 
+ * @since TBD
+ * 
+ * @param {Object} reference Raw reference image from Sharp's toBuffer({ resolveWithObject: true }).
+ * @param {Object} candidate Raw candidate image, in the same format.
+ * 
+ * @return {number} Mean SSIM between -1 and 1.
+ */
+export function ssim(reference, candidate) {
+	const { width, height } = reference.info;
+
+	if (candidate.info.width !== width || candidate.info.height !== height) {
+		throw new Error(`Cannot compare a ${candidate.info.width}x${candidate.info.height} image to a ${width}x${height} one`);
+	}
+
+	const a = toLuma(reference);
+	const b = toLuma(candidate);
+
+	// Images smaller than a window are compared as a single window
+	const windowWidth = Math.min(WINDOW_SIZE, width);
+	const windowHeight = Math.min(WINDOW_SIZE, height);
+	const count = windowWidth * windowHeight;
+	let total = 0;
+	let windows = 0;
+
+	for (let top = 0; top + windowHeight <= height; top += WINDOW_STRIDE) {
+		for (let left = 0; left + windowWidth <= width; left += WINDOW_STRIDE) {
+			let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+
+			for (let y = top; y < top + windowHeight; y++) {
+				for (let x = left, index = y * width + left; x < left + windowWidth; x++, index++) {
+					sumA += a[index];
+					sumB += b[index];
+					sumAA += a[index] * a[index];
+					sumBB += b[index] * b[index];
+					sumAB += a[index] * b[index];
+				}
+			}
+
+			const meanA = sumA / count;
+			const meanB = sumB / count;
+			const varianceA = sumAA / count - meanA * meanA;
+			const varianceB = sumBB / count - meanB * meanB;
+			const covariance = sumAB / count - meanA * meanB;
+
+			total += ((2 * meanA * meanB + C1) * (2 * covariance + C2))
+				/ ((meanA * meanA + meanB * meanB + C1) * (varianceA + varianceB + C2));
+			windows++;
+		}
+	}
+
+	return total / windows;
+} 
\ No newline at end of file
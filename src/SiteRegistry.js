@@ -0,0 +1,204 @@
+#!/usr/bin/env bun
+
+/**
+ * Multisite site registry for WordPress Sharp Image Processing
+ * 
+ * Keeps the list of sites in a multisite network and maps files in the
+ * uploads directory to the site they belong to: `sites/<id>/` subtrees
+ * belong to that blog, everything else to the main site.
+ * 
+ * @since TBD
+ */
+
+import path from 'path';
+import { logger } from './Logger.js';
+
+/**
+ * Site Registry class
+ * 
+ * @since TBD
+ */
+export class SiteRegistry {
+	/**
+	 * Database instance
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Database}
+	 */
+	database = null;
+
+	/**
+	 * Network uploads directory
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	uploadsPath = null;
+
+	/**
+	 * Minimum time between site list refreshes in milliseconds
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	refreshInterval = 60000;
+
+	/**
+	 * Sites by ID
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	sites = new Map();
+
+	/**
+	 * Main site
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object|null}
+	 */
+	mainSite = null;
+
+	/**
+	 * Time of the last site list refresh
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	lastRefresh = 0;
+
+	/**
+	 * Refresh in progress
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Promise<void>|null}
+	 */
+	refreshing = null;
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Database} database Database instance.
+	 * @param {Object}   config   Application configuration.
+	 */
+	constructor(database, config) {
+		this.database = database;
+		this.uploadsPath = path.resolve(config.wordpress.uploadsPath);
+		this.refreshInterval = config.wordpress.multisite?.refreshInterval ?? this.refreshInterval;
+	}
+
+	/**
+	 * Load the site list
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async load() {
+		await this.refresh();
+
+		if (!this.mainSite) {
+			throw new Error('Multisite is enabled but WordPress did not return any sites. Is this a multisite network?');
+		}
+
+		logger.info(`Multisite network loaded (${this.sites.size} sites, main site: ${this.mainSite.id})`);
+	}
+
+	/**
+	 * Reload the site list from WordPress
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async refresh() {
+		if (!this.refreshing) {
+			this.refreshing = (async () => {
+				const sites = await this.database.listSites();
+
+				this.sites = new Map(sites.map((site) => [site.id, site]));
+				this.mainSite = sites.find((site) => site.main) || null;
+				this.lastRefresh = Date.now();
+			})().finally(() => {
+				this.refreshing = null;
+			});
+		}
+
+		return this.refreshing;
+	}
+
+	/**
+	 * Get a site by ID
+	 * 
+	 * Reloads the site list when the site is unknown, so sites created while
+	 * the service is running are picked up.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {number} siteId Site ID.
+	 * 
+	 * @return {Promise<Object|null>} Site or null if it doesn't exist.
+	 */
+	async get(siteId) {
+		if (!this.sites.has(siteId) && Date.now() - this.lastRefresh >= this.refreshInterval) {
+			logger.debug(`Unknown site ${siteId}, refreshing site list`);
+			await this.refresh();
+		}
+
+		return this.sites.get(siteId) || null;
+	}
+
+	/**
+	 * Find the site a file belongs to
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} filePath Absolute path of a file in the uploads directory.
+	 * 
+	 * @return {Promise<Object|null>} Site and the file path relative to the site's uploads directory, null if the site doesn't exist.
+	 */
+	async resolve(filePath) {
+		const parts = path.relative(this.uploadsPath, path.resolve(filePath)).split(path.sep);
+
+		if (parts[0] === 'sites' && /^\d+$/.test(parts[1] || '')) {
+			const site = await this.get(parseInt(parts[1], 10));
+
+			return site ? { site, relativePath: parts.slice(2).join('/') } : null;
+		}
+
+		return { site: this.mainSite, relativePath: parts.join('/') };
+	}
+
+	/**
+	 * Get the uploads directory of a site
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} site Site.
+	 * 
+	 * @return {string} Absolute uploads directory of the site.
+	 */
+	getUploadsPath(site) {
+		return site.main ? this.uploadsPath : path.join(this.uploadsPath, 'sites', String(site.id));
+	}
+
+	/**
+	 * Get all known sites
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Array<Object>} Sites.
+	 */
+	getSites() {
+		return [...this.sites.values()];
+	}
+} 
\ No newline at end of file
@@ -0,0 +1,567 @@
+#!/usr/bin/env bun
+
+/**
+ * Worker process pool for WordPress Sharp Image Processing
+ * 
+ * Runs jobs in forked child processes so a crashing, hanging or runaway
+ * job only takes down its worker. Workers are started on demand, replaced
+ * after a number of jobs and killed when a job runs over its time or
+ * memory limit.
+ * 
+ * @since TBD
+ */
+
+import { fork } from 'child_process';
+import { EventEmitter } from 'events';
+import { logger } from './Logger.js';
+
+/**
+ * Error for a job that was lost with its worker
+ * 
+ * Distinguishes worker failures (crash, timeout, memory limit) from errors
+ * thrown by the job itself.
+ * 
+ * @since TBD
+ */
+export class WorkerCrashError extends Error {
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} message Error message.
+	 * @param {string} reason  Failure reason (crash, timeout, memory).
+	 */
+	constructor(message, reason) {
+		super(message);
+		this.name = 'WorkerCrashError';
+		this.reason = reason;
+	}
+}
+
+/**
+ * Convert an error thrown in a worker into a message payload
+ * 
+ * Keeps the name and system error code (EBUSY, ETIMEDOUT, ...) along with
+ * the message, so the retry policy can tell transient failures apart.
+ * 
+ * @since TBD
+ * 
+ * @param {Error} error Error thrown by the job.
+ * 
+ * @return {Object} Serializable error properties.
+ */
+export function serializeError(error) {
+	return {
+		name: error.name,
+		message: error.message,
+		code: error.code,
+		stack: error.stack
+	};
+}
+
+/**
+ * Rebuild an error sent by a worker
+ * 
+ * @since TBD
+ * 
+ * @param {Object} data Error properties, see serializeError().
+ * 
+ * @return {Error} Error with the worker's name, message, code and stack.
+ */
+export function restoreError(data) {
+	const error = new Error(data.message);
+
+	error.name = data.name ?? error.name;
+	error.stack = data.stack;
+
+	if (data.code !== undefined) {
+		error.code = data.code;
+	}
+
+	return error;
+}
+
+/**
+ * Worker Pool class
+ * 
+ * Emits `metrics` with the metric updates a worker recorded for a job.
+ * 
+ * @since TBD
+ */
+export class WorkerPool extends EventEmitter {
+	/**
+	 * Worker script path
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	script = null;
+
+	/**
+	 * Maximum number of workers
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	size = 2;
+
+	/**
+	 * Jobs a worker runs before it is replaced, 0 to keep workers forever
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	maxJobsPerWorker = 50;
+
+	/**
+	 * Worker memory limit in megabytes, 0 for no limit
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	memoryLimit = 0;
+
+	/**
+	 * Job time limit in milliseconds, 0 for no limit
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	timeout = 0;
+
+	/**
+	 * Message sent to every worker when it starts
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	init = {};
+
+	/**
+	 * Running workers
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Set}
+	 */
+	workers = new Set();
+
+	/**
+	 * Workers without a job
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Array<Object>}
+	 */
+	idle = [];
+
+	/**
+	 * Jobs waiting for a worker
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Array<Object>}
+	 */
+	waiting = [];
+
+	/**
+	 * Next job ID
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	nextId = 1;
+
+	/**
+	 * Whether the pool was stopped
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {boolean}
+	 */
+	stopped = false;
+
+	/**
+	 * Pool statistics
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Object}
+	 */
+	stats = {
+		started: 0,
+		recycled: 0,
+		crashed: 0,
+		timedOut: 0,
+		memoryExceeded: 0
+	};
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} script  Worker script path.
+	 * @param {Object} options Pool options (size, maxJobsPerWorker, memoryLimit, timeout, init).
+	 */
+	constructor(script, options = {}) {
+		super();
+
+		this.script = script;
+		this.size = Math.max(1, options.size || this.size);
+		this.maxJobsPerWorker = options.maxJobsPerWorker ?? this.maxJobsPerWorker;
+		this.memoryLimit = options.memoryLimit ?? this.memoryLimit;
+		this.timeout = options.timeout ?? this.timeout;
+		this.init = options.init || this.init;
+	}
+
+	/**
+	 * Run a job in a worker
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {*}           payload Data sent to the worker.
+	 * @param {AbortSignal} signal  Signal cancelling the job, killing its worker if it already started.
+	 * 
+	 * @return {Promise<*>} Resolves with the worker's result, rejects with its error, a WorkerCrashError or the abort reason.
+	 */
+	run(payload, signal = null) {
+		if (this.stopped) {
+			return Promise.reject(new Error('Worker pool is stopped'));
+		}
+
+		if (signal?.aborted) {
+			return Promise.reject(signal.reason);
+		}
+
+		return new Promise((resolve, reject) => {
+			const job = { payload, resolve, reject, timer: null, signal };
+
+			signal?.addEventListener('abort', () => this.abort(job), { once: true });
+
+			this.waiting.push(job);
+			this.dispatch();
+		});
+	}
+
+	/**
+	 * Cancel a waiting or running job
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} job Job whose signal was aborted.
+	 * 
+	 * @return {void}
+	 */
+	abort(job) {
+		const index = this.waiting.indexOf(job);
+		if (index !== -1) {
+			this.waiting.splice(index, 1);
+			job.reject(job.signal.reason);
+			return;
+		}
+
+		const worker = [...this.workers].find((candidate) => candidate.job === job);
+		if (worker) {
+			logger.debug(`Stopping image worker for a cancelled job (pid: ${worker.child.pid})`);
+			this.terminate(worker, job.signal.reason);
+		}
+	}
+
+	/**
+	 * Hand waiting jobs to idle workers, starting workers as needed
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {void}
+	 */
+	dispatch() {
+		while (!this.stopped && this.waiting.length > 0) {
+			const worker = this.idle.pop() || (this.workers.size < this.size ? this.spawnWorker() : null);
+			if (!worker) {
+				return;
+			}
+
+			this.start(worker, this.waiting.shift());
+		}
+	}
+
+	/**
+	 * Start a worker process
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Object} Worker with its child process.
+	 */
+	spawnWorker() {
+		const child = fork(this.script, [], { stdio: 'inherit' });
+		const worker = { child, jobs: 0, job: null, rss: 0 };
+
+		child.on('message', (message) => this.handleMessage(worker, message));
+		child.on('error', (error) => {
+			logger.warn(`Image worker error (pid: ${child.pid}): ${error.message}`);
+			this.handleExit(worker, error.message);
+		});
+		child.on('exit', (code, signal) => this.handleExit(worker, `code: ${code}, signal: ${signal}`));
+
+		child.send({ type: 'init', ...this.init });
+
+		this.workers.add(worker);
+		this.stats.started++;
+		logger.debug(`Image worker started (pid: ${child.pid})`);
+
+		return worker;
+	}
+
+	/**
+	 * Send a job to a worker
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} worker Idle worker.
+	 * @param {Object} job    Waiting job.
+	 * 
+	 * @return {void}
+	 */
+	start(worker, job) {
+		job.id = this.nextId++;
+		worker.job = job;
+		worker.jobs++;
+
+		if (this.timeout > 0) {
+			job.timer = setTimeout(() => {
+				this.stats.timedOut++;
+				this.terminate(worker, new WorkerCrashError(`Image worker timed out after ${this.timeout}ms`, 'timeout'));
+			}, this.timeout);
+		}
+
+		worker.child.send({ type: 'job', id: job.id, payload: job.payload });
+	}
+
+	/**
+	 * Handle a message from a worker
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} worker  Worker that sent the message.
+	 * @param {Object} message Message with its type.
+	 * 
+	 * @return {void}
+	 */
+	handleMessage(worker, message) {
+		switch (message?.type) {
+		case 'memory':
+			worker.rss = message.rss;
+
+			if (worker.job && this.overMemoryLimit(worker)) {
+				this.stats.memoryExceeded++;
+				this.terminate(worker, new WorkerCrashError(
+					`Image worker exceeded the memory limit (${Math.round(message.rss / 1024 / 1024)} MB of ${this.memoryLimit} MB)`,
+					'memory'
+				));
+			}
+			break;
+
+		case 'result':
+		case 'error': {
+			if (!worker.job || worker.job.id !== message.id) {
+				return;
+			}
+
+			if (message.metrics?.length > 0) {
+				this.emit('metrics', message.metrics);
+			}
+
+			const job = this.finish(worker);
+			worker.rss = message.rss;
+
+			if (message.type === 'result') {
+				job.resolve(message.result);
+			} else {
+				job.reject(restoreError(message.error));
+			}
+
+			this.release(worker);
+			break;
+		}
+		}
+	}
+
+	/**
+	 * Detach the current job from a worker
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} worker Busy worker.
+	 * 
+	 * @return {Object} The worker's job.
+	 */
+	finish(worker) {
+		const job = worker.job;
+
+		clearTimeout(job.timer);
+		worker.job = null;
+
+		return job;
+	}
+
+	/**
+	 * Return a worker to the pool once its job is done
+	 * 
+	 * Workers that reached the job limit or ended the job over the memory
+	 * limit are replaced so memory held by native code is given back to the
+	 * system.
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} worker Worker without a job.
+	 * 
+	 * @return {void}
+	 */
+	release(worker) {
+		if (this.maxJobsPerWorker > 0 && worker.jobs >= this.maxJobsPerWorker) {
+			this.stats.recycled++;
+			logger.debug(`Recycling image worker after ${worker.jobs} jobs (pid: ${worker.child.pid})`);
+			this.remove(worker);
+		} else if (this.overMemoryLimit(worker)) {
+			this.stats.recycled++;
+			logger.debug(`Recycling image worker over the memory limit (pid: ${worker.child.pid})`);
+			this.remove(worker);
+		} else {
+			this.idle.push(worker);
+		}
+
+		this.dispatch();
+	}
+
+	/**
+	 * Check whether a worker last reported more memory than the limit allows
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} worker Worker.
+	 * 
+	 * @return {boolean} True if the worker is over the memory limit.
+	 */
+	overMemoryLimit(worker) {
+		return this.memoryLimit > 0 && worker.rss > this.memoryLimit * 1024 * 1024;
+	}
+
+	/**
+	 * Kill a worker and fail its job
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} worker Busy worker.
+	 * @param {Error}  error  Error to reject the job with.
+	 * 
+	 * @return {void}
+	 */
+	terminate(worker, error) {
+		const job = this.finish(worker);
+
+		if (error instanceof WorkerCrashError) {
+			logger.warn(`${error.message} (pid: ${worker.child.pid})`);
+		}
+
+		this.remove(worker);
+		job.reject(error);
+		this.dispatch();
+	}
+
+	/**
+	 * Handle a worker exiting
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} worker Exited worker.
+	 * @param {string} status Exit code and signal.
+	 * 
+	 * @return {void}
+	 */
+	handleExit(worker, status) {
+		if (!this.workers.has(worker)) {
+			return;
+		}
+
+		this.workers.delete(worker);
+		this.idle = this.idle.filter((idle) => idle !== worker);
+
+		if (worker.job) {
+			this.stats.crashed++;
+			logger.warn(`Image worker crashed (pid: ${worker.child.pid}, ${status})`);
+
+			this.finish(worker).reject(new WorkerCrashError(`Image worker crashed (${status})`, 'crash'));
+		}
+
+		this.dispatch();
+	}
+
+	/**
+	 * Remove a worker from the pool and kill its process
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Object} worker Worker to remove.
+	 * 
+	 * @return {void}
+	 */
+	remove(worker) {
+		this.workers.delete(worker);
+		this.idle = this.idle.filter((idle) => idle !== worker);
+
+		if (worker.child.exitCode === null && worker.child.signalCode === null) {
+			worker.child.kill('SIGKILL');
+		}
+	}
+
+	/**
+	 * Stop all workers
+	 * 
+	 * Running and waiting jobs are left unsettled, so images still being
+	 * processed stay pending in the job journal and are replayed on the
+	 * next start.
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async stop() {
+		this.stopped = true;
+
+		const exits = [...this.workers].map((worker) => new Promise((resolve) => {
+			worker.child.once('exit', resolve);
+			clearTimeout(worker.job?.timer);
+			this.remove(worker);
+		}));
+
+		await Promise.all(exits);
+
+		logger.debug('Image workers stopped');
+	}
+
+	/**
+	 * Get pool statistics
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Object} Pool statistics.
+	 */
+	getStats() {
+		return {
+			...this.stats,
+			size: this.size,
+			workers: this.workers.size,
+			busy: this.workers.size - this.idle.length,
+			waiting: this.waiting.length
+		};
+	}
+} 
\ No newline at end of file
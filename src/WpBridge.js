@@ -0,0 +1,375 @@
+#!/usr/bin/env bun
+
+/**
+ * Persistent WordPress bridge for Sharp Image Processing
+ * 
+ * Keeps a single `wp eval-file` worker running and talks to it with JSON
+ * lines over stdin/stdout, so WordPress is bootstrapped once instead of
+ * once per database operation.
+ * 
+ * @since TBD
+ */
+
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './Logger.js';
+
+// ES6 __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Path to the PHP side of the bridge
+ * 
+ * @since TBD
+ * 
+ * @type {string}
+ */
+export const BRIDGE_SCRIPT = path.join(__dirname, '..', 'bridge', 'wp-bridge.php');
+
+/**
+ * Marker prefixing every response line
+ * 
+ * @since TBD
+ * 
+ * @type {string}
+ */
+const RESPONSE_MARKER = '@@WPSHARP@@ ';
+
+/**
+ * Error reported by WordPress while handling a bridge call
+ * 
+ * Distinguishes failures of the call itself (unknown post, invalid value)
+ * from failures of the bridge (worker crashed or timed out).
+ * 
+ * @since TBD
+ */
+export class BridgeMethodError extends Error {
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} method  Method name.
+	 * @param {string} message Error message from WordPress.
+	 */
+	constructor(method, message) {
+		super(`WordPress bridge ${method} failed: ${message}`);
+		this.name = 'BridgeMethodError';
+		this.method = method;
+	}
+}
+
+/**
+ * WordPress Bridge class
+ * 
+ * @since TBD
+ */
+export class WpBridge {
+	/**
+	 * wp-cli arguments used to start the worker
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Array<string>}
+	 */
+	args = [];
+
+	/**
+	 * Default request timeout in milliseconds
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	timeout = 30000;
+
+	/**
+	 * Worker process
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {ChildProcess}
+	 */
+	process = null;
+
+	/**
+	 * Promise resolving once the worker answered its first ping
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Promise<void>}
+	 */
+	starting = null;
+
+	/**
+	 * Requests waiting for a response, by request ID
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {Map}
+	 */
+	pending = new Map();
+
+	/**
+	 * Next request ID
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {number}
+	 */
+	nextId = 1;
+
+	/**
+	 * WordPress version reported by the worker
+	 * 
+	 * @since TBD
+	 * 
+	 * @type {string}
+	 */
+	version = null;
+
+	/**
+	 * Constructor
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {Array<string>} args    wp-cli global arguments (--path, --url, ...).
+	 * @param {Object}        options Bridge options (timeout).
+	 */
+	constructor(args, options = {}) {
+		this.args = args;
+		this.timeout = options.timeout || this.timeout;
+	}
+
+	/**
+	 * Start the worker if it isn't running
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async start() {
+		if (!this.starting) {
+			this.starting = this.spawnWorker().catch((error) => {
+				this.starting = null;
+				throw error;
+			});
+		}
+
+		return this.starting;
+	}
+
+	/**
+	 * Spawn the worker process and wait for it to answer
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async spawnWorker() {
+		const args = [...this.args, 'eval-file', BRIDGE_SCRIPT];
+		logger.debug('Starting WordPress bridge', { args });
+
+		const child = spawn('wp', args, {
+			stdio: ['pipe', 'pipe', 'pipe']
+		});
+		this.process = child;
+
+		createInterface({ input: child.stdout }).on('line', (line) => this.handleLine(line));
+		createInterface({ input: child.stderr }).on('line', (line) => {
+			logger.debug('WordPress bridge stderr:', line);
+		});
+
+		child.stdin.on('error', (error) => {
+			logger.debug('WordPress bridge stdin error:', error.message);
+		});
+		child.on('error', (error) => this.handleExit(child, error));
+		child.on('exit', (code, signal) => {
+			this.handleExit(child, new Error(`WordPress bridge exited (code: ${code}, signal: ${signal})`));
+		});
+
+		const { version } = await this.send('ping', {}, this.timeout);
+		this.version = version;
+
+		logger.info(`WordPress bridge started (version: ${version}, pid: ${child.pid})`);
+	}
+
+	/**
+	 * Call a bridge method
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} method  Method name.
+	 * @param {Object} params  Method parameters.
+	 * @param {number} timeout Timeout in milliseconds.
+	 * 
+	 * @return {Promise<*>} Method result.
+	 */
+	async call(method, params = {}, timeout = this.timeout) {
+		await this.start();
+
+		return this.send(method, params, timeout);
+	}
+
+	/**
+	 * Send a request to the worker
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} method  Method name.
+	 * @param {Object} params  Method parameters.
+	 * @param {number} timeout Timeout in milliseconds.
+	 * 
+	 * @return {Promise<*>} Method result.
+	 */
+	send(method, params, timeout) {
+		const child = this.process;
+		if (!child || !child.stdin.writable) {
+			return Promise.reject(new Error('WordPress bridge is not running'));
+		}
+
+		const id = this.nextId++;
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this.pending.delete(id);
+				reject(new Error(`WordPress bridge call timed out: ${method}`));
+
+				// The worker may be stuck; start a fresh one on the next call
+				this.kill(child);
+			}, timeout);
+
+			this.pending.set(id, { resolve, reject, timer, method });
+			child.stdin.write(JSON.stringify({ id, method, params }) + '\n');
+		});
+	}
+
+	/**
+	 * Handle a line of worker output
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} line Output line.
+	 * 
+	 * @return {void}
+	 */
+	handleLine(line) {
+		if (!line.startsWith(RESPONSE_MARKER)) {
+			if (line.trim()) {
+				logger.debug('WordPress bridge output:', line);
+			}
+			return;
+		}
+
+		let response;
+		try {
+			response = JSON.parse(line.slice(RESPONSE_MARKER.length));
+		} catch (error) {
+			logger.warn('Invalid WordPress bridge response:', line);
+			return;
+		}
+
+		const request = this.pending.get(response.id);
+		if (!request) {
+			return;
+		}
+
+		clearTimeout(request.timer);
+		this.pending.delete(response.id);
+
+		if (response.error) {
+			request.reject(new BridgeMethodError(request.method, response.error));
+		} else {
+			request.resolve(response.result);
+		}
+	}
+
+	/**
+	 * Handle the worker exiting
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {ChildProcess} child Exited worker.
+	 * @param {Error}        error Exit reason.
+	 * 
+	 * @return {void}
+	 */
+	handleExit(child, error) {
+		if (this.process !== child) {
+			return;
+		}
+
+		this.process = null;
+		this.starting = null;
+
+		for (const request of this.pending.values()) {
+			clearTimeout(request.timer);
+			request.reject(error);
+		}
+		this.pending.clear();
+
+		logger.warn(error.message);
+	}
+
+	/**
+	 * Kill a worker process
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {ChildProcess} child Worker to kill.
+	 * 
+	 * @return {void}
+	 */
+	kill(child) {
+		if (child && child.exitCode === null) {
+			child.kill('SIGKILL');
+		}
+	}
+
+	/**
+	 * Check if the worker is running
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {boolean} True if the worker is running.
+	 */
+	isRunning() {
+		return !!this.process;
+	}
+
+	/**
+	 * Stop the worker
+	 * 
+	 * Closes stdin so the worker exits after finishing the current request,
+	 * and kills it if it doesn't exit in time.
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<void>}
+	 */
+	async stop() {
+		const child = this.process;
+		if (!child) {
+			return;
+		}
+
+		await new Promise((resolve) => {
+			const timer = setTimeout(() => {
+				this.kill(child);
+				resolve();
+			}, 5000);
+
+			child.once('exit', () => {
+				clearTimeout(timer);
+				resolve();
+			});
+
+			child.stdin.end();
+		});
+
+		logger.info('WordPress bridge stopped');
+	}
+} 
\ No newline at end of file
@@ -0,0 +1,212 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for the control API request checks
+ * 
+ * @since TBD
+ */
+
+import os from 'os';
+import net from 'net';
+import path from 'path';
+import http from 'http';
+import fs from 'fs-extra';
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { ControlServer } from '../src/ControlServer.js';
+
+let tmpDir = null;
+let server = null;
+let enqueued = [];
+
+/**
+ * Application stub recording processing requests
+ * 
+ * @since TBD
+ * 
+ * @type {Object}
+ */
+const app = {
+	getHealth: () => ({ status: 'running' }),
+	enqueueRequest: (body) => {
+		enqueued.push(body);
+		return { queued: true };
+	},
+	replayDeadLetters: (paths, all) => ({ replayed: all ? ['all'] : paths, unknown: [] }),
+	removeDeadLetters: (paths, all) => ({ removed: all ? ['all'] : paths, unknown: [] })
+};
+
+/**
+ * Find a free TCP port on the loopback interface
+ * 
+ * @since TBD
+ * 
+ * @return {Promise<number>} Port number.
+ */
+function freePort() {
+	return new Promise((resolve, reject) => {
+		const probe = net.createServer();
+		probe.once('error', reject);
+		probe.listen(0, '127.0.0.1', () => {
+			const { port } = probe.address();
+			probe.close(() => resolve(port));
+		});
+	});
+}
+
+/**
+ * Start a control server
+ * 
+ * @since TBD
+ * 
+ * @param {Object} config API configuration.
+ * 
+ * @return {Promise<ControlServer>} Started server.
+ */
+async function startServer(config) {
+	server = new ControlServer({ metrics: false, ...config }, app);
+	await server.start();
+
+	return server;
+}
+
+/**
+ * Send a request to the running control server
+ * 
+ * @since TBD
+ * 
+ * @param {string} method  HTTP method.
+ * @param {string} route   Request path.
+ * @param {Object} headers Request headers.
+ * @param {string} body    Raw request body.
+ * 
+ * @return {Promise<Object>} Status code and parsed body.
+ */
+function request(method, route, headers = {}, body = '') {
+	const target = server.config.socket
+		? { socketPath: server.config.socket }
+		: { host: server.config.host, port: server.config.port };
+
+	return new Promise((resolve, reject) => {
+		const req = http.request({ ...target, method, path: route, headers }, (res) => {
+			let data = '';
+			res.on('data', (chunk) => data += chunk);
+			res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+		});
+
+		req.on('error', reject);
+		req.end(body);
+	});
+}
+
+beforeEach(async () => {
+	tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wp-sharp-api-'));
+	enqueued = [];
+});
+
+afterEach(async () => {
+	await server?.stop();
+	server = null;
+	await fs.remove(tmpDir);
+});
+
+describe('Content-Type', () => {
+	test('POST requests sent as application/json are accepted', async () => {
+		await startServer({ port: await freePort() });
+
+		const response = await request('POST', '/process', { 'Content-Type': 'application/json; charset=utf-8' }, '{"attachmentId":5}');
+
+		expect(response.status).toBe(202);
+		expect(enqueued).toEqual([{ attachmentId: 5 }]);
+	});
+
+	test.each(['text/plain', 'application/x-www-form-urlencoded', 'multipart/form-data; boundary=x', null])('POST requests sent as %p are rejected', async (contentType) => {
+		await startServer({ port: await freePort() });
+
+		const headers = contentType ? { 'Content-Type': contentType } : {};
+		const response = await request('POST', '/process', headers, '{"attachmentId":5}');
+
+		expect(response.status).toBe(415);
+		expect(enqueued).toEqual([]);
+	});
+});
+
+describe('Host', () => {
+	test('loopback names of the configured port are accepted', async () => {
+		const port = await freePort();
+		await startServer({ port });
+
+		for (const host of [`127.0.0.1:${port}`, `localhost:${port}`, `[::1]:${port}`]) {
+			expect((await request('GET', '/health', { Host: host })).status).toBe(200);
+		}
+	});
+
+	test.each(['attacker.example', 'attacker.example:PORT', '127.0.0.1:1'])('requests for %p are rejected', async (host) => {
+		const port = await freePort();
+		await startServer({ port });
+
+		const response = await request('POST', '/process', {
+			Host: host.replace('PORT', port),
+			'Content-Type': 'application/json'
+		}, '{"attachmentId":5}');
+
+		expect(response.status).toBe(403);
+		expect(enqueued).toEqual([]);
+	});
+
+	test('hosts in allowedHosts are accepted', async () => {
+		const port = await freePort();
+		await startServer({ port, allowedHosts: ['sharp'] });
+
+		expect((await request('GET', '/health', { Host: `sharp:${port}` })).status).toBe(200);
+	});
+
+	test('socket requests must be for localhost', async () => {
+		await startServer({ socket: path.join(tmpDir, 'api.sock') });
+
+		expect((await request('GET', '/health')).status).toBe(200);
+		expect((await request('GET', '/health', { Host: 'attacker.example' })).status).toBe(403);
+	});
+});
+
+describe('request bodies', () => {
+	const json = { 'Content-Type': 'application/json' };
+
+	test.each(['null', '[]', '"paths"', '5', 'true'])('a %s body is rejected', async (body) => {
+		await startServer({ port: await freePort() });
+
+		for (const route of ['/process', '/dead-letters/replay', '/dead-letters/remove']) {
+			const response = await request('POST', route, json, body);
+
+			expect(response.status).toBe(400);
+			expect(response.body.error).toBe('JSON body must be an object');
+		}
+
+		expect(enqueued).toEqual([]);
+	});
+
+	test.each([
+		['a string', '"2024/05/photo.jpg"'],
+		['an object', '{"0":"2024/05/photo.jpg"}'],
+		['an array with a non-string', '["2024/05/photo.jpg",5]'],
+		['null', 'null']
+	])('paths as %s are rejected', async (label, paths) => {
+		await startServer({ port: await freePort() });
+
+		for (const route of ['/dead-letters/replay', '/dead-letters/remove']) {
+			const response = await request('POST', route, json, `{"paths":${paths}}`);
+
+			expect(response.status).toBe(400);
+			expect(response.body.error).toBe('paths must be an array of strings');
+		}
+	});
+
+	test('paths as an array of strings are passed on', async () => {
+		await startServer({ port: await freePort() });
+
+		const replay = await request('POST', '/dead-letters/replay', json, '{"paths":["2024/05/photo.jpg"]}');
+		const remove = await request('POST', '/dead-letters/remove', json, '{"all":true}');
+
+		expect(replay).toEqual({ status: 200, body: { replayed: ['2024/05/photo.jpg'], unknown: [] } });
+		expect(remove).toEqual({ status: 200, body: { removed: ['all'], unknown: [] } });
+	});
+}); 
\ No newline at end of file
@@ -0,0 +1,201 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for wp-cli data access, run against a fake wp-cli
+ * 
+ * @since TBD
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { Database } from '../src/Database.js';
+import { RetryPolicy } from '../src/RetryPolicy.js';
+import WordPressSharpImageApp from '../index.js';
+
+const FAKE_WP_BIN = path.join(import.meta.dir, 'fixtures', 'bin');
+
+const DATABASE_DOWN = { stderr: 'Error: Error establishing a database connection.\n', exit: 1 };
+
+let logFile = null;
+let originalPath = null;
+
+/**
+ * Set the fake wp-cli's responses, by subcommand prefix
+ * 
+ * @since TBD
+ * 
+ * @param {Object} responses Responses with stdout, stderr and exit code.
+ * 
+ * @return {void}
+ */
+function respond(responses) {
+	process.env.FAKE_WP_RESPONSES = JSON.stringify(responses);
+}
+
+/**
+ * Get the calls the fake wp-cli received
+ * 
+ * @since TBD
+ * 
+ * @return {Promise<Array<Object>>} Calls with args, stdin and attached file.
+ */
+async function calls() {
+	if (!await fs.pathExists(logFile)) {
+		return [];
+	}
+
+	const lines = (await fs.readFile(logFile, 'utf8')).trim().split('\n');
+
+	return lines.filter(Boolean).map((line) => JSON.parse(line));
+}
+
+/**
+ * Create a Database in exec mode
+ * 
+ * @since TBD
+ * 
+ * @return {Database} Database calling the fake wp-cli.
+ */
+function createDatabase() {
+	return new Database({
+		wordpress: {
+			rootPath: '/srv/www/wp',
+			bridge: { enabled: false }
+		}
+	});
+}
+
+beforeEach(async () => {
+	logFile = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'wp-sharp-db-')), 'calls.jsonl');
+	originalPath = process.env.PATH;
+	process.env.PATH = `${FAKE_WP_BIN}${path.delimiter}${originalPath}`;
+	process.env.FAKE_WP_LOG = logFile;
+	respond({});
+});
+
+afterEach(async () => {
+	process.env.PATH = originalPath;
+	delete process.env.FAKE_WP_LOG;
+	delete process.env.FAKE_WP_RESPONSES;
+	await fs.remove(path.dirname(logFile));
+});
+
+describe('lookup and update failures', () => {
+	test('getAttachmentIdByPath() returns null when the attachment does not exist', async () => {
+		respond({ 'post list': { stdout: 'ID\n' }, eval: { stdout: '0' } });
+
+		expect(await createDatabase().getAttachmentIdByPath('2024/05/photo.jpg')).toBeNull();
+	});
+
+	test('getAttachmentIdByPath() rejects with the wp-cli error when the database is down', async () => {
+		respond({ 'post list': DATABASE_DOWN, eval: DATABASE_DOWN });
+
+		const error = await createDatabase().getAttachmentIdByPath('2024/05/photo.jpg').catch((e) => e);
+
+		expect(error).toBeInstanceOf(Error);
+		expect(error.message).toContain('Error establishing a database connection');
+		expect(new RetryPolicy().isTransient(error)).toBe(true);
+	});
+
+	test('updateAttachmentMeta() rejects with the wp-cli error', async () => {
+		respond({ 'post meta update': { stderr: 'Error: MySQL server has gone away\n', exit: 1 } });
+
+		const error = await createDatabase().updateAttachmentMeta(12, { width: 10, height: 10, file: 'a.jpg', sizes: {} }).catch((e) => e);
+
+		expect(error).toBeInstanceOf(Error);
+		expect(error.message).toContain('MySQL server has gone away');
+		expect(new RetryPolicy().isTransient(error)).toBe(true);
+	});
+
+	test('updateAttachmentMeta() rejects when the stored value differs', async () => {
+		respond({ 'post meta get': { stdout: JSON.stringify({ width: 10, height: 11, file: 'a.jpg', sizes: [] }) } });
+
+		const error = await createDatabase().updateAttachmentMeta(12, { width: 10, height: 10, file: 'a.jpg', sizes: {} }).catch((e) => e);
+
+		expect(error.message).toBe('Stored metadata of attachment 12 does not match at height');
+	});
+});
+
+describe('attachment metadata', () => {
+	test('getAttachmentMeta() returns null when the attachment has no metadata', async () => {
+		respond({ 'post meta get': { exit: 1 } });
+
+		expect(await createDatabase().getAttachmentMeta(12)).toBeNull();
+	});
+
+	test('getAttachmentMeta() returns the stored metadata', async () => {
+		respond({ 'post meta get': { stdout: JSON.stringify({ width: 10, height: 10, file: 'a.jpg' }) } });
+
+		expect(await createDatabase().getAttachmentMeta(12)).toEqual({ width: 10, height: 10, file: 'a.jpg' });
+	});
+
+	test('getAttachmentMeta() rejects with the wp-cli error when the database is down', async () => {
+		respond({ 'post meta get': DATABASE_DOWN });
+
+		const error = await createDatabase().getAttachmentMeta(12).catch((e) => e);
+
+		expect(error).toBeInstanceOf(Error);
+		expect(error.message).toContain('Error establishing a database connection');
+		expect(new RetryPolicy().isTransient(error)).toBe(true);
+	});
+
+	test('getOriginalAttachedFile() rejects when the metadata cannot be read', async () => {
+		respond({ 'post meta get 12 _wp_attached_file': { stdout: '2024/05/photo-scaled.jpg' }, 'post meta get': DATABASE_DOWN });
+
+		await expect(createDatabase().getOriginalAttachedFile(12)).rejects.toThrow('Error establishing a database connection');
+	});
+
+	test('writeAttachmentMetadata() writes nothing when the stored metadata cannot be read', async () => {
+		respond({ 'post meta get': DATABASE_DOWN });
+
+		const app = new WordPressSharpImageApp();
+		const error = await app.writeAttachmentMetadata(createDatabase(), 12, { width: 10, height: 10, file: 'a.jpg', sizes: {} }).catch((e) => e);
+
+		expect(error.message).toContain('Error establishing a database connection');
+		expect((await calls()).some((call) => call.args.includes('update'))).toBe(false);
+	});
+});
+
+describe('hostile file names', () => {
+	const HOSTILE_NAMES = [
+		'2024/05/it\'s "quoted".jpg',
+		'2024/05/$(touch pwned).jpg',
+		'2024/05/`touch pwned`.jpg',
+		'2024/05/photo.jpg; rm -rf ~',
+		'2024/05/line\nbreak.jpg',
+		'-leading-dash.jpg',
+		'--user=1.jpg'
+	];
+
+	test.each(HOSTILE_NAMES)('getAttachmentIdByPath() passes %p as a single value', async (name) => {
+		respond({ 'post list': { stdout: 'ID\n' }, eval: { stdout: '0' } });
+
+		expect(await createDatabase().getAttachmentIdByPath(name)).toBeNull();
+
+		const [list, query] = await calls();
+		expect(list.args.filter((arg) => arg.includes(name))).toEqual([`--meta_value=${name}`]);
+		expect(query.args.some((arg) => arg.includes(name))).toBe(false);
+		expect(query.attachedFile).toBe(name);
+	});
+
+	test.each(HOSTILE_NAMES)('updateAttachedFile() passes %p on stdin', async (name) => {
+		expect(await createDatabase().updateAttachedFile(12, name)).toBe(true);
+
+		const [update] = await calls();
+		expect(update.args.slice(-5)).toEqual(['post', 'meta', 'update', '12', '_wp_attached_file']);
+		expect(update.stdin).toBe(name);
+	});
+
+	test.each(HOSTILE_NAMES)('updateAttachmentMeta() passes %p on stdin', async (name) => {
+		const metadata = { width: 10, height: 10, file: name, sizes: {} };
+		respond({ 'post meta get': { stdout: JSON.stringify(metadata) } });
+
+		await createDatabase().updateAttachmentMeta(12, metadata);
+
+		const [update] = await calls();
+		expect(update.args.some((arg) => arg.includes(name))).toBe(false);
+		expect(JSON.parse(update.stdin)).toEqual(metadata);
+	});
+}); 
\ No newline at end of file
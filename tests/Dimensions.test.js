@@ -0,0 +1,61 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for the WordPress dimension calculations
+ * 
+ * Expected values are what WordPress itself returns for each case, generated
+ * with tests/fixtures/dimensions.php.
+ * 
+ * @since TBD
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { describe, test, expect } from 'bun:test';
+import { phpRound, constrainDimensions, resizeDimensions } from '../src/Dimensions.js';
+
+const fixtures = fs.readJsonSync(path.join(import.meta.dir, 'fixtures', 'dimensions.json'));
+
+/**
+ * Convert an image_resize_dimensions() result to the resizeDimensions() shape
+ * 
+ * @since TBD
+ * 
+ * @param {Array<number>|false} result WordPress result.
+ * 
+ * @return {Object|null} Source region and output size, or null if skipped.
+ */
+function fromWordPress(result) {
+	if (!result) {
+		return null;
+	}
+
+	const [, , srcX, srcY, width, height, srcWidth, srcHeight] = result;
+
+	return { srcX, srcY, srcWidth, srcHeight, width, height };
+}
+
+describe('phpRound()', () => {
+	test('rounds half away from zero', () => {
+		expect(phpRound(12.5)).toBe(13);
+		expect(phpRound(-12.5)).toBe(-13);
+		expect(phpRound(12.4)).toBe(12);
+	});
+
+	test('pre-rounds values just below .5 like PHP', () => {
+		expect(phpRound(112.49999999999999)).toBe(113);
+		expect(phpRound(7.499999999999999)).toBe(8);
+	});
+});
+
+describe(`constrainDimensions() matches wp_constrain_dimensions() of WordPress ${fixtures.wordpress}`, () => {
+	test.each(fixtures.constrain.map((fixture) => [fixture.label, fixture]))('%s', (label, { args, result }) => {
+		expect(constrainDimensions(...args)).toEqual(result);
+	});
+});
+
+describe(`resizeDimensions() matches image_resize_dimensions() of WordPress ${fixtures.wordpress}`, () => {
+	test.each(fixtures.resize.map((fixture) => [fixture.label, fixture]))('%s', (label, { args, result }) => {
+		expect(resizeDimensions(...args)).toEqual(fromWordPress(result));
+	});
+}); 
\ No newline at end of file
@@ -0,0 +1,140 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for telling uploads from files WordPress generated and for the
+ * hold the watcher keeps on files being processed
+ * 
+ * @since TBD
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { FileWatcher } from '../src/FileWatcher.js';
+import { PendingAssociations } from '../src/PendingAssociations.js';
+import WordPressSharpImageApp from '../index.js';
+
+let uploadsDir = null;
+
+/**
+ * Create empty files in the uploads directory
+ * 
+ * @since TBD
+ * 
+ * @param {...string} names File names.
+ * 
+ * @return {Promise<void>}
+ */
+async function createFiles(...names) {
+	await Promise.all(names.map((name) => fs.outputFile(path.join(uploadsDir, name), '')));
+}
+
+/**
+ * Wait until a condition holds
+ * 
+ * @since TBD
+ * 
+ * @param {Function} condition Function returning true once done.
+ * 
+ * @return {Promise<void>}
+ */
+async function waitUntil(condition) {
+	for (let tries = 0; tries < 100 && !condition(); tries++) {
+		await Bun.sleep(10);
+	}
+
+	expect(condition()).toBe(true);
+}
+
+beforeEach(async () => {
+	uploadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wp-sharp-uploads-'));
+});
+
+afterEach(async () => {
+	await fs.remove(uploadsDir);
+});
+
+describe('isWordPressGeneratedSize()', () => {
+	test('image sizes are generated', async () => {
+		await createFiles('photo.jpg', 'photo-150x150.jpg');
+
+		expect(await new FileWatcher({}).isWordPressGeneratedSize(path.join(uploadsDir, 'photo-150x150.jpg'))).toBe(true);
+	});
+
+	test('-scaled and -rotated copies next to their original are generated', async () => {
+		await createFiles('photo.jpg', 'photo-scaled.jpg', 'photo-rotated.jpg', 'phone.heic', 'phone-scaled.jpg');
+		const watcher = new FileWatcher({});
+
+		for (const name of ['photo-scaled.jpg', 'photo-rotated.jpg', 'phone-scaled.jpg']) {
+			expect(await watcher.isWordPressGeneratedSize(path.join(uploadsDir, name))).toBe(true);
+		}
+	});
+
+	test('uploads named like a -scaled or -rotated copy are not generated', async () => {
+		await createFiles('holiday-scaled.jpg', 'holiday-rotated.png', 'photo.png', 'photo-scaled.jpg');
+		const watcher = new FileWatcher({});
+
+		for (const name of ['holiday-scaled.jpg', 'holiday-rotated.png', 'photo-scaled.jpg']) {
+			expect(await watcher.isWordPressGeneratedSize(path.join(uploadsDir, name))).toBe(false);
+		}
+	});
+});
+
+describe('processFile()', () => {
+	test('processes an upload named like a -scaled copy', async () => {
+		await createFiles('holiday-scaled.jpg', 'photo.jpg', 'photo-scaled.jpg');
+		const processed = [];
+		const watcher = new FileWatcher({}, async (filePath) => processed.push(path.basename(filePath)));
+
+		await watcher.processFile(path.join(uploadsDir, 'holiday-scaled.jpg'));
+		await watcher.processFile(path.join(uploadsDir, 'photo-scaled.jpg'));
+
+		expect(processed).toEqual(['holiday-scaled.jpg']);
+	});
+});
+
+describe('attachment wait', () => {
+	test('events arriving while an image waits for its attachment are processed', async () => {
+		await createFiles('photo.jpg');
+		const filePath = path.join(uploadsDir, 'photo.jpg');
+		const written = [];
+		const database = {
+			getAttachmentIdByPath: async () => null,
+			getAttachmentMeta: async () => null,
+			updateAttachmentMeta: async (attachmentId) => written.push(attachmentId)
+		};
+		const app = new WordPressSharpImageApp();
+		let processed = 0;
+
+		app.config = { wordpress: { uploadsPath: uploadsDir } };
+		app.resolveSite = async () => ({ site: null, database, relativePath: 'photo.jpg' });
+		app.imageProcessor = {
+			queueImage: async () => {
+				processed++;
+				return { file: 'photo.jpg', sizes: {} };
+			}
+		};
+		app.pendingAssociations = new PendingAssociations({ window: 60000 });
+
+		const watcher = new FileWatcher({ debounceDelay: 0 }, app.handleNewImage.bind(app));
+
+		try {
+			// Done once the image is processed, while it waits for its attachment
+			await watcher.processFile(filePath);
+			expect(watcher.processingFiles.has(filePath)).toBe(false);
+			expect(app.pendingAssociations.entries.has(filePath)).toBe(true);
+
+			watcher.handleFileEvent('change', filePath);
+			await waitUntil(() => processed === 2 && app.pendingAssociations.entries.has(filePath));
+
+			// Only the latest processing writes its metadata
+			app.pendingAssociations.associate(filePath, 42);
+			await waitUntil(() => written.length > 0);
+			await Bun.sleep(20);
+			expect(written).toEqual([42]);
+		} finally {
+			app.pendingAssociations.stop();
+		}
+	});
+}); 
\ No newline at end of file
@@ -0,0 +1,134 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for the image metadata reader
+ * 
+ * Expected values are what WordPress itself reads from each fixture image,
+ * generated with tests/fixtures/image-metadata.php.
+ * 
+ * @since TBD
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import { describe, test, expect } from 'bun:test';
+import { readImageMetadata, parseExif, parseIptc } from '../src/ImageMetadata.js';
+
+const fixtures = fs.readJsonSync(path.join(import.meta.dir, 'fixtures', 'image-metadata.json'));
+
+/**
+ * Get the fixture for an image
+ * 
+ * @since TBD
+ * 
+ * @param {string} file Image file name.
+ * 
+ * @return {Object} Fixture with the file name and WordPress image meta.
+ */
+function fixture(file) {
+	return fixtures.images.find((image) => image.file === file);
+}
+
+/**
+ * Read the Sharp metadata of a fixture image
+ * 
+ * @since TBD
+ * 
+ * @param {string} file Image file name.
+ * 
+ * @return {Promise<Object>} Sharp metadata.
+ */
+function readMetadata(file) {
+	return sharp(path.join(import.meta.dir, 'fixtures', 'image-metadata', file)).metadata();
+}
+
+describe(`readImageMetadata() matches wp_read_image_metadata() of WordPress ${fixtures.wordpress}`, () => {
+	test.each(fixtures.images.map((image) => [image.file, image]))('%s', async (file, { meta }) => {
+		const { exif, iptc } = await readMetadata(file);
+
+		// WordPress doesn't read XMP
+		expect(readImageMetadata({ exif, iptc })).toEqual(meta);
+	});
+
+	test('XMP does not replace IPTC and EXIF values', async () => {
+		expect(readImageMetadata(await readMetadata('xmp-with-iptc-and-exif.jpg'))).toEqual(fixture('xmp-with-iptc-and-exif.jpg').meta);
+	});
+
+	test('XMP fills fields WordPress leaves empty', async () => {
+		expect(readImageMetadata(await readMetadata('xmp.jpg'))).toEqual({
+			...fixture('xmp.jpg').meta,
+			title: 'Harbour',
+			caption: 'Boats & nets',
+			credit: 'Alex Kim',
+			copyright: '© Alex Kim',
+			created_timestamp: 1715963400,
+			keywords: ['harbour', 'boats']
+		});
+	});
+});
+
+describe('parseExif()', () => {
+	test('reads big endian data', async () => {
+		const { exif } = await readMetadata('exif-big-endian.jpg');
+
+		expect(parseExif(exif)).toMatchObject({
+			Model: 'NIKON Z 6',
+			Orientation: 3,
+			ExposureTime: '1/3',
+			FNumber: '56/10',
+			ISOSpeedRatings: 6400,
+			DateTimeDigitized: '2023:12:31 23:59:59'
+		});
+	});
+
+	test('keeps the tags before the point a buffer is cut at', async () => {
+		const { exif } = await readMetadata('exif-little-endian.jpg');
+		const tags = parseExif(exif);
+
+		for (let length = 0; length <= exif.length; length++) {
+			const partial = parseExif(exif.subarray(0, length));
+			for (const [name, value] of Object.entries(partial)) {
+				expect(value).toEqual(tags[name]);
+			}
+		}
+
+		expect(parseExif(exif.subarray(0, 64))).toEqual({ Orientation: 6 });
+	});
+
+	test('ignores directories that claim more entries than the buffer holds', () => {
+		const tiff = Buffer.from('4949 2a00 08000000 ffff 0000', 'hex');
+
+		expect(parseExif(tiff)).toEqual({});
+	});
+
+	test('ignores data that is not EXIF', () => {
+		expect(parseExif(undefined)).toEqual({});
+		expect(parseExif(Buffer.from('Exif\0\0not a tiff header'))).toEqual({});
+	});
+});
+
+describe('parseIptc()', () => {
+	test('keeps the datasets before the point a buffer is cut at', async () => {
+		const { iptc } = await readMetadata('iptc.jpg');
+		const datasets = parseIptc(iptc);
+
+		for (let length = 0; length <= iptc.length; length++) {
+			const partial = parseIptc(iptc.subarray(0, length));
+			for (const [key, values] of Object.entries(partial)) {
+				expect(values).toEqual(datasets[key].slice(0, values.length));
+			}
+		}
+	});
+
+	test('stops at a dataset longer than the data left', async () => {
+		const { iptc } = await readMetadata('iptc-truncated.jpg');
+
+		expect(parseIptc(iptc)).toEqual({ '2#105': ['Kept headline'], '2#116': ['Kept copyright'] });
+	});
+
+	test('ignores data that is not IPTC', () => {
+		expect(parseIptc(undefined)).toEqual({});
+		expect(parseIptc(Buffer.from('Photoshop 3.0\0'))).toEqual({});
+	});
+}); 
\ No newline at end of file
@@ -0,0 +1,240 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for image size generation
+ * 
+ * @since TBD
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { ImageProcessor } from '../src/ImageProcessor.js';
+
+const dimensionFixtures = fs.readJsonSync(path.join(import.meta.dir, 'fixtures', 'dimensions.json'));
+
+const RED = { create: { width: 400, height: 300, channels: 3, background: { r: 255, g: 0, b: 0 } } };
+
+let uploadsDir = null;
+
+/**
+ * Create an image processor
+ * 
+ * @since TBD
+ * 
+ * @param {Object} config     Image configuration overriding the defaults.
+ * @param {Object} imageSizes Image sizes, only a 200x200 medium size by default.
+ * 
+ * @return {ImageProcessor} Image processor.
+ */
+function createProcessor(config = {}, imageSizes = { medium: { width: 200, height: 200, crop: false } }) {
+	return new ImageProcessor({ backupOriginals: false, modernFormats: {}, ...config }, imageSizes);
+}
+
+/**
+ * Get the first pixel of an image
+ * 
+ * @since TBD
+ * 
+ * @param {string}  filePath  Image file path.
+ * @param {boolean} ignoreIcc Read the stored values instead of converting them to sRGB.
+ * 
+ * @return {Promise<Array<number>>} Red, green and blue values.
+ */
+async function firstPixel(filePath, ignoreIcc = false) {
+	const data = await sharp(filePath, { ignoreIcc }).removeAlpha().toColourspace('srgb').raw().toBuffer();
+
+	return [...data.subarray(0, 3)];
+}
+
+/**
+ * Assert that two pixels differ by at most a rounding error per channel
+ * 
+ * @since TBD
+ * 
+ * @param {Array<number>} actual   Actual pixel.
+ * @param {Array<number>} expected Expected pixel.
+ * 
+ * @return {void}
+ */
+function expectPixelCloseTo(actual, expected) {
+	actual.forEach((value, channel) => expect(Math.abs(value - expected[channel])).toBeLessThanOrEqual(3));
+}
+
+beforeEach(async () => {
+	uploadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wp-sharp-images-'));
+});
+
+afterEach(async () => {
+	await fs.remove(uploadsDir);
+});
+
+describe('crop positions', () => {
+	// Cases cropping a 1201x800 and an 800x1201 original to 300x300 at each of the 9 positions
+	const cases = dimensionFixtures.resize.filter(({ args }) => Array.isArray(args[4]));
+
+	test('cover every crop position on both axes', () => {
+		expect(cases.length).toBe(18);
+	});
+
+	test.each(cases.map((fixture) => [fixture.label, fixture]))('%s extracts the region WordPress crops', (label, { args, result }) => {
+		const [width, height, sizeWidth, sizeHeight, crop] = args;
+		const [, , srcX, srcY, dstWidth, dstHeight, srcWidth, srcHeight] = result;
+
+		const dimensions = new ImageProcessor({}).calculateDimensions({ width: sizeWidth, height: sizeHeight, crop }, { width, height });
+
+		expect(dimensions).toEqual({
+			width: dstWidth,
+			height: dstHeight,
+			region: { left: srcX, top: srcY, width: srcWidth, height: srcHeight }
+		});
+	});
+});
+
+describe('color profiles', () => {
+	/**
+	 * Process a red image with an embedded color profile
+	 * 
+	 * @since TBD
+	 * 
+	 * @param {string} profile Profile of the source, 'p3' or 'cmyk'.
+	 * @param {Object} config  Image configuration.
+	 * 
+	 * @return {Promise<Object>} Source and medium size paths and metadata.
+	 */
+	async function processWithProfile(profile, config) {
+		const sourcePath = path.join(uploadsDir, `${profile}.jpg`);
+		await sharp(RED).withIccProfile(profile).jpeg({ quality: 100 }).toFile(sourcePath);
+
+		const wpMetadata = await createProcessor(config).processImage(sourcePath);
+		const sizePath = path.join(uploadsDir, wpMetadata.sizes.medium.file);
+
+		return {
+			sourcePath,
+			sizePath,
+			source: await sharp(sourcePath).metadata(),
+			size: await sharp(sizePath).metadata()
+		};
+	}
+
+	test('the sources carry their profile', async () => {
+		const p3 = await processWithProfile('p3', {});
+		const cmyk = await processWithProfile('cmyk', {});
+
+		expect(p3.source.icc).toBeInstanceOf(Buffer);
+		expect(cmyk.source.space).toBe('cmyk');
+		expect(cmyk.source.icc).toBeInstanceOf(Buffer);
+	});
+
+	test('srgb mode converts a Display P3 image to sRGB and embeds the sRGB profile', async () => {
+		const srgb = await sharp(await sharp(RED).withIccProfile('srgb').jpeg().toBuffer()).metadata();
+		const { sourcePath, sizePath, size } = await processWithProfile('p3', { colorProfile: 'srgb' });
+
+		expect(size.space).toBe('srgb');
+		expect(size.icc.equals(srgb.icc)).toBe(true);
+		expectPixelCloseTo(await firstPixel(sizePath, true), await firstPixel(sourcePath));
+	});
+
+	test('preserve mode keeps the Display P3 profile and pixels', async () => {
+		const { sourcePath, sizePath, source, size } = await processWithProfile('p3', { colorProfile: 'preserve' });
+
+		expect(size.icc.equals(source.icc)).toBe(true);
+		expectPixelCloseTo(await firstPixel(sizePath, true), await firstPixel(sourcePath, true));
+	});
+
+	test('strip mode converts a Display P3 image to sRGB without a profile', async () => {
+		const { sourcePath, sizePath, size } = await processWithProfile('p3', { colorProfile: 'strip' });
+
+		expect(size.space).toBe('srgb');
+		expect(size.icc).toBeUndefined();
+		expectPixelCloseTo(await firstPixel(sizePath, true), await firstPixel(sourcePath));
+	});
+
+	test('without a mode the profile follows the icc metadata policy', async () => {
+		const kept = await processWithProfile('p3', { metadata: { keep: ['icc'] } });
+		expect(kept.size.icc.equals(kept.source.icc)).toBe(true);
+
+		const stripped = await processWithProfile('p3', { metadata: { keep: [] } });
+		expect(stripped.size.icc).toBeUndefined();
+	});
+
+	test.each(['srgb', 'preserve', 'strip'])('%s mode converts a CMYK image to sRGB', async (mode) => {
+		const { sourcePath, sizePath, size } = await processWithProfile('cmyk', { colorProfile: mode });
+
+		expect(size.space).toBe('srgb');
+		expect(size.channels).toBe(3);
+		expectPixelCloseTo(await firstPixel(sizePath, true), await firstPixel(sourcePath));
+
+		// The CMYK profile can't describe the converted pixels, only 'srgb' embeds one
+		if (mode === 'srgb') {
+			expect(size.icc).toBeInstanceOf(Buffer);
+		} else {
+			expect(size.icc).toBeUndefined();
+		}
+	});
+});
+
+describe('big images', () => {
+	const CORE_SIZES = {
+		thumbnail: { width: 150, height: 150, crop: true },
+		medium: { width: 300, height: 300, crop: false },
+		large: { width: 1024, height: 1024, crop: false }
+	};
+
+	/**
+	 * Write a JPEG just over the big image size threshold
+	 * 
+	 * @since TBD
+	 * 
+	 * @return {Promise<string>} Image path.
+	 */
+	async function createBigImage() {
+		const filePath = path.join(uploadsDir, 'photo.jpg');
+		await sharp({ create: { width: 2561, height: 2729, channels: 3, background: '#336699' } }).jpeg().toFile(filePath);
+
+		return filePath;
+	}
+
+	test('sizes are resized from the original while the full size is the -scaled copy', async () => {
+		const filePath = await createBigImage();
+
+		const wpMetadata = await createProcessor({}, CORE_SIZES).processImage(filePath);
+
+		expect(wpMetadata.file).toBe('photo-scaled.jpg');
+		expect(wpMetadata.original_image).toBe('photo.jpg');
+		expect([wpMetadata.width, wpMetadata.height]).toEqual([2402, 2560]);
+
+		// Dimensions WordPress gives a 2561x2729 upload, see tests/fixtures/dimensions.json
+		const sizes = Object.fromEntries(Object.entries(wpMetadata.sizes).map(([name, size]) => [name, [size.file, size.width, size.height]]));
+		expect(sizes).toEqual({
+			thumbnail: ['photo-150x150.jpg', 150, 150],
+			medium: ['photo-282x300.jpg', 282, 300],
+			large: ['photo-961x1024.jpg', 961, 1024]
+		});
+
+		for (const [file, width, height] of Object.values(sizes)) {
+			const size = await sharp(path.join(uploadsDir, file)).metadata();
+			expect([size.width, size.height]).toEqual([width, height]);
+		}
+
+		const scaled = await sharp(path.join(uploadsDir, 'photo-scaled.jpg')).metadata();
+		expect([scaled.width, scaled.height]).toEqual([2402, 2560]);
+	});
+
+	test('missing sizes are named from the original dimensions', async () => {
+		const filePath = await createBigImage();
+		const processor = createProcessor({}, CORE_SIZES);
+
+		expect(await processor.getMissingSizes(filePath)).toEqual(['scaled', 'thumbnail', 'medium', 'large']);
+
+		await processor.processImage(filePath);
+
+		expect(await processor.getMissingSizes(filePath)).toEqual([]);
+
+		await fs.remove(path.join(uploadsDir, 'photo-282x300.jpg'));
+
+		expect(await processor.getMissingSizes(filePath)).toEqual(['medium']);
+	});
+}); 
\ No newline at end of file
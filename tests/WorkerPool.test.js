@@ -0,0 +1,62 @@
+#!/usr/bin/env bun
+
+/**
+ * Tests for errors reported by isolated workers
+ * 
+ * @since TBD
+ */
+
+import path from 'path';
+import { describe, test, expect, afterEach } from 'bun:test';
+import { WorkerPool, serializeError, restoreError } from '../src/WorkerPool.js';
+import { RetryPolicy } from '../src/RetryPolicy.js';
+
+const FAILING_WORKER = path.join(import.meta.dir, 'fixtures', 'failing-worker.js');
+
+describe('worker errors', () => {
+	let pool = null;
+
+	afterEach(async () => {
+		await pool?.stop();
+		pool = null;
+	});
+
+	test('serializeError() and restoreError() keep the name, message, code and stack', () => {
+		const error = new Error('Resource busy');
+		error.name = 'SystemError';
+		error.code = 'EBUSY';
+
+		const restored = restoreError(JSON.parse(JSON.stringify(serializeError(error))));
+
+		expect(restored).toBeInstanceOf(Error);
+		expect(restored.name).toBe('SystemError');
+		expect(restored.message).toBe('Resource busy');
+		expect(restored.code).toBe('EBUSY');
+		expect(restored.stack).toBe(error.stack);
+	});
+
+	test('restoreError() leaves code unset for errors without one', () => {
+		const restored = restoreError(serializeError(new Error('Invalid or unsupported image format')));
+
+		expect('code' in restored).toBe(false);
+	});
+
+	test('a job failing with a system error code rejects with that code', async () => {
+		pool = new WorkerPool(FAILING_WORKER, { size: 1 });
+
+		const error = await pool.run({ message: 'EMFILE: too many open files', code: 'EMFILE' }).catch((e) => e);
+
+		expect(error.code).toBe('EMFILE');
+		expect(error.message).toBe('EMFILE: too many open files');
+		expect(new RetryPolicy().isTransient(error)).toBe(true);
+	});
+
+	test('a job failing without a code is not transient', async () => {
+		pool = new WorkerPool(FAILING_WORKER, { size: 1 });
+
+		const error = await pool.run({ message: 'Input file is missing' }).catch((e) => e);
+
+		expect(error.code).toBeUndefined();
+		expect(new RetryPolicy().isTransient(error)).toBe(false);
+	});
+}); 
\ No newline at end of file
@@ -0,0 +1,95 @@
+<?php
+/**
+ * WordPress dimension fixtures for the Dimensions tests
+ * 
+ * Prints what image_resize_dimensions() and wp_constrain_dimensions()
+ * return for each case as JSON. Regenerate the fixtures with:
+ * 
+ *     wp eval-file tests/fixtures/dimensions.php > tests/fixtures/dimensions.json
+ * 
+ * @package SharpImageProcessing
+ * @since   TBD
+ */
+
+$positions = array();
+foreach ( array( 'left', 'center', 'right' ) as $x ) {
+	foreach ( array( 'top', 'center', 'bottom' ) as $y ) {
+		$positions[] = array( 1201, 800, 300, 300, array( $x, $y ), "landscape cropped at $x $y" );
+		$positions[] = array( 800, 1201, 300, 300, array( $x, $y ), "portrait cropped at $x $y" );
+	}
+}
+
+$constrain = array(
+	array( 2561, 2729, 300, 300, 'portrait into medium' ),
+	array( 2561, 2729, 1024, 1024, 'portrait into large' ),
+	array( 1500, 1000, 300, 300, 'landscape into medium' ),
+	array( 100, 25, 50, 0, 'exact .5 rounds up' ),
+	array( 212, 159, 150, 0, 'height of 112.49999999999999 rounds up' ),
+	array( 356, 1157, 150, 0, 'height of 487.49999999999994 rounds up' ),
+	array( 465, 700, 177, 177, 'one pixel short of the box is bumped' ),
+	array( 3000, 10, 300, 0, '1px high result' ),
+	array( 5000, 4, 300, 0, 'height below 1px becomes 1px' ),
+	array( 1, 5000, 0, 300, 'width below 1px becomes 1px' ),
+	array( 100, 50, 300, 300, 'smaller than the box' ),
+	array( 100, 50, 0, 0, 'no limit' ),
+);
+
+$resize = array_merge(
+	array(
+		array( 2561, 2729, 150, 150, true, 'portrait thumbnail' ),
+		array( 2561, 2729, 300, 300, false, 'portrait medium' ),
+		array( 2561, 2729, 768, 0, false, 'portrait medium_large' ),
+		array( 2561, 2729, 1024, 1024, false, 'portrait large' ),
+		array( 2561, 2729, 1536, 1536, false, 'portrait 1536x1536' ),
+		array( 2561, 2729, 2048, 2048, false, 'portrait 2048x2048' ),
+		array( 1500, 1000, 150, 150, true, 'landscape cropped' ),
+		array( 1500, 1000, 150, 150, false, 'landscape not cropped' ),
+		array( 600, 300, 400, 400, true, 'crop size acts as a maximum' ),
+		array( 1000, 100, 500, 200, true, 'crop taller than the original' ),
+		array( 100, 25, 50, 0, false, 'exact .5 rounds up' ),
+		array( 212, 159, 150, 0, false, 'height of 112.49999999999999 rounds up' ),
+		array( 3000, 10, 300, 0, false, '1px high result' ),
+		array( 3000, 10, 300, 300, true, '1px high crop' ),
+		array( 5000, 4, 300, 0, false, 'height below 1px becomes 1px' ),
+		array( 100, 100, 150, 150, false, 'upscaling refused' ),
+		array( 100, 100, 150, 150, true, 'upscaling refused when cropping' ),
+		array( 200, 100, 300, 300, true, 'upscaling refused when both sides are smaller' ),
+		array( 400, 300, 500, 0, false, 'upscaling refused for a width-only size' ),
+		array( 400, 300, 0, 500, false, 'upscaling refused for a height-only size' ),
+		array( 301, 300, 300, 300, false, 'one pixel off the original' ),
+		array( 300, 300, 300, 300, true, 'same size as the original' ),
+		array( 300, 300, 0, 0, false, 'size without width and height' ),
+		array( 0, 300, 150, 150, false, 'original without width' ),
+	),
+	$positions
+);
+
+$fixtures = array(
+	'wordpress' => $GLOBALS['wp_version'],
+	'constrain' => array(),
+	'resize'    => array(),
+);
+
+foreach ( $constrain as list( $width, $height, $max_width, $max_height, $label ) ) {
+	$fixtures['constrain'][] = array(
+		'label'  => $label,
+		'args'   => array( $width, $height, $max_width, $max_height ),
+		'result' => wp_constrain_dimensions( $width, $height, $max_width, $max_height ),
+	);
+}
+
+foreach ( $resize as list( $width, $height, $dest_width, $dest_height, $crop, $label ) ) {
+	$fixtures['resize'][] = array(
+		'label'  => $label,
+		'args'   => array( $width, $height, $dest_width, $dest_height, $crop ),
+		'result' => image_resize_dimensions( $width, $height, $dest_width, $dest_height, $crop ),
+	);
+}
+
+// One case per line
+$groups = array();
+foreach ( array( 'constrain', 'resize' ) as $group ) {
+	$groups[] = "\t\"$group\": [\n\t\t" . implode( ",\n\t\t", array_map( 'json_encode', $fixtures[ $group ] ) ) . "\n\t]";
+}
+
+echo "{\n\t\"wordpress\": " . json_encode( $fixtures['wordpress'] ) . ",\n" . implode( ",\n", $groups ) . "\n}\n"; 
\ No newline at end of file
@@ -0,0 +1,24 @@
+#!/usr/bin/env bun
+
+/**
+ * Worker process failing every job with the error described in its payload
+ * 
+ * @since TBD
+ */
+
+import { serializeError } from '../../src/WorkerPool.js';
+
+process.on('message', (message) => {
+	if (message?.type !== 'job') {
+		return;
+	}
+
+	const error = new Error(message.payload.message);
+	if (message.payload.code) {
+		error.code = message.payload.code;
+	}
+
+	process.send({ type: 'error', id: message.id, error: serializeError(error) });
+});
+
+process.on('disconnect', () => process.exit(0)); 
\ No newline at end of file
@@ -0,0 +1,443 @@
+#!/usr/bin/env bun
+
+/**
+ * Image metadata fixtures for the ImageMetadata tests
+ * 
+ * Writes small JPEGs with hand-built EXIF, IPTC and XMP segments to
+ * tests/fixtures/image-metadata/. What WordPress reads from them is
+ * generated with tests/fixtures/image-metadata.php. Rebuild the images with:
+ * 
+ *     bun tests/fixtures/image-metadata.js
+ * 
+ * @since TBD
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+
+/**
+ * Build a TIFF directory entry
+ * 
+ * @since TBD
+ * 
+ * @param {number}   tag   Tag ID.
+ * @param {number}   type  Field type.
+ * @param {number}   count Number of values.
+ * @param {Function} write Writes the value bytes, given the byte order.
+ * 
+ * @return {Object} Entry.
+ */
+function entry(tag, type, count, write) {
+	return { tag, type, count, write };
+}
+
+/**
+ * Build an ASCII entry
+ * 
+ * @since TBD
+ * 
+ * @param {number} tag  Tag ID.
+ * @param {string} text Text, written as UTF-8.
+ * 
+ * @return {Object} Entry.
+ */
+function ascii(tag, text) {
+	const bytes = Buffer.concat([Buffer.from(text), Buffer.alloc(1)]);
+
+	return entry(tag, 2, bytes.length, () => bytes);
+}
+
+/**
+ * Build a SHORT entry
+ * 
+ * @since TBD
+ * 
+ * @param {number} tag   Tag ID.
+ * @param {number} value Value.
+ * 
+ * @return {Object} Entry.
+ */
+function short(tag, value) {
+	return entry(tag, 3, 1, (little) => {
+		const bytes = Buffer.alloc(2);
+		bytes[little ? 'writeUInt16LE' : 'writeUInt16BE'](value);
+		return bytes;
+	});
+}
+
+/**
+ * Build a LONG entry
+ * 
+ * @since TBD
+ * 
+ * @param {number} tag   Tag ID.
+ * @param {number} value Value.
+ * 
+ * @return {Object} Entry.
+ */
+function long(tag, value) {
+	return entry(tag, 4, 1, (little) => {
+		const bytes = Buffer.alloc(4);
+		bytes[little ? 'writeUInt32LE' : 'writeUInt32BE'](value);
+		return bytes;
+	});
+}
+
+/**
+ * Build a RATIONAL entry
+ * 
+ * @since TBD
+ * 
+ * @param {number} tag         Tag ID.
+ * @param {number} numerator   Numerator.
+ * @param {number} denominator Denominator.
+ * 
+ * @return {Object} Entry.
+ */
+function rational(tag, numerator, denominator) {
+	return entry(tag, 5, 1, (little) => {
+		const bytes = Buffer.alloc(8);
+		bytes[little ? 'writeUInt32LE' : 'writeUInt32BE'](numerator, 0);
+		bytes[little ? 'writeUInt32LE' : 'writeUInt32BE'](denominator, 4);
+		return bytes;
+	});
+}
+
+/**
+ * Build a UserComment entry
+ * 
+ * @since TBD
+ * 
+ * @param {string}  text Comment.
+ * @param {string}  code Character code, ASCII or UNICODE.
+ * @param {boolean} bom  Start UNICODE text with a big endian byte order mark.
+ * 
+ * @return {Object} Entry.
+ */
+function userComment(text, code = 'ASCII', bom = false) {
+	const unicode = code === 'UNICODE';
+
+	return entry(0x9286, 7, 8 + (unicode ? (text.length + Number(bom)) * 2 : text.length), (little) => {
+		const bytes = Buffer.from(text, unicode ? 'utf16le' : 'latin1');
+		if (unicode && (bom || !little)) {
+			bytes.swap16();
+		}
+		return Buffer.concat([Buffer.from(code.padEnd(8, '\0'), 'latin1'), Buffer.from(bom ? [0xFE, 0xFF] : []), bytes]);
+	});
+}
+
+/**
+ * Build a Windows XP tag entry, always UCS-2 little endian
+ * 
+ * @since TBD
+ * 
+ * @param {number} tag  Tag ID.
+ * @param {string} text Text.
+ * 
+ * @return {Object} Entry.
+ */
+function xp(tag, text) {
+	const bytes = Buffer.from(`${text}\0`, 'utf16le');
+
+	return entry(tag, 1, bytes.length, () => bytes);
+}
+
+/**
+ * Build TIFF data with a main directory and an optional EXIF sub-directory
+ * 
+ * Each directory is followed by the values that don't fit in its entries.
+ * 
+ * @since TBD
+ * 
+ * @param {string}        order Byte order, II or MM.
+ * @param {Array<Object>} ifd0  Main directory entries.
+ * @param {Array<Object>} exif  EXIF sub-directory entries.
+ * 
+ * @return {Buffer} TIFF data.
+ */
+function tiff(order, ifd0, exif = []) {
+	const little = order === 'II';
+	const header = Buffer.alloc(8);
+	const chunks = [header];
+
+	header.write(order, 0, 'latin1');
+	header[little ? 'writeUInt16LE' : 'writeUInt16BE'](42, 2);
+	header[little ? 'writeUInt32LE' : 'writeUInt32BE'](8, 4);
+
+	let offset = 8;
+	const directories = exif.length > 0 ? [[...ifd0, long(0x8769, 0)], exif] : [ifd0];
+
+	directories.forEach((entries, index) => {
+		const start = offset;
+		const values = entries.map((item) => item.write(little));
+		let dataOffset = start + 2 + entries.length * 12 + 4;
+		const directory = Buffer.alloc(dataOffset - start);
+
+		directory[little ? 'writeUInt16LE' : 'writeUInt16BE'](entries.length, 0);
+
+		const data = [];
+		entries.forEach((item, position) => {
+			const at = 2 + position * 12;
+			directory[little ? 'writeUInt16LE' : 'writeUInt16BE'](item.tag, at);
+			directory[little ? 'writeUInt16LE' : 'writeUInt16BE'](item.type, at + 2);
+			directory[little ? 'writeUInt32LE' : 'writeUInt32BE'](item.count, at + 4);
+
+			if (values[position].length <= 4) {
+				values[position].copy(directory, at + 8);
+				return;
+			}
+
+			directory[little ? 'writeUInt32LE' : 'writeUInt32BE'](dataOffset, at + 8);
+			const padded = Buffer.concat([values[position], Buffer.alloc(values[position].length % 2)]);
+			data.push(padded);
+			dataOffset += padded.length;
+		});
+
+		// Point the main directory at the EXIF sub-directory
+		if (index === 0 && directories.length > 1) {
+			directory[little ? 'writeUInt32LE' : 'writeUInt32BE'](dataOffset, 2 + (entries.length - 1) * 12 + 8);
+		}
+
+		chunks.push(directory, ...data);
+		offset = dataOffset;
+	});
+
+	return Buffer.concat(chunks);
+}
+
+/**
+ * Build IPTC data in a Photoshop image resource block
+ * 
+ * @since TBD
+ * 
+ * @param {Array<Array>} datasets Record, dataset and value (string or Buffer) of each dataset.
+ * @param {Buffer}       trailing Raw bytes added after the datasets.
+ * 
+ * @return {Buffer} Photoshop APP13 payload.
+ */
+function iptc(datasets, trailing = Buffer.alloc(0)) {
+	const data = Buffer.concat([...datasets.map(([record, dataset, value]) => {
+		const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value);
+		const header = Buffer.from([0x1C, record, dataset, 0, 0]);
+		header.writeUInt16BE(bytes.length, 3);
+		return Buffer.concat([header, bytes]);
+	}), trailing]);
+	const resource = Buffer.alloc(12);
+
+	resource.write('8BIM', 0, 'latin1');
+	resource.writeUInt16BE(0x0404, 4);
+	resource.writeUInt32BE(data.length, 8);
+
+	return Buffer.concat([Buffer.from('Photoshop 3.0\0', 'latin1'), resource, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * Build an XMP packet
+ * 
+ * @since TBD
+ * 
+ * @param {string} properties RDF description properties.
+ * 
+ * @return {Buffer} XMP APP1 payload.
+ */
+function xmp(properties) {
+	return Buffer.from('http://ns.adobe.com/xap/1.0/\0<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+		+ '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+		+ '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/"'
+		+ ' xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/" xmlns:xmp="http://ns.adobe.com/xap/1.0/">'
+		+ `${properties}</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>`);
+}
+
+/**
+ * Build an EXIF APP1 payload
+ * 
+ * @since TBD
+ * 
+ * @param {Buffer} data TIFF data.
+ * 
+ * @return {Buffer} EXIF APP1 payload.
+ */
+function exif(data) {
+	return Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), data]);
+}
+
+/**
+ * Build a JPEG with the given APP segments
+ * 
+ * @since TBD
+ * 
+ * @param {Object} segments APP1 (array of payloads) and APP13 payloads.
+ * 
+ * @return {Promise<Buffer>} JPEG data.
+ */
+async function jpeg({ app1 = [], app13 }) {
+	const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } }).jpeg().toBuffer();
+	const segment = (marker, payload) => {
+		const header = Buffer.from([0xFF, marker, 0, 0]);
+		header.writeUInt16BE(payload.length + 2, 2);
+		return Buffer.concat([header, payload]);
+	};
+
+	// Keep the JFIF segment first
+	const insertAt = image[3] === 0xE0 ? 4 + image.readUInt16BE(4) : 2;
+
+	return Buffer.concat([
+		image.subarray(0, insertAt),
+		...app1.map((payload) => segment(0xE1, payload)),
+		...(app13 ? [segment(0xED, app13)] : []),
+		image.subarray(insertAt)
+	]);
+}
+
+const camera = [
+	ascii(0x010F, 'Canon'),
+	ascii(0x0110, 'Canon EOS 5D Mark IV'),
+	short(0x0112, 6),
+	ascii(0x013B, 'Jane Doe'),
+	ascii(0x8298, 'Jane Doe Photography')
+];
+
+const settings = [
+	rational(0x829A, 1, 200),
+	rational(0x829D, 28, 10),
+	short(0x8827, 400),
+	ascii(0x9003, '2024:05:17 18:29:00'),
+	ascii(0x9004, '2024:05:17 18:30:00'),
+	rational(0x920A, 50, 1)
+];
+
+const longDescription = 'Fishing boats coming back into the harbour at first light, with the lighthouse behind';
+
+const images = {
+	'exif-little-endian.jpg': {
+		app1: [exif(tiff('II', [ascii(0x010E, 'Sunset over the bay'), ...camera], [...settings, userComment('Shot from the pier')]))]
+	},
+	'exif-big-endian.jpg': {
+		app1: [exif(tiff('MM', [
+			ascii(0x010E, 'Night market'),
+			ascii(0x0110, 'NIKON Z 6'),
+			short(0x0112, 3),
+			ascii(0x013B, 'Sam Lee'),
+			ascii(0x8298, 'Sam Lee')
+		], [
+			rational(0x829A, 1, 3),
+			rational(0x829D, 56, 10),
+			short(0x8827, 6400),
+			ascii(0x9004, '2023:12:31 23:59:59'),
+			rational(0x920A, 247, 10)
+		]))]
+	},
+	'user-comment-unicode-little-endian.jpg': {
+		app1: [exif(tiff('II', [ascii(0x0110, 'Pixel 8')], [userComment('Café crème à Zürich', 'UNICODE')]))]
+	},
+	'user-comment-unicode-big-endian.jpg': {
+		app1: [exif(tiff('MM', [ascii(0x010E, 'Terrasse'), ascii(0x0110, 'X-T5')], [userComment('Café crème à Zürich', 'UNICODE')]))]
+	},
+	'user-comment-unicode-byte-order-mark.jpg': {
+		app1: [exif(tiff('II', [ascii(0x0110, 'X-T5')], [userComment('Café crème', 'UNICODE', true)]))]
+	},
+	'user-comment-unicode-outside-latin1.jpg': {
+		app1: [exif(tiff('II', [ascii(0x0110, 'Pixel 8')], [userComment('Tōkyō – 5 €', 'UNICODE')]))]
+	},
+	'xp-tags.jpg': {
+		app1: [exif(tiff('II', [xp(0x9C9B, 'Harbour lights'), xp(0x9C9C, 'Taken on a tripod'), xp(0x9C9D, 'Alex Kim')]))]
+	},
+	'xp-tags-big-endian.jpg': {
+		app1: [exif(tiff('MM', [xp(0x9C9C, 'Long exposure'), xp(0x9C9D, 'Alex Kim')]))]
+	},
+	'description-long.jpg': {
+		app1: [exif(tiff('II', [ascii(0x010E, longDescription)]))]
+	},
+	'description-equals-comment.jpg': {
+		app1: [exif(tiff('II', [ascii(0x010E, longDescription)], [userComment(longDescription)]))]
+	},
+	'description-and-comment.jpg': {
+		app1: [exif(tiff('II', [ascii(0x010E, longDescription)], [userComment('Early morning')]))]
+	},
+	'description-and-iptc-headline.jpg': {
+		app1: [exif(tiff('II', [ascii(0x010E, 'Fishing boats')], [userComment('Early morning')]))],
+		app13: iptc([[2, 105, 'Back to port']])
+	},
+	'iptc.jpg': {
+		app1: [exif(tiff('II', [ascii(0x010E, 'Sunset over the bay'), ...camera], settings))],
+		app13: iptc([
+			[2, 5, 'IMG_0042'],
+			[2, 105, 'Sunset at the pier'],
+			[2, 120, 'The sun setting behind the old pier'],
+			[2, 110, 'Coastal News'],
+			[2, 80, 'Jane Doe'],
+			[2, 55, '20240517'],
+			[2, 60, '183000+0200'],
+			[2, 116, '© 2024 Coastal News'],
+			[2, 25, 'sunset'],
+			[2, 25, 'pier'],
+			[2, 25, 'sea']
+		])
+	},
+	'iptc-negative-offset.jpg': {
+		app13: iptc([
+			[2, 5, 'Market day'],
+			[2, 120, longDescription],
+			[2, 80, 'Sam Lee'],
+			[2, 55, '20231231'],
+			[2, 60, '071500-0530']
+		])
+	},
+	'iptc-latin1.jpg': {
+		app13: iptc([
+			[2, 120, Buffer.from('Café on the corner', 'latin1')],
+			[2, 55, '20240101'],
+			[2, 60, '120000'],
+			[2, 25, Buffer.from('café', 'latin1')],
+			[2, 25, 'street']
+		])
+	},
+	'iptc-truncated.jpg': {
+		// The caption claims 256 bytes but only 17 follow
+		app13: iptc([[2, 105, 'Kept headline'], [2, 116, 'Kept copyright']], Buffer.concat([
+			Buffer.from([0x1C, 2, 120, 0x01, 0x00]),
+			Buffer.from('Caption cut short')
+		]))
+	},
+	'xmp-with-iptc-and-exif.jpg': {
+		app1: [
+			exif(tiff('II', [ascii(0x010E, 'Sunset over the bay'), ...camera], settings)),
+			xmp('<dc:title><rdf:Alt><rdf:li xml:lang="x-default">XMP title</rdf:li></rdf:Alt></dc:title>'
+				+ '<dc:creator><rdf:Seq><rdf:li>XMP creator</rdf:li></rdf:Seq></dc:creator>'
+				+ '<dc:subject><rdf:Bag><rdf:li>xmp</rdf:li></rdf:Bag></dc:subject>')
+		],
+		app13: iptc([[2, 105, 'Sunset at the pier'], [2, 25, 'sunset']])
+	},
+	'xmp.jpg': {
+		app1: [xmp('<dc:title><rdf:Alt><rdf:li xml:lang="de">Hafen</rdf:li><rdf:li xml:lang="x-default">Harbour</rdf:li></rdf:Alt></dc:title>'
+			+ '<dc:description><rdf:Alt><rdf:li xml:lang="x-default">Boats &amp; nets</rdf:li></rdf:Alt></dc:description>'
+			+ '<dc:creator><rdf:Seq><rdf:li>Alex Kim</rdf:li></rdf:Seq></dc:creator>'
+			+ '<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">© Alex Kim</rdf:li></rdf:Alt></dc:rights>'
+			+ '<dc:subject><rdf:Bag><rdf:li>harbour</rdf:li><rdf:li>boats</rdf:li></rdf:Bag></dc:subject>'
+			+ '<photoshop:DateCreated>2024-05-17T18:30:00+02:00</photoshop:DateCreated>')]
+	},
+	'exif-truncated.jpg': {
+		app1: [exif(tiff('II', [ascii(0x010E, 'Sunset over the bay'), ...camera], [...settings, userComment('Shot from the pier')]).subarray(0, 200))]
+	},
+	'exif-bad-offsets.jpg': {
+		app1: [exif((() => {
+			const data = tiff('MM', [ascii(0x0110, 'NIKON Z 6'), ascii(0x8298, 'Sam Lee')], settings);
+			// Copyright value and EXIF sub-directory past the end
+			data.writeUInt32BE(0xFFFF0000, 8 + 2 + 12 + 8);
+			data.writeUInt32BE(0xFFFF0000, 8 + 2 + 24 + 8);
+			return data;
+		})())]
+	},
+	'exif-garbage.jpg': {
+		app1: [exif(Buffer.from('not a tiff header, just text'))]
+	}
+};
+
+const directory = path.join(import.meta.dir, 'image-metadata');
+
+await fs.emptyDir(directory);
+
+for (const [file, segments] of Object.entries(images)) {
+	await fs.writeFile(path.join(directory, file), await jpeg(segments));
+} 
\ No newline at end of file
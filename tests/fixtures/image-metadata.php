@@ -0,0 +1,33 @@
+<?php
+/**
+ * WordPress image metadata fixtures for the ImageMetadata tests
+ * 
+ * Prints what wp_read_image_metadata() reads from each image in
+ * tests/fixtures/image-metadata/ as JSON. The images are built with
+ * tests/fixtures/image-metadata.js. Regenerate the fixtures with:
+ * 
+ *     wp eval-file tests/fixtures/image-metadata.php > tests/fixtures/image-metadata.json
+ * 
+ * @package SharpImageProcessing
+ * @since   TBD
+ */
+
+require_once ABSPATH . 'wp-admin/includes/image.php';
+
+$images = array();
+foreach ( glob( __DIR__ . '/image-metadata/*.jpg' ) as $file ) {
+	$images[] = array(
+		'file' => basename( $file ),
+		'meta' => wp_read_image_metadata( $file ),
+	);
+}
+
+// One image per line
+$lines = array_map(
+	function ( $image ) {
+		return json_encode( $image, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+	},
+	$images
+);
+
+echo "{\n\t\"wordpress\": " . json_encode( $GLOBALS['wp_version'] ) . ",\n\t\"images\": [\n\t\t" . implode( ",\n\t\t", $lines ) . "\n\t]\n}\n"; 
\ No newline at end of file